@@ -20,4 +20,90 @@
 
 /** @typedef {import('@tetherto/wdk-wallet/protocols').SwapResult} SwapResult */
 
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapProtocolConfig} VeloraSwapProtocolConfig */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapOptions} VeloraSwapOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapResult} VeloraSwapResult */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapQuote} VeloraSwapQuote */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapBatchResult} VeloraSwapBatchResult */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraRoute} VeloraRoute */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraGasOptions} VeloraGasOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapEventName} VeloraSwapEventName */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapEvent} VeloraSwapEvent */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraPriceOptions} VeloraPriceOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraPrice} VeloraPrice */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraTokenMetadata} VeloraTokenMetadata */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapSimulation} VeloraSwapSimulation */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraWaitForSwapOptions} VeloraWaitForSwapOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraSwapReceipt} VeloraSwapReceipt */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraDeltaSwapResult} VeloraDeltaSwapResult */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraDeltaOrderStatus} VeloraDeltaOrderStatus */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraQuoteComparison} VeloraQuoteComparison */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraBridgeDetails} VeloraBridgeDetails */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraBridgeStatus} VeloraBridgeStatus */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraWaitForCrossChainSwapOptions} VeloraWaitForCrossChainSwapOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraLimitOrderOptions} VeloraLimitOrderOptions */
+
+/** @typedef {import('./src/velora-protocol-evm.js').VeloraCreateLimitOrderResult} VeloraCreateLimitOrderResult */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapPlan} VeloraSwapPlan */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapRun} VeloraSwapRun */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapPendingRun} VeloraSwapPendingRun */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapSchedulerState} VeloraSwapSchedulerState */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapSchedulerStorage} VeloraSwapSchedulerStorage */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapSchedulerClock} VeloraSwapSchedulerClock */
+
+/** @typedef {import('./src/swap-scheduler.js').VeloraSwapSchedulerOptions} VeloraSwapSchedulerOptions */
+
 export { default } from './src/velora-protocol-evm.js'
+
+export { default as SwapScheduler } from './src/swap-scheduler.js'
+
+export {
+  CrossChainSwapFailedError,
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  InvalidRecipientError,
+  MaxFeeExceededError,
+  NoProviderError,
+  NoRouteError,
+  QuoteExpiredError,
+  QuoteMismatchError,
+  QuoteShortfallError,
+  ReadOnlyAccountError,
+  RecipientMismatchError,
+  RouteNotAllowedError,
+  SimulationFailedError,
+  SlippageExceededError,
+  SwapBatchError,
+  SwapDroppedError,
+  SwapRevertedError,
+  SwapTimeoutError,
+  SwapTransactionMismatchError,
+  UnsupportedChainError
+} from './src/errors.js'
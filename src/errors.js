@@ -0,0 +1,561 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+export class ReadOnlyAccountError extends Error {
+  /**
+   * Creates a new read-only account error.
+   *
+   * @param {string} methodName - The name of the method that requires a non read-only account.
+   */
+  constructor (methodName) {
+    super(`The '${methodName}' method requires the protocol to be initialized with a non read-only account.`)
+
+    this.name = 'ReadOnlyAccountError'
+  }
+}
+
+export class NoProviderError extends Error {
+  /**
+   * Creates a new no provider error.
+   *
+   * @param {string} action - The action that requires a provider (e.g., 'perform swap operations').
+   */
+  constructor (action) {
+    super(`The wallet must be connected to a provider in order to ${action}.`)
+
+    this.name = 'NoProviderError'
+  }
+}
+
+export class UnsupportedChainError extends Error {
+  /**
+   * Creates a new unsupported chain error.
+   *
+   * @param {number} chainId - The id of the chain the provider is connected to.
+   * @param {number[]} supportedChainIds - The ids of the chains supported by the Velora protocol.
+   */
+  constructor (chainId, supportedChainIds) {
+    super(`The chain ${chainId} is not supported by the Velora protocol (supported chains: ${supportedChainIds.join(', ')}).`)
+
+    this.name = 'UnsupportedChainError'
+
+    /**
+     * The id of the chain the provider is connected to.
+     *
+     * @type {number}
+     */
+    this.chainId = chainId
+
+    /**
+     * The ids of the chains supported by the Velora protocol.
+     *
+     * @type {number[]}
+     */
+    this.supportedChainIds = supportedChainIds
+  }
+}
+
+export class NoRouteError extends Error {
+  /**
+   * Creates a new no route error.
+   *
+   * @param {string} tokenIn - The address of the token to sell.
+   * @param {string} tokenOut - The address of the token to buy.
+   * @param {string} reason - The reason given by the Velora api.
+   */
+  constructor (tokenIn, tokenOut, reason) {
+    super(`No route found to swap '${tokenIn}' for '${tokenOut}': ${reason}`)
+
+    this.name = 'NoRouteError'
+
+    /**
+     * The address of the token to sell.
+     *
+     * @type {string}
+     */
+    this.tokenIn = tokenIn
+
+    /**
+     * The address of the token to buy.
+     *
+     * @type {string}
+     */
+    this.tokenOut = tokenOut
+  }
+}
+
+export class RouteNotAllowedError extends Error {
+  /**
+   * Creates a new route not allowed error.
+   *
+   * @param {string} reason - The reason why the route is not allowed.
+   */
+  constructor (reason) {
+    super(`The route returned by the Velora api is not allowed: ${reason}`)
+
+    this.name = 'RouteNotAllowedError'
+
+    /**
+     * The reason why the route is not allowed.
+     *
+     * @type {string}
+     */
+    this.reason = reason
+  }
+}
+
+export class InvalidRecipientError extends Error {
+  /**
+   * Creates a new invalid recipient error.
+   *
+   * @param {string} recipient - The recipient of the swap, as passed in the 'to' option.
+   * @param {string} reason - The reason why the recipient is not valid.
+   */
+  constructor (recipient, reason) {
+    super(`The recipient '${recipient}' is not valid: ${reason}`)
+
+    this.name = 'InvalidRecipientError'
+
+    /**
+     * The recipient of the swap, as passed in the 'to' option.
+     *
+     * @type {string}
+     */
+    this.recipient = recipient
+
+    /**
+     * The reason why the recipient is not valid.
+     *
+     * @type {string}
+     */
+    this.reason = reason
+  }
+}
+
+export class RecipientMismatchError extends Error {
+  /**
+   * Creates a new recipient mismatch error.
+   *
+   * @param {string} recipient - The address of the requested recipient.
+   */
+  constructor (recipient) {
+    super(`The swap built by the Velora api does not pay the output tokens to the requested recipient '${recipient}'.`)
+
+    this.name = 'RecipientMismatchError'
+
+    /**
+     * The address of the requested recipient.
+     *
+     * @type {string}
+     */
+    this.recipient = recipient
+  }
+}
+
+export class SwapTransactionMismatchError extends Error {
+  /**
+   * Creates a new swap transaction mismatch error.
+   *
+   * @param {string} reason - The reason why the swap transaction does not match the requested swap.
+   */
+  constructor (reason) {
+    super(`The swap transaction built by the Velora api does not match the requested swap: ${reason}`)
+
+    this.name = 'SwapTransactionMismatchError'
+
+    /**
+     * The reason why the swap transaction does not match the requested swap.
+     *
+     * @type {string}
+     */
+    this.reason = reason
+  }
+}
+
+export class QuoteShortfallError extends Error {
+  /**
+   * Creates a new quote shortfall error.
+   *
+   * @param {number} shortfall - How much worse the Velora route is than the best reference quote (in basis points).
+   * @param {number} maxShortfall - The maximum shortfall tolerated (in basis points).
+   * @param {string} source - The name of the dex of the best reference quote (e.g., 'UniswapV3').
+   */
+  constructor (shortfall, maxShortfall, source) {
+    super(`The Velora route is worse than the reference quote of ${source} by ${shortfall} basis points, more than the maximum of ${maxShortfall}.`)
+
+    this.name = 'QuoteShortfallError'
+
+    /**
+     * How much worse the Velora route is than the best reference quote (in basis points).
+     *
+     * @type {number}
+     */
+    this.shortfall = shortfall
+
+    /**
+     * The maximum shortfall tolerated (in basis points).
+     *
+     * @type {number}
+     */
+    this.maxShortfall = maxShortfall
+
+    /**
+     * The name of the dex of the best reference quote (e.g., 'UniswapV3').
+     *
+     * @type {string}
+     */
+    this.source = source
+  }
+}
+
+export class SlippageExceededError extends Error {
+  /**
+   * Creates a new slippage exceeded error.
+   *
+   * @param {bigint} amount - The amount of the current quote (the output tokens bought by a sell swap, or the input tokens sold by a
+   *   buy swap).
+   * @param {bigint} limit - The worst-case amount allowed by the slippage tolerance.
+   */
+  constructor (amount, limit) {
+    super(`The quoted price is outside of the slippage tolerance: the current quote of ${amount} is beyond the worst-case amount of ${limit}.`)
+
+    this.name = 'SlippageExceededError'
+
+    /**
+     * The amount of the current quote (the output tokens bought by a sell swap, or the input tokens sold by a buy swap).
+     *
+     * @type {bigint}
+     */
+    this.amount = amount
+
+    /**
+     * The worst-case amount allowed by the slippage tolerance.
+     *
+     * @type {bigint}
+     */
+    this.limit = limit
+  }
+}
+
+export class MaxFeeExceededError extends Error {
+  /**
+   * Creates a new max fee exceeded error.
+   *
+   * @param {bigint} fee - The fee of the operation.
+   * @param {number | bigint} maxFee - The maximum fee allowed.
+   */
+  constructor (fee, maxFee) {
+    super('Exceeded maximum fee cost for swap operation.')
+
+    this.name = 'MaxFeeExceededError'
+
+    /**
+     * The fee of the operation.
+     *
+     * @type {bigint}
+     */
+    this.fee = fee
+
+    /**
+     * The maximum fee allowed.
+     *
+     * @type {number | bigint}
+     */
+    this.maxFee = maxFee
+  }
+}
+
+export class SimulationFailedError extends Error {
+  /**
+   * Creates a new simulation failed error.
+   *
+   * @param {string} reason - The revert reason of the simulated transaction.
+   * @param {string} [data] - The raw revert data of the simulated transaction.
+   */
+  constructor (reason, data) {
+    super(`The simulation of the swap failed: ${reason}`)
+
+    this.name = 'SimulationFailedError'
+
+    /**
+     * The revert reason of the simulated transaction.
+     *
+     * @type {string}
+     */
+    this.reason = reason
+
+    /**
+     * The raw revert data of the simulated transaction.
+     *
+     * @type {string | undefined}
+     */
+    this.data = data
+  }
+}
+
+export class SwapBatchError extends Error {
+  /**
+   * Creates a new swap batch error.
+   *
+   * @param {number} index - The index of the swap that failed.
+   * @param {Object[]} results - The results of the swaps performed before the failure.
+   * @param {Error} cause - The error thrown by the swap that failed.
+   */
+  constructor (index, results, cause) {
+    super(`The swap #${index} of the batch failed: ${cause.message}`, { cause })
+
+    this.name = 'SwapBatchError'
+
+    /**
+     * The index of the swap that failed.
+     *
+     * @type {number}
+     */
+    this.index = index
+
+    /**
+     * The results of the swaps performed before the failure.
+     *
+     * @type {Object[]}
+     */
+    this.results = results
+  }
+}
+
+export class SwapRevertedError extends Error {
+  /**
+   * Creates a new swap reverted error.
+   *
+   * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+   * @param {string} transactionHash - The hash of the transaction that included the swap.
+   */
+  constructor (hash, transactionHash) {
+    super(`The swap '${hash}' has been reverted.`)
+
+    this.name = 'SwapRevertedError'
+
+    /**
+     * The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     *
+     * @type {string}
+     */
+    this.hash = hash
+
+    /**
+     * The hash of the transaction that included the swap.
+     *
+     * @type {string}
+     */
+    this.transactionHash = transactionHash
+  }
+}
+
+export class SwapDroppedError extends Error {
+  /**
+   * Creates a new swap dropped error.
+   *
+   * @param {string} hash - The hash of the swap transaction.
+   */
+  constructor (hash) {
+    super(`The swap transaction '${hash}' has been dropped before being included in a block.`)
+
+    this.name = 'SwapDroppedError'
+
+    /**
+     * The hash of the swap transaction.
+     *
+     * @type {string}
+     */
+    this.hash = hash
+  }
+}
+
+export class SwapTimeoutError extends Error {
+  /**
+   * Creates a new swap timeout error.
+   *
+   * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+   * @param {number} timeout - The time waited for the swap to be confirmed (in milliseconds).
+   */
+  constructor (hash, timeout) {
+    super(`The swap '${hash}' has not been confirmed within ${timeout}ms.`)
+
+    this.name = 'SwapTimeoutError'
+
+    /**
+     * The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     *
+     * @type {string}
+     */
+    this.hash = hash
+
+    /**
+     * The time waited for the swap to be confirmed (in milliseconds).
+     *
+     * @type {number}
+     */
+    this.timeout = timeout
+  }
+}
+
+export class CrossChainSwapFailedError extends Error {
+  /**
+   * Creates a new cross-chain swap failed error.
+   *
+   * @param {string} orderId - The id of the delta order of the cross-chain swap.
+   * @param {string} status - The status of the order's auction (e.g., 'FAILED'), or of its bridge transfer (e.g., 'refunded').
+   * @param {string} [refundHash] - The hash of the transaction that refunded the bridge deposit on the source chain.
+   */
+  constructor (orderId, status, refundHash) {
+    super(`The cross-chain swap '${orderId}' has failed (status: '${status}').`)
+
+    this.name = 'CrossChainSwapFailedError'
+
+    /**
+     * The id of the delta order of the cross-chain swap.
+     *
+     * @type {string}
+     */
+    this.orderId = orderId
+
+    /**
+     * The status of the order's auction (e.g., 'FAILED'), or of its bridge transfer (e.g., 'refunded').
+     *
+     * @type {string}
+     */
+    this.status = status
+
+    /**
+     * The hash of the transaction that refunded the bridge deposit on the source chain.
+     *
+     * @type {string | undefined}
+     */
+    this.refundHash = refundHash
+  }
+}
+
+export class InsufficientBalanceError extends Error {
+  /**
+   * Creates a new insufficient balance error.
+   *
+   * @param {string} token - The address of the token (0xEeee…EEeE for the native coin).
+   * @param {bigint} balance - The balance of the account.
+   * @param {bigint} amount - The amount required by the operation.
+   */
+  constructor (token, balance, amount) {
+    super(`The balance of token '${token}' (${balance}) is not sufficient to cover the required amount (${amount}).`)
+
+    this.name = 'InsufficientBalanceError'
+
+    /**
+     * The address of the token (0xEeee…EEeE for the native coin).
+     *
+     * @type {string}
+     */
+    this.token = token
+
+    /**
+     * The balance of the account.
+     *
+     * @type {bigint}
+     */
+    this.balance = balance
+
+    /**
+     * The amount required by the operation.
+     *
+     * @type {bigint}
+     */
+    this.amount = amount
+  }
+}
+
+export class InsufficientAllowanceError extends Error {
+  /**
+   * Creates a new insufficient allowance error.
+   *
+   * @param {string} token - The address of the token.
+   * @param {string} spender - The address of the spender.
+   * @param {bigint} allowance - The current allowance.
+   * @param {bigint} amount - The amount required by the operation.
+   */
+  constructor (token, spender, allowance, amount) {
+    super(`The allowance of token '${token}' to '${spender}' (${allowance}) is not sufficient to cover the required amount (${amount}).`)
+
+    this.name = 'InsufficientAllowanceError'
+
+    /**
+     * The address of the token.
+     *
+     * @type {string}
+     */
+    this.token = token
+
+    /**
+     * The address of the spender.
+     *
+     * @type {string}
+     */
+    this.spender = spender
+
+    /**
+     * The current allowance.
+     *
+     * @type {bigint}
+     */
+    this.allowance = allowance
+
+    /**
+     * The amount required by the operation.
+     *
+     * @type {bigint}
+     */
+    this.amount = amount
+  }
+}
+
+export class QuoteExpiredError extends Error {
+  /**
+   * Creates a new quote expired error.
+   *
+   * @param {number} expiresAt - The timestamp (in milliseconds) at which the quote expired.
+   */
+  constructor (expiresAt) {
+    super('The quote has expired.')
+
+    this.name = 'QuoteExpiredError'
+
+    /**
+     * The timestamp (in milliseconds) at which the quote expired.
+     *
+     * @type {number}
+     */
+    this.expiresAt = expiresAt
+  }
+}
+
+export class QuoteMismatchError extends Error {
+  /**
+   * Creates a new quote mismatch error.
+   *
+   * @param {string} message - The error's message.
+   */
+  constructor (message) {
+    super(message)
+
+    this.name = 'QuoteMismatchError'
+  }
+}
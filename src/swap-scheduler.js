@@ -0,0 +1,498 @@
+// Copyright 2024 Tether Operations Limited
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+'use strict'
+
+import {
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  MaxFeeExceededError,
+  NoProviderError,
+  NoRouteError,
+  QuoteExpiredError,
+  QuoteMismatchError,
+  ReadOnlyAccountError,
+  RecipientMismatchError,
+  SimulationFailedError,
+  SlippageExceededError,
+  SwapTransactionMismatchError
+} from './errors.js'
+
+/** @typedef {import('./velora-protocol-evm.js').default} VeloraProtocolEvm */
+
+/** @typedef {import('./velora-protocol-evm.js').VeloraSwapOptions} VeloraSwapOptions */
+
+/** @typedef {import('./velora-protocol-evm.js').VeloraSwapQuote} VeloraSwapQuote */
+
+/**
+ * @typedef {Object} VeloraSwapPlan
+ * @property {string} id - The id of the plan, which identifies its state in the storage.
+ * @property {string} tokenIn - The address of the token to sell at each run, or 'native' for the native coin.
+ * @property {string} tokenOut - The address of the token to buy at each run, or 'native' for the native coin.
+ * @property {number | bigint | string} tokenInAmount - The amount of input tokens to sell at each run, in base unit (or in token
+ *   units, as a decimal string holding a decimal point, e.g. '100.0').
+ * @property {number} interval - The time between two runs (in milliseconds).
+ * @property {number} runs - The total number of runs.
+ * @property {number} [maxPrice] - The maximum price of the output token, in input tokens per output token (e.g., the usdt paid per
+ *   weth). Runs quoted above this price are skipped.
+ * @property {number | bigint} [maxFee] - The maximum fee of a run, in the token the fees are paid in. Runs quoted above this fee are
+ *   skipped.
+ * @property {number} [startAt] - The timestamp (in milliseconds) of the first run. Default: the first time the scheduler is started.
+ * @property {number} [retries] - The number of times a failed run is retried before being recorded as failed. Default: 2.
+ * @property {number} [retryDelay] - The time to wait before retrying a failed run (in milliseconds). Default: 1 minute.
+ * @property {Omit<VeloraSwapOptions, 'tokenIn' | 'tokenOut' | 'tokenInAmount' | 'tokenOutAmount'>} [swapOptions] - The other options
+ *   of the swaps (e.g., 'slippage' or 'to').
+ */
+
+/**
+ * @typedef {Object} VeloraSwapRun
+ * @property {number} index - The index of the run in the plan.
+ * @property {number} scheduledAt - The timestamp (in milliseconds) the run was scheduled at.
+ * @property {number} executedAt - The timestamp (in milliseconds) the run was recorded at.
+ * @property {'executed' | 'skipped' | 'failed' | 'interrupted'} status - The status of the run. Interrupted runs were being executed
+ *   when the scheduler was stopped abruptly (e.g., by a crash), or their execution threw an error that may have been raised after
+ *   their swap was sent, so their swap may or may not have been sent.
+ * @property {'price' | 'fee' | 'missed'} [reason] - Why the run has been skipped: its price or its fee exceeded the limits of the plan,
+ *   or its time passed while the scheduler was not running.
+ * @property {string} [hash] - The hash of the swap (only for executed runs, and unset for velora delta orders).
+ * @property {string} [orderId] - The id of the velora delta order of the swap (only for executed runs in 'delta' mode).
+ * @property {string} [tokenInAmount] - The amount of input tokens sold, in base unit, as a decimal string.
+ * @property {string} [tokenOutAmount] - The amount of output tokens bought, in base unit, as a decimal string.
+ * @property {string} [fee] - The fee of the swap, as a decimal string.
+ * @property {number} [price] - The quoted price of the output token, in input tokens per output token.
+ * @property {number} [attempts] - The number of attempts of the run (only for executed, failed and interrupted runs).
+ * @property {string} [error] - The message of the last error (only for failed runs, and for interrupted runs whose execution threw).
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSchedulerState
+ * @property {string} planId - The id of the plan.
+ * @property {number} startAt - The timestamp (in milliseconds) of the first run.
+ * @property {number} nextRun - The index of the next run.
+ * @property {boolean} completed - True if all the runs of the plan have been recorded.
+ * @property {VeloraSwapRun[]} runs - The recorded runs. The state only holds json-serializable values.
+ * @property {VeloraSwapPendingRun} [pending] - The run being executed, if any.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapPendingRun
+ * @property {number} index - The index of the run in the plan.
+ * @property {number} scheduledAt - The timestamp (in milliseconds) the run was scheduled at.
+ * @property {number} attempts - The number of attempts of the run.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSchedulerStorage
+ * @property {(planId: string) => Promise<VeloraSwapSchedulerState | undefined>} load - Loads the state of a plan, or returns undefined
+ *   if it has never been saved.
+ * @property {(planId: string, state: VeloraSwapSchedulerState) => Promise<void>} save - Saves the state of a plan.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSchedulerClock
+ * @property {() => number} now - Returns the current timestamp (in milliseconds).
+ * @property {(callback: () => void, delay: number) => any} setTimeout - Calls the callback after the delay (in milliseconds).
+ * @property {(handle: any) => void} clearTimeout - Cancels a callback registered with 'setTimeout'.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSchedulerOptions
+ * @property {VeloraSwapSchedulerStorage} [storage] - The storage of the scheduler's state. Default: an in-memory storage, which does
+ *   not survive restarts.
+ * @property {VeloraSwapSchedulerClock} [clock] - The clock of the scheduler. Default: the system clock.
+ * @property {(run: VeloraSwapRun) => void} [onRun] - A callback called each time a run is recorded.
+ * @property {(error: Error) => void} [onError] - A callback called if the scheduler stops because of an error (e.g., the storage
+ *   failed to save the state).
+ */
+
+const DEFAULT_RETRIES = 2
+
+const DEFAULT_RETRY_DELAY = 60_000
+
+// The errors the execution of a quote only throws before sending its swap, which can thus be retried safely:
+const PRE_SEND_ERRORS = [
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  MaxFeeExceededError,
+  NoProviderError,
+  NoRouteError,
+  QuoteExpiredError,
+  QuoteMismatchError,
+  ReadOnlyAccountError,
+  RecipientMismatchError,
+  SimulationFailedError,
+  SlippageExceededError,
+  SwapTransactionMismatchError
+]
+
+const SYSTEM_CLOCK = {
+  now: () => Date.now(),
+  setTimeout: (callback, delay) => setTimeout(callback, delay),
+  clearTimeout: (handle) => clearTimeout(handle)
+}
+
+export default class SwapScheduler {
+  /**
+   * Creates a new scheduler of recurring swaps (e.g., for dollar-cost averaging).
+   *
+   * The scheduler sells the same amount of input tokens at each run of the plan, and skips the runs whose quoted price or fee exceeds
+   *   the limits of the plan. Its state is saved after each run, so a scheduler started again with the same plan and storage resumes
+   *   where it stopped.
+   *
+   * @param {VeloraProtocolEvm} protocol - The protocol to perform the swaps with.
+   * @param {VeloraSwapPlan} plan - The plan of the swaps.
+   * @param {VeloraSwapSchedulerOptions} [options] - The scheduler's options.
+   */
+  constructor (protocol, plan, { storage, clock = SYSTEM_CLOCK, onRun, onError } = {}) {
+    SwapScheduler._validatePlan(plan)
+
+    /** @private */
+    this._protocol = protocol
+
+    /** @private */
+    this._plan = plan
+
+    /** @private */
+    this._storage = storage ?? SwapScheduler._createMemoryStorage()
+
+    /** @private */
+    this._clock = clock
+
+    /** @private */
+    this._onRun = onRun
+
+    /** @private */
+    this._onError = onError
+
+    /**
+     * @private
+     * @type {VeloraSwapSchedulerState | undefined}
+     */
+    this._state = undefined
+
+    /** @private */
+    this._running = false
+
+    /** @private */
+    this._starting = false
+
+    /** @private */
+    this._startPromise = undefined
+
+    /** @private */
+    this._timer = undefined
+
+    /** @private */
+    this._wakeUp = undefined
+
+    /** @private */
+    this._tickPromise = undefined
+  }
+
+  /**
+   * Whether the scheduler is running.
+   *
+   * @type {boolean}
+   */
+  get running () {
+    return this._running
+  }
+
+  /**
+   * Starts the scheduler, resuming from the state saved in the storage (if any).
+   *
+   * The runs whose time has passed while the scheduler was not running are recorded as skipped, except for the last one, which is
+   *   performed right away. A run left pending by a previous scheduler is recorded as interrupted, and is never performed again.
+   *
+   * Concurrent calls share the same start, and a call to {@link SwapScheduler#stop} made while the scheduler is starting cancels it.
+   *
+   * @returns {Promise<void>}
+   */
+  async start () {
+    if (this._running) {
+      return
+    }
+
+    // The flag is set before the first await, so that a call to 'stop' made in the meantime is not overwritten:
+    this._starting = true
+
+    this._startPromise ??= this._start()
+
+    await this._startPromise
+  }
+
+  /**
+   * Stops the scheduler. A run already in progress is still recorded, but no other run is scheduled.
+   */
+  stop () {
+    this._running = false
+
+    this._starting = false
+
+    if (this._timer !== undefined) {
+      this._clock.clearTimeout(this._timer)
+
+      this._timer = undefined
+    }
+
+    this._wakeUp?.()
+  }
+
+  /**
+   * Returns the state of the plan.
+   *
+   * @returns {Promise<VeloraSwapSchedulerState | undefined>} The state, or undefined if the scheduler has never been started.
+   */
+  async getState () {
+    return this._state ?? await this._storage.load(this._plan.id)
+  }
+
+  /** @private */
+  async _start () {
+    try {
+      // A run still in progress after a call to 'stop' must be recorded before the state is loaded again:
+      await this._tickPromise
+
+      this._state = await this._storage.load(this._plan.id) ?? {
+        planId: this._plan.id,
+        startAt: this._plan.startAt ?? this._clock.now(),
+        nextRun: 0,
+        completed: false,
+        runs: []
+      }
+
+      if (this._state.pending) {
+        await this._record({ ...this._state.pending, executedAt: this._clock.now(), status: 'interrupted' })
+      }
+
+      if (this._state.completed) {
+        return
+      }
+
+      await this._storage.save(this._plan.id, this._state)
+
+      if (this._starting) {
+        this._running = true
+
+        this._schedule()
+      }
+    } finally {
+      // Cleared in the same tick as the last check of the flag, so that a later call to 'start' always starts again:
+      this._starting = false
+
+      this._startPromise = undefined
+    }
+  }
+
+  /** @private */
+  _schedule () {
+    const { startAt, nextRun } = this._state
+
+    const delay = Math.max(0, startAt + nextRun * this._plan.interval - this._clock.now())
+
+    this._timer = this._clock.setTimeout(() => {
+      this._tickPromise = this._tick().catch(error => this._fail(error))
+    }, delay)
+  }
+
+  /** @private */
+  async _tick () {
+    this._timer = undefined
+
+    const { interval, runs } = this._plan
+
+    const { startAt, nextRun } = this._state
+
+    // A timer that fires early (e.g., after the system clock has been set back) must not perform a recorded run again:
+    const due = Math.max(nextRun, Math.min(runs - 1, Math.floor((this._clock.now() - startAt) / interval)))
+
+    for (let index = nextRun; index < due; index++) {
+      await this._record({ index, scheduledAt: startAt + index * interval, executedAt: this._clock.now(), status: 'skipped', reason: 'missed' })
+    }
+
+    const run = await this._run(due, startAt + due * interval)
+
+    // The scheduler has been stopped while waiting to retry the run, which is performed again once it is restarted:
+    if (!run) {
+      return
+    }
+
+    await this._record(run)
+
+    if (this._running && !this._state.completed) {
+      this._schedule()
+    } else {
+      this._running = false
+    }
+  }
+
+  /** @private */
+  async _run (index, scheduledAt) {
+    const { tokenIn, tokenOut, tokenInAmount, maxPrice, maxFee, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY, swapOptions } = this._plan
+
+    for (let attempts = 1; ; attempts++) {
+      try {
+        const quote = await this._protocol.quoteSwap({ ...swapOptions, tokenIn, tokenOut, tokenInAmount })
+
+        const price = SwapScheduler._getPrice(quote)
+
+        const run = { index, scheduledAt, executedAt: this._clock.now(), price, fee: quote.fee.toString() }
+
+        if (maxPrice !== undefined && price > maxPrice) {
+          return { ...run, status: 'skipped', reason: 'price' }
+        }
+
+        if (maxFee !== undefined && quote.fee > BigInt(maxFee)) {
+          return { ...run, status: 'skipped', reason: 'fee' }
+        }
+
+        // The run is saved as pending until it is recorded, so that a swap sent right before a crash is not sent again on restart:
+        await this._setPending({ index, scheduledAt, attempts })
+
+        const result = await this._protocol.executeQuote(quote)
+
+        return {
+          ...run,
+          executedAt: this._clock.now(),
+          status: 'executed',
+          ...('orderId' in result ? { orderId: result.orderId } : { hash: result.hash }),
+          tokenInAmount: result.tokenInAmount.toString(),
+          tokenOutAmount: result.tokenOutAmount.toString(),
+          fee: result.fee.toString(),
+          attempts
+        }
+      } catch (error) {
+        if (this._state.pending) {
+          // Any other error may have been thrown after the swap was broadcast, so the run must not be sent again:
+          if (!PRE_SEND_ERRORS.some(ErrorClass => error instanceof ErrorClass)) {
+            return { index, scheduledAt, executedAt: this._clock.now(), status: 'interrupted', attempts, error: error.message }
+          }
+
+          await this._setPending(undefined)
+        }
+
+        if (attempts > retries) {
+          return { index, scheduledAt, executedAt: this._clock.now(), status: 'failed', attempts, error: error.message }
+        }
+
+        await this._sleep(retryDelay)
+
+        if (!this._running) {
+          return undefined
+        }
+      }
+    }
+  }
+
+  /** @private */
+  _fail (error) {
+    this.stop()
+
+    try {
+      this._onError?.(error)
+    } catch {
+      // Errors thrown by the callback must not be left unhandled.
+    }
+  }
+
+  /** @private */
+  async _setPending (pending) {
+    this._state = { ...this._state, pending }
+
+    await this._storage.save(this._plan.id, this._state)
+  }
+
+  /** @private */
+  async _record (run) {
+    const { pending, ...state } = this._state
+
+    this._state = {
+      ...state,
+      nextRun: run.index + 1,
+      completed: run.index + 1 >= this._plan.runs,
+      runs: [...state.runs, run]
+    }
+
+    await this._storage.save(this._plan.id, this._state)
+
+    try {
+      this._onRun?.(run)
+    } catch {
+      // Errors thrown by the callback must not break the schedule.
+    }
+  }
+
+  /** @private */
+  _sleep (delay) {
+    return new Promise(resolve => {
+      this._wakeUp = () => {
+        this._clock.clearTimeout(this._timer)
+
+        this._timer = undefined
+
+        this._wakeUp = undefined
+
+        resolve()
+      }
+
+      this._timer = this._clock.setTimeout(this._wakeUp, delay)
+    })
+  }
+
+  /** @private */
+  static _getPrice ({ formatted }) {
+    return Number(formatted.tokenInAmount) / Number(formatted.tokenOutAmount)
+  }
+
+  /** @private */
+  static _createMemoryStorage () {
+    const states = new Map()
+
+    return {
+      load: async (planId) => states.get(planId),
+      save: async (planId, state) => { states.set(planId, state) }
+    }
+  }
+
+  /** @private */
+  static _validatePlan ({ id, tokenIn, tokenOut, tokenInAmount, interval, runs, maxPrice, maxFee, startAt, retries, retryDelay }) {
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('The id of the plan must be a non-empty string.')
+    }
+
+    if (!tokenIn || !tokenOut || tokenInAmount === undefined) {
+      throw new Error("The plan must define the 'tokenIn', 'tokenOut' and 'tokenInAmount' options.")
+    }
+
+    for (const [name, value] of Object.entries({ interval, runs })) {
+      if (!Number.isInteger(value) || value <= 0) {
+        throw new Error(`The '${name}' option of the plan must be a positive integer.`)
+      }
+    }
+
+    for (const [name, value] of Object.entries({ startAt, retries, retryDelay })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`The '${name}' option of the plan must be a non-negative integer.`)
+      }
+    }
+
+    if (maxPrice !== undefined && (typeof maxPrice !== 'number' || !(maxPrice > 0))) {
+      throw new Error('The max price of the plan must be a positive number.')
+    }
+
+    if (maxFee !== undefined && ((typeof maxFee !== 'bigint' && !Number.isInteger(maxFee)) || maxFee < 0)) {
+      throw new Error('The max fee of the plan must be a non-negative amount.')
+    }
+  }
+}
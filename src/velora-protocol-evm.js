@@ -18,10 +18,36 @@ import { SwapProtocol } from '@tetherto/wdk-wallet/protocols'
 import { WalletAccountEvm } from '@tetherto/wdk-wallet-evm'
 import { WalletAccountEvmErc4337, WalletAccountReadOnlyEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337'
 
-import { JsonRpcProvider, BrowserProvider } from 'ethers'
+import { JsonRpcProvider, BrowserProvider, AbiCoder, Interface, Signature, TypedDataEncoder, concat, formatUnits, getAddress, getBytes, isAddress, parseUnits, toBeHex, toQuantity } from 'ethers'
 
 import { constructSimpleSDK } from '@velora-dex/sdk'
 
+import { EventEmitter } from 'events'
+
+import {
+  CrossChainSwapFailedError,
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  InvalidRecipientError,
+  MaxFeeExceededError,
+  NoProviderError,
+  NoRouteError,
+  QuoteExpiredError,
+  QuoteMismatchError,
+  QuoteShortfallError,
+  ReadOnlyAccountError,
+  RecipientMismatchError,
+  RouteNotAllowedError,
+  SimulationFailedError,
+  SlippageExceededError,
+  SwapBatchError,
+  SwapDroppedError,
+  SwapRevertedError,
+  SwapTimeoutError,
+  SwapTransactionMismatchError,
+  UnsupportedChainError
+} from './errors.js'
+
 /** @typedef {import('@tetherto/wdk-wallet/protocols').SwapProtocolConfig} SwapProtocolConfig */
 /** @typedef {import('@tetherto/wdk-wallet/protocols').SwapOptions} SwapOptions */
 /** @typedef {import('@tetherto/wdk-wallet/protocols').SwapResult} SwapResult */
@@ -30,13 +56,597 @@ import { constructSimpleSDK } from '@velora-dex/sdk'
 
 /** @typedef {import('@tetherto/wdk-wallet-evm-erc-4337').EvmErc4337WalletConfig} EvmErc4337WalletConfig */
 
+/** @typedef {import('@velora-dex/sdk').OptimalRate} OptimalRate */
+/** @typedef {import('@velora-dex/sdk').TransactionParams} TransactionParams */
+/** @typedef {import('@velora-dex/sdk').DeltaPrice} DeltaPrice */
+/** @typedef {import('@velora-dex/sdk').DeltaAuctionStatus} DeltaAuctionStatus */
+/** @typedef {import('@velora-dex/sdk').LimitOrderFromApi} LimitOrderFromApi */
+/** @typedef {import('@velora-dex/sdk').Token} Token */
+
+/**
+ * @typedef {Object} VeloraSwapProtocolOptions
+ * @property {number} [slippage] - The maximum slippage tolerated for swap operations, in basis points (e.g., 50 for 0.5%). Default: 0.
+ * @property {number} [quoteTtl] - The time (in milliseconds) after which the quotes returned by the 'quoteSwap' method expire. Default: 30 seconds.
+ * @property {'market' | 'delta'} [mode] - The execution mode of the swaps: 'market' sends the swap transactions on-chain, while 'delta'
+ *   signs gasless velora delta orders that are executed by third-party agents. Default: 'market'.
+ * @property {string} [apiUrl] - The url of the Velora api (e.g., to route the requests through a proxy). Default: the public Velora api.
+ * @property {typeof fetch} [fetcher] - A fetch-compatible function used to send the requests to the Velora api. Default: the global fetch.
+ * @property {string} [apiKey] - The api key sent to the Velora api (in the 'X-API-KEY' header).
+ * @property {Record<string, string>} [headers] - Additional headers sent with every request to the Velora api.
+ * @property {string} [partner] - The partner name the swaps are attributed to. Default: 'wdk'.
+ * @property {string} [partnerAddress] - The address collecting the partner fees.
+ * @property {number} [partnerFeeBps] - The fee charged by the partner on each swap, in basis points (at most 200, i.e. 2%). Requires
+ *   the 'partnerAddress' option.
+ * @property {boolean} [simulate] - If true, the swap transactions are simulated against the provider before being signed, and the
+ *   swap is aborted if the simulation fails. Default: false.
+ * @property {number} [cacheTtl] - The time (in milliseconds) during which the rates and transactions returned by the Velora api for
+ *   quotes, routes and prices are cached. Swaps always use fresh rates. Default: 0 (only identical in-flight requests are shared).
+ * @property {number} [retries] - The number of times a request to the Velora api is retried if it is rate-limited (or if a read
+ *   request fails with a server error). Default: 2.
+ * @property {number} [retryDelay] - The delay (in milliseconds) before the first retry, doubled at each following retry (unless the
+ *   api sets a 'Retry-After' header). Default: 500.
+ * @property {boolean} [permit] - If true, the 'swap' method signs an off-chain permit (eip-2612, or permit2 for tokens already
+ *   approved to the permit2 contract) in place of sending an approve transaction, whenever the input token supports it. Only
+ *   applies to non erc-4337 accounts. Default: false.
+ * @property {'fee' | 'tokenIn'} [swapMaxFeeUnit] - The unit of the 'swapMaxFee' option: 'fee' for the unit the fees are paid in (the
+ *   native coin, or the paymaster token for erc-4337 accounts), or 'tokenIn' for the base unit of the input token of each swap (converted
+ *   to the native coin with the usd values of the swap's route). Default: 'fee'.
+ * @property {Partial<Record<VeloraSwapEventName, (payload: VeloraSwapEvent) => void>>} [hooks] - Listeners registered for the
+ *   lifecycle events of the swaps (see {@link VeloraProtocolEvm#on}).
+ * @property {boolean} [compareQuotes] - If true, the Velora routes are compared with on-chain reference quotes of well-known dexes
+ *   (e.g., the uniswap v3 quoter) fetched through the provider, and the quotes report the comparison. Default: false.
+ * @property {number} [maxQuoteShortfall] - If set, the swaps whose Velora route is worse than the best reference quote by more than
+ *   this amount of basis points are refused (implies 'compareQuotes').
+ */
+
+/**
+ * @typedef {'quote' | 'built' | 'approvalSent' | 'approvalConfirmed' | 'feeChecked' | 'sent' | 'confirmed' | 'failed'} VeloraSwapEventName
+ */
+
+/**
+ * @typedef {Object} VeloraSwapEvent
+ * @property {'swap' | 'executeQuote' | 'swapBatch'} operation - The method that emitted the event.
+ * @property {number} id - The id of the operation, shared by all the events it emits.
+ * @property {number} timestamp - The timestamp (in milliseconds) at which the event has been emitted.
+ * @property {string} [tokenIn] - The address of the token to sell ('quote' events).
+ * @property {string} [tokenOut] - The address of the token to buy ('quote' events).
+ * @property {bigint} [tokenInAmount] - The quoted amount of input tokens ('quote' events).
+ * @property {bigint} [tokenOutAmount] - The quoted amount of output tokens ('quote' events).
+ * @property {bigint} [tokenInAmountMax] - The maximum amount of input tokens that can be sold ('quote' events).
+ * @property {bigint} [tokenOutAmountMin] - The minimum amount of output tokens that can be bought ('quote' events).
+ * @property {OptimalRate} [priceRoute] - The price route of the swap ('quote' events, unset for wraps and delta orders).
+ * @property {TransactionParams} [tx] - The swap transaction ('built' events).
+ * @property {string} [spender] - The address of the contract approved to spend the input tokens ('built' and approval events).
+ * @property {'permit' | 'permit2'} [permit] - The kind of permit signed in place of the approval, if any ('built' events).
+ * @property {string} [token] - The address of the approved token (approval events).
+ * @property {string} [hash] - The hash of the approve transaction (approval events) or of the swap ('sent' and 'confirmed' events).
+ * @property {number} [blockNumber] - The number of the block that included the approve transaction ('approvalConfirmed' events).
+ * @property {bigint} [fee] - The fee of the swap ('feeChecked' and 'sent' events).
+ * @property {number | bigint} [maxFee] - The maximum fee allowed, in the unit of the fee ('feeChecked' events).
+ * @property {string} [orderId] - The id of the delta order ('sent' events, in 'delta' mode).
+ * @property {VeloraSwapReceipt} [receipt] - The receipt of the swap ('confirmed' events).
+ * @property {Error} [error] - The error that interrupted the operation ('failed' events).
+ */
+
+/**
+ * @typedef {Object} VeloraGasOptions
+ * @property {'slow' | 'normal' | 'fast'} [speed] - A preset for the fees per gas, based on the priority fees paid in the last blocks
+ *   (their 25th, 50th or 75th percentile) according to the provider's fee history. Default: the provider's fee data.
+ * @property {number | bigint} [maxFeePerGas] - The maximum price (in wei) paid per unit of gas. If set, overrides the 'speed' preset.
+ * @property {number | bigint} [maxPriorityFeePerGas] - The maximum priority fee (in wei) paid per unit of gas. If set, overrides the
+ *   'speed' preset.
+ * @property {number} [gasLimitMultiplier] - The multiplier applied to the estimated gas of the transactions to set their gas limit
+ *   (e.g., 1.2 for a 20% margin).
+ */
+
+/**
+ * @typedef {Object} VeloraRouteOptions
+ * @property {string[]} [includeDexs] - The only dexs the swaps can be routed through (e.g., ['UniswapV3', 'CurveV1']).
+ * @property {string[]} [excludeDexs] - The dexs the swaps must not be routed through.
+ * @property {string[]} [includeContractMethods] - The only Velora contract methods the swaps can be executed with (e.g.,
+ *   ['swapExactAmountIn']).
+ * @property {string[]} [excludeContractMethods] - The Velora contract methods the swaps must not be executed with.
+ * @property {number} [maxImpact] - The maximum price impact tolerated by the Velora api, in percent (default: 15).
+ * @property {boolean} [otherExchangePrices] - If true, the price route also includes the prices quoted by the other exchanges, for
+ *   comparison.
+ */
+
+/** @typedef {SwapProtocolConfig & VeloraSwapProtocolOptions & VeloraRouteOptions & VeloraGasOptions} VeloraSwapProtocolConfig */
+
+/**
+ * @typedef {Object} VeloraSwapCommonOptions
+ * @property {string} [to] - The address (or the ens name) of the recipient of the output tokens. Default: the account's address.
+ * @property {string} tokenIn - The address of the token to sell, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+ * @property {string} tokenOut - The address of the token to buy, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+ * @property {number} [slippage] - The maximum slippage tolerated for the swap, in basis points. If set, overrides the 'slippage'
+ *   option defined in the protocol configuration.
+ * @property {boolean} [simulate] - If set, overrides the 'simulate' option defined in the protocol configuration.
+ * @property {boolean} [permit] - If set, overrides the 'permit' option defined in the protocol configuration.
+ * @property {boolean} [compareQuotes] - If set, overrides the 'compareQuotes' option defined in the protocol configuration.
+ * @property {number} [maxQuoteShortfall] - If set, overrides the 'maxQuoteShortfall' option defined in the protocol configuration.
+ * @property {boolean | VeloraWaitForSwapOptions} [wait] - If set, the 'swap' method waits for the swap to be confirmed and returns its
+ *   receipt along with the result (ignored in 'delta' mode).
+ * @property {number} [destChainId] - The id of the chain to receive the output tokens on. If it differs from the chain of the
+ *   provider, the swap is executed as a cross-chain velora delta order, and 'tokenOut' is the address of the token on that chain.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapBuyOptions
+ * @property {never} [tokenInAmount] - The amount of input tokens to sell.
+ * @property {number | bigint | string} tokenOutAmount - The amount of output tokens to buy, in base unit (or in token units if passed
+ *   as a decimal string holding a decimal point, e.g. '12.5' or '100.0').
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSellOptions
+ * @property {number | bigint | string} tokenInAmount - The amount of input tokens to sell, in base unit (or in token units if passed
+ *   as a decimal string holding a decimal point, e.g. '12.5' or '100.0').
+ * @property {never} [tokenOutAmount] - The amount of output tokens to buy.
+ */
+
+/**
+ * @typedef {Omit<SwapOptions, 'tokenInAmount' | 'tokenOutAmount'> & (VeloraSwapBuyOptions | VeloraSwapSellOptions) &
+ *   VeloraSwapCommonOptions & VeloraRouteOptions & VeloraGasOptions} VeloraSwapOptions
+ */
+
+/**
+ * @typedef {Object} VeloraSwapWorstCaseAmounts
+ * @property {bigint} tokenInAmountMax - The maximum amount of input tokens that can be sold, given the slippage tolerance.
+ * @property {bigint} tokenOutAmountMin - The minimum amount of output tokens that can be bought, given the slippage tolerance.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapApprovals
+ * @property {string} [approveHash] - The hash of the approve transaction (only for non erc-4337 accounts, if an approval was needed).
+ * @property {string} [resetAllowanceHash] - The hash of the transaction resetting the allowance to zero (only for non erc-4337
+ *   accounts, if the input token requires it, e.g. usdt on ethereum).
+ * @property {'permit' | 'permit2'} [permit] - The kind of permit signed in place of an approve transaction, if any.
+ */
+
+/**
+ * @typedef {Object} VeloraTokenMetadata
+ * @property {string} address - The address of the token (0xEeee…EEeE for the native coin).
+ * @property {string} [symbol] - The symbol of the token (unset if the token's contract does not return it as a string).
+ * @property {number} decimals - The number of decimals of the token.
+ */
+
+/**
+ * @typedef {Object} VeloraFormattedAmounts
+ * @property {string} tokenInAmount - The amount of input tokens, in token units (e.g., '12.5').
+ * @property {string} tokenOutAmount - The amount of output tokens, in token units.
+ * @property {string} tokenInAmountMax - The maximum amount of input tokens, in token units.
+ * @property {string} tokenOutAmountMin - The minimum amount of output tokens, in token units.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapFormattedAmounts
+ * @property {VeloraFormattedAmounts} formatted - The amounts of the swap, formatted with the decimals of their tokens.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapRecipient
+ * @property {string} [recipient] - The checksummed address of the recipient of the output tokens (only if the 'to' option is set).
+ */
+
+/** @typedef {SwapResult & VeloraSwapWorstCaseAmounts & VeloraSwapApprovals & VeloraSwapFormattedAmounts & VeloraSwapRecipient} VeloraSwapResult */
+
+/**
+ * @typedef {Object} VeloraSwapBatchLeg
+ * @property {string} tokenIn - The address of the token sold by the leg.
+ * @property {string} tokenOut - The address of the token bought by the leg.
+ * @property {string} [recipient] - The checksummed address of the recipient of the leg's output tokens (only if the 'to' option is set).
+ * @property {bigint} tokenInAmount - The amount of input tokens sold by the leg.
+ * @property {bigint} tokenOutAmount - The amount of output tokens bought by the leg.
+ * @property {bigint} tokenInAmountMax - The maximum amount of input tokens that can be sold, given the slippage tolerance.
+ * @property {bigint} tokenOutAmountMin - The minimum amount of output tokens that can be bought, given the slippage tolerance.
+ * @property {VeloraFormattedAmounts} formatted - The amounts of the leg, formatted with the decimals of their tokens.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapBatchResult
+ * @property {string} [hash] - The hash of the user operation executing all the swaps (only for erc-4337 accounts).
+ * @property {bigint} fee - The total gas cost of the swaps.
+ * @property {(VeloraSwapBatchLeg | VeloraSwapResult)[]} legs - The results of the swaps, in the same order as their options. For
+ *   non erc-4337 accounts, each leg is the result of its own swap transaction.
+ */
+
+/**
+ * @typedef {Object} VeloraWaitForSwapOptions
+ * @property {number} [confirmations] - The number of confirmations to wait for. Default: 1.
+ * @property {number} [timeout] - The maximum time to wait for the confirmations (in milliseconds). Default: 2 minutes.
+ * @property {string} [tokenIn] - The address of the token sold, to report the amount actually spent.
+ * @property {string} [tokenOut] - The address of the token bought, to report the amount actually received.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapReceipt
+ * @property {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+ * @property {string} transactionHash - The hash of the transaction that included the swap.
+ * @property {number} blockNumber - The number of the block that included the swap.
+ * @property {bigint} fee - The gas actually paid for the swap (in wei).
+ * @property {Record<string, bigint>} balanceChanges - The balance changes of the account, by token address, computed from the erc-20
+ *   transfer events of the transaction (negative for the tokens spent, positive for the tokens received).
+ * @property {bigint} [tokenInAmount] - The amount of input tokens actually spent (only if the 'tokenIn' option is an erc-20 token).
+ * @property {bigint} [tokenOutAmount] - The amount of output tokens actually received (only if the 'tokenOut' option is an erc-20
+ *   token).
+ */
+
+/**
+ * @typedef {Object} VeloraSwapWaitResult
+ * @property {VeloraSwapReceipt} [receipt] - The receipt of the swap (only if the 'wait' option is set).
+ */
+
+/**
+ * @typedef {Object} VeloraSwapSimulation
+ * @property {boolean} success - True if the simulated swap succeeded.
+ * @property {string} [revertReason] - The revert reason of the simulated swap (only if it failed).
+ * @property {Record<string, bigint>} [balanceChanges] - The balance changes of the account in the simulation, by token address (negative
+ *   for the tokens spent, positive for the tokens received), excluding the fee. Only set if the simulated swap succeeded.
+ */
+
+/**
+ * @typedef {Object} VeloraBridgeFee
+ * @property {string} token - The address of the token the fee is paid in.
+ * @property {bigint} amount - The amount of the fee, in base unit of its token.
+ * @property {bigint} tokenInAmount - The amount of the fee, converted to input tokens.
+ * @property {number} amountUsd - The value of the fee, in usd.
+ */
+
+/**
+ * @typedef {Object} VeloraBridgeDetails
+ * @property {string} protocol - The name of the bridge protocol (e.g., 'Across').
+ * @property {number} destChainId - The id of the chain the output tokens are bridged to.
+ * @property {bigint} tokenOutAmount - The amount of output tokens expected on the destination chain, after the bridge fees.
+ * @property {VeloraBridgeFee[]} fees - The fees charged by the bridge.
+ * @property {number} estimatedTime - The estimated duration of the bridge transfer (in milliseconds).
+ */
+
+/**
+ * @typedef {Object} VeloraDeltaOrderDetails
+ * @property {string} orderId - The id of the delta order.
+ * @property {number} [destChainId] - The id of the chain the output tokens are received on (only for cross-chain swaps).
+ * @property {VeloraBridgeDetails} [bridge] - The details of the bridge transfer (only for cross-chain swaps).
+ */
+
+/** @typedef {Omit<VeloraSwapResult, 'hash'> & VeloraDeltaOrderDetails} VeloraDeltaSwapResult */
+
+/**
+ * @typedef {Object} VeloraDeltaOrderParams
+ * @property {DeltaPrice} price - The delta price the order will be built with.
+ * @property {'SELL' | 'BUY'} side - The side of the order.
+ * @property {string} [beneficiary] - The address of the recipient of the output tokens.
+ */
+
+/**
+ * @typedef {Object} VeloraWaitForCrossChainSwapOptions
+ * @property {number} [timeout] - The maximum time to wait for the output tokens to arrive on the destination chain (in milliseconds).
+ *   Default: 30 minutes.
+ */
+
+/**
+ * @typedef {Object} VeloraLimitOrderOptions
+ * @property {string} tokenIn - The address of the token to sell.
+ * @property {string} tokenOut - The address of the token to buy.
+ * @property {number | bigint | string} tokenInAmount - The amount of input tokens to sell, in base unit (or in token units if passed
+ *   as a decimal string holding a decimal point, e.g. '100.0').
+ * @property {number | bigint | string} tokenOutAmount - The amount of output tokens to receive in exchange, in base unit (or in token
+ *   units if passed as a decimal string holding a decimal point).
+ * @property {number} [expiry] - The timestamp (in seconds) after which the order cannot be filled anymore. Default: 0 (never expires).
+ * @property {string} [taker] - The address of the only account allowed to fill the order (p2p orders). By default, anyone can fill it.
+ */
+
+/**
+ * @typedef {Object} VeloraLimitOrderResult
+ * @property {string} orderHash - The hash of the limit order.
+ * @property {LimitOrderFromApi} order - The limit order, as registered by the Velora api.
+ * @property {bigint} fee - The gas cost of the approval (zero if no approval was needed).
+ */
+
+/** @typedef {VeloraLimitOrderResult & VeloraSwapApprovals} VeloraCreateLimitOrderResult */
+
+/**
+ * @typedef {Object} VeloraBridgeStatus
+ * @property {'pending' | 'filled' | 'expired' | 'refunded'} status - The status of the bridge transfer.
+ * @property {bigint} [tokenOutAmount] - The amount of output tokens sent on the destination chain.
+ * @property {string} [fillHash] - The hash of the transaction that delivered the output tokens on the destination chain (only if
+ *   the transfer has been filled).
+ * @property {string} [refundHash] - The hash of the transaction that refunded the deposit on the source chain (only if the
+ *   transfer has been refunded).
+ */
+
+/**
+ * @typedef {Object} VeloraDeltaOrderStatus
+ * @property {DeltaAuctionStatus} status - The status of the order's auction.
+ * @property {string} [hash] - The hash of the transaction that executed the order (only if the order has been executed).
+ * @property {VeloraBridgeStatus} [bridge] - The status of the bridge transfer (only for cross-chain swaps whose order has been
+ *   executed).
+ */
+
+/**
+ * @typedef {Object} VeloraSwapQuoteDetails
+ * @property {string} tokenIn - The address of the token to sell.
+ * @property {string} tokenOut - The address of the token to buy.
+ * @property {OptimalRate} [priceRoute] - The price route the swap transaction has been built with (unset for wrap and unwrap
+ *   operations, which do not go through the Velora protocol).
+ * @property {TransactionParams} [tx] - The swap transaction (unset for delta orders).
+ * @property {VeloraDeltaOrderParams} [deltaOrder] - The parameters of the delta order (only for quotes built in 'delta' mode, or for
+ *   cross-chain swaps).
+ * @property {number} [destChainId] - The id of the chain the output tokens are received on (only for cross-chain swaps).
+ * @property {VeloraBridgeDetails} [bridge] - The details of the bridge transfer, including its fees (only for cross-chain swaps).
+ * @property {string} [spender] - The address of the contract that must be approved to spend the input tokens.
+ * @property {VeloraQuoteComparison} [comparison] - The comparison of the Velora route with the best reference quote (only if the
+ *   'compareQuotes' or 'maxQuoteShortfall' options are set, and if a reference quote has been found for the pair).
+ * @property {number} chainId - The id of the chain the quote has been built for.
+ * @property {string} address - The address of the account the quote has been built for.
+ * @property {number} expiresAt - The timestamp (in milliseconds) after which the quote cannot be executed anymore.
+ */
+
+/**
+ * @typedef {Object} VeloraRouteExchange
+ * @property {string} dex - The name of the dex (e.g., 'UniswapV3').
+ * @property {number} percent - The share of the hop's amount swapped through the dex, in percent.
+ */
+
+/**
+ * @typedef {Object} VeloraRouteHop
+ * @property {string} tokenIn - The address of the token sold in the hop.
+ * @property {string} tokenOut - The address of the token bought in the hop.
+ * @property {VeloraRouteExchange[]} exchanges - The dexs the hop is split between.
+ */
+
+/**
+ * @typedef {Object} VeloraRoutePath
+ * @property {number} percent - The share of the swapped amount going through the path, in percent.
+ * @property {VeloraRouteHop[]} hops - The successive hops of the path.
+ */
+
+/**
+ * @typedef {Object} VeloraRoute
+ * @property {string} tokenIn - The address of the token to sell.
+ * @property {string} tokenOut - The address of the token to buy.
+ * @property {bigint} tokenInAmount - The amount of input tokens sold along the route.
+ * @property {bigint} tokenOutAmount - The amount of output tokens bought along the route.
+ * @property {number} [tokenInUsd] - The usd value of the input tokens (unset if the Velora api has no usd price for the token).
+ * @property {number} [tokenOutUsd] - The usd value of the output tokens (unset if the Velora api has no usd price for the token).
+ * @property {number} [priceImpact] - The price impact of the route, in basis points (unset if the usd values are not available).
+ * @property {number} gasCostUsd - The estimated gas cost of the swap, in usd.
+ * @property {string} spender - The address of the contract that must be approved to spend the input tokens.
+ * @property {string} contractAddress - The address of the Velora contract executing the swap.
+ * @property {string} contractMethod - The Velora contract method executing the swap.
+ * @property {number} blockNumber - The number of the block the route has been priced at.
+ * @property {VeloraRoutePath[]} paths - The paths the swapped amount is split between.
+ */
+
+/**
+ * @typedef {Object} VeloraPriceOptions
+ * @property {string} tokenIn - The address of the token to sell, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+ * @property {string} tokenOut - The address of the token to buy, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+ * @property {number | bigint | string} amount - The amount of input tokens to sell (or of output tokens to buy, if the side is 'BUY'),
+ *   in base unit (or in token units if passed as a decimal string holding a decimal point, e.g. '12.5' or '1.0').
+ * @property {'SELL' | 'BUY'} [side] - The side of the price. Default: 'SELL'.
+ */
+
+/**
+ * @typedef {Object} VeloraPrice
+ * @property {string} tokenIn - The address of the token to sell.
+ * @property {string} tokenOut - The address of the token to buy.
+ * @property {'SELL' | 'BUY'} side - The side of the price.
+ * @property {bigint} tokenInAmount - The amount of input tokens sold.
+ * @property {bigint} tokenOutAmount - The amount of output tokens bought.
+ * @property {number} price - The amount of output tokens bought per input token sold, in token units.
+ * @property {number} blockNumber - The number of the block the price has been computed at.
+ */
+
+/**
+ * @typedef {Object} VeloraPriceSubscriptionOptions
+ * @property {number} [interval] - The time (in milliseconds) between two price lookups. Default: 10 seconds.
+ * @property {(error: Error) => void} [onError] - A callback called if a price lookup fails (the subscription keeps polling).
+ */
+
+/**
+ * @typedef {Object} VeloraQuoteComparison
+ * @property {string} source - The name of the dex of the best reference quote (e.g., 'UniswapV3').
+ * @property {number} poolFee - The fee tier of the pool of the best reference quote (in hundredths of a basis point, e.g. 500 for 0.05%).
+ * @property {bigint} tokenInAmount - The amount of input tokens of the reference quote.
+ * @property {bigint} tokenOutAmount - The amount of output tokens of the reference quote.
+ * @property {number} advantage - How much better the Velora route is than the reference quote, in basis points (negative if it is
+ *   worse): the extra output tokens received when selling, or the input tokens saved when buying.
+ */
+
+/**
+ * @typedef {Object} VeloraSwapQuoteRoute
+ * @property {VeloraRoute} [route] - The summary of the swap's route (only if the 'detailed' option is set, and unset for delta
+ *   orders, wrap and unwrap operations).
+ */
+
+/** @typedef {Omit<VeloraSwapResult, 'hash' | keyof VeloraSwapApprovals> & VeloraSwapQuoteDetails & VeloraSwapQuoteRoute} VeloraSwapQuote */
+
+const MAX_BPS = 10_000
+
+const DEFAULT_QUOTE_TTL = 30_000
+
+const DEFAULT_PARTNER = 'wdk'
+
+const DEFAULT_WAIT_TIMEOUT = 120_000
+
+const RECEIPT_POLLING_INTERVAL = 2_000
+
+const DEFAULT_CROSS_CHAIN_TIMEOUT = 1_800_000
+
+const CROSS_CHAIN_POLLING_INTERVAL = 10_000
+
+const FAILED_DELTA_STATUSES = ['FAILED', 'EXPIRED', 'CANCELLED']
+
+const DEFAULT_PRICE_INTERVAL = 10_000
+
+const DEFAULT_RETRIES = 2
+
+const DEFAULT_RETRY_DELAY = 500
+
+const PERMIT_DEADLINE = 1_800
+
+const FEE_HISTORY_BLOCKS = 10
+
+const FEE_HISTORY_PERCENTILES = { slow: 25, normal: 50, fast: 75 }
+
+const SWAP_EVENTS = ['quote', 'built', 'approvalSent', 'approvalConfirmed', 'feeChecked', 'sent', 'confirmed', 'failed']
+
+const MAX_PARTNER_FEE_BPS = 200
+
+const NATIVE_TOKEN_ADDRESS = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+
+const NATIVE_TOKEN_ALIAS = 'native'
+
+const AUGUSTUS_V6_ADDRESS = '0x6A000F20005980200259B80c5102003040001068'
+
+/**
+ * The chains supported by the Velora protocol, with their defaults. The native coin is always represented by the 0xEeee…EEeE
+ *   placeholder.
+ *
+ * @type {Record<number, { name: string, nativeSymbol: string, wrappedNativeToken: string, augustus: string }>}
+ */
+const SUPPORTED_CHAINS = {
+  1: { name: 'Ethereum', nativeSymbol: 'ETH', wrappedNativeToken: '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2', augustus: AUGUSTUS_V6_ADDRESS },
+  10: { name: 'Optimism', nativeSymbol: 'ETH', wrappedNativeToken: '0x4200000000000000000000000000000000000006', augustus: AUGUSTUS_V6_ADDRESS },
+  56: { name: 'BSC', nativeSymbol: 'BNB', wrappedNativeToken: '0xbb4CdB9CBd36B01bD1cBaEBF2De08d9173bc095c', augustus: AUGUSTUS_V6_ADDRESS },
+  100: { name: 'Gnosis', nativeSymbol: 'XDAI', wrappedNativeToken: '0xe91D153E0b41518A2Ce8Dd3D7944Fa863463a97d', augustus: AUGUSTUS_V6_ADDRESS },
+  137: { name: 'Polygon', nativeSymbol: 'POL', wrappedNativeToken: '0x0d500B1d8E8eF31E21C99d1Db9A6444d3ADf1270', augustus: AUGUSTUS_V6_ADDRESS },
+  8453: { name: 'Base', nativeSymbol: 'ETH', wrappedNativeToken: '0x4200000000000000000000000000000000000006', augustus: AUGUSTUS_V6_ADDRESS },
+  42161: { name: 'Arbitrum', nativeSymbol: 'ETH', wrappedNativeToken: '0x82aF49447D8a07e3bd95BD0d56f35241523fBab1', augustus: AUGUSTUS_V6_ADDRESS },
+  43114: { name: 'Avalanche', nativeSymbol: 'AVAX', wrappedNativeToken: '0xB31f66AA3C1e785363F0875A1B74E27b85FD66c7', augustus: AUGUSTUS_V6_ADDRESS }
+}
+
+const USDT_MAINNET_ADDRESS = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+const DELTA_DOMAIN = { name: 'Portikus', version: '2.0.0' }
+
+const SAFE_MESSAGE_TYPES = {
+  SafeMessage: [{ name: 'message', type: 'bytes' }]
+}
+
+const DELTA_CANCELLATION_TYPES = {
+  OrderCancellations: [{ name: 'orderIds', type: 'string[]' }]
+}
+
+const ERC_20_INTERFACE = new Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'function decimals() view returns (uint8)',
+  'function symbol() view returns (string)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+])
+
+const ENTRY_POINT_INTERFACE = new Interface([
+  'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)'
+])
+
+const AUGUSTUS_RFQ_INTERFACE = new Interface([
+  'function fillOrder((uint256 nonceAndMeta, uint128 expiry, address makerAsset, address takerAsset, address maker, address taker, uint256 makerAmount, uint256 takerAmount) order, bytes signature)',
+  'function cancelOrder(bytes32 orderHash)'
+])
+
+const AUGUSTUS_V6_GENERIC_DATA = '(address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, address beneficiary)'
+
+const AUGUSTUS_V6_UNISWAP_DATA = '(address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, address beneficiary, bytes pools)'
+
+const AUGUSTUS_V6_INTERFACE = new Interface([
+  `function swapExactAmountIn(address executor, ${AUGUSTUS_V6_GENERIC_DATA} swapData, uint256 partnerAndFee, bytes permit, bytes executorData) payable`,
+  `function swapExactAmountOut(address executor, ${AUGUSTUS_V6_GENERIC_DATA} swapData, uint256 partnerAndFee, bytes permit, bytes executorData) payable`,
+  `function swapExactAmountInOnUniswapV2(${AUGUSTUS_V6_UNISWAP_DATA} uniData, uint256 partnerAndFee, bytes permit) payable`,
+  `function swapExactAmountOutOnUniswapV2(${AUGUSTUS_V6_UNISWAP_DATA} uniData, uint256 partnerAndFee, bytes permit) payable`,
+  `function swapExactAmountInOnUniswapV3(${AUGUSTUS_V6_UNISWAP_DATA} uniData, uint256 partnerAndFee, bytes permit) payable`,
+  `function swapExactAmountOutOnUniswapV3(${AUGUSTUS_V6_UNISWAP_DATA} uniData, uint256 partnerAndFee, bytes permit) payable`,
+  'function swapExactAmountInOnCurveV1((uint256 curveData, uint256 curveAssets, address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, address beneficiary) curveV1Data, uint256 partnerAndFee, bytes permit) payable',
+  'function swapExactAmountInOnCurveV2((uint256 curveData, uint256 i, uint256 j, address poolAddress, address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, address beneficiary) curveV2Data, uint256 partnerAndFee, bytes permit) payable',
+  'function swapExactAmountInOnBalancerV2((uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, uint256 beneficiaryAndApproveFlag) balancerData, uint256 partnerAndFee, bytes permit, bytes data) payable',
+  'function swapExactAmountOutOnBalancerV2((uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, uint256 beneficiaryAndApproveFlag) balancerData, uint256 partnerAndFee, bytes permit, bytes data) payable',
+  'function swapExactAmountInOutOnMakerPSM((address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 toll, bytes32 metadata, uint256 beneficiaryDirectionApproveFlag) makerPSMData, bytes permit)',
+  'function swapOnAugustusRFQTryBatchFill((uint256 fromAmount, uint256 toAmount, uint8 wrapApproveDirection, bytes32 metadata, address beneficiary) data, ((uint256 nonceAndMeta, uint128 expiry, address makerAsset, address takerAsset, address maker, address taker, uint256 makerAmount, uint256 takerAmount) order, bytes signature, uint256 takerTokenFillAmount, bytes permitTakerAsset, bytes permitMakerAsset)[] orders, bytes permit) payable'
+])
+
+const BALANCER_V2_VAULT_INTERFACE = new Interface([
+  'function swap((bytes32 poolId, uint8 kind, address assetIn, address assetOut, uint256 amount, bytes userData) singleSwap, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, uint256 limit, uint256 deadline) payable',
+  'function batchSwap(uint8 kind, (bytes32 poolId, uint256 assetInIndex, uint256 assetOutIndex, uint256 amount, bytes userData)[] swaps, address[] assets, (address sender, bool fromInternalBalance, address recipient, bool toInternalBalance) funds, int256[] limits, uint256 deadline) payable'
+])
+
+const UNISWAP_V3_QUOTER_V2_INTERFACE = new Interface([
+  'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)',
+  'function quoteExactOutputSingle((address tokenIn, address tokenOut, uint256 amount, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountIn, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+])
+
+/**
+ * The addresses of the uniswap v3 'QuoterV2' contracts used as references for the Velora routes, by chain id.
+ *
+ * @type {Record<number, string>}
+ */
+const UNISWAP_V3_QUOTERS = {
+  1: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+  10: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+  56: '0x78D78E420Da98ad378D7799bE8f4AF69033EB077',
+  137: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+  8453: '0x3d4e44Eb1374240CE5F1B871ab261CD16335B76a',
+  42161: '0x61fFE014bA17989E743c5F6cB21bF9697530B21e',
+  43114: '0xbe0F5544EC67e9B3b2D979aaA43f18Fd87E6257F'
+}
+
+const UNISWAP_V3_FEE_TIERS = [100, 500, 3_000, 10_000]
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000'
+
+const ADDRESS_MASK = (1n << 160n) - 1n
+
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3'
+
+const ERC_20_PERMIT_INTERFACE = new Interface([
+  'function name() view returns (string)',
+  'function version() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function DOMAIN_SEPARATOR() view returns (bytes32)'
+])
+
+const PERMIT2_INTERFACE = new Interface([
+  'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+])
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+}
+
+const PERMIT2_TYPES = {
+  PermitSingle: [
+    { name: 'details', type: 'PermitDetails' },
+    { name: 'spender', type: 'address' },
+    { name: 'sigDeadline', type: 'uint256' }
+  ],
+  PermitDetails: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint160' },
+    { name: 'expiration', type: 'uint48' },
+    { name: 'nonce', type: 'uint48' }
+  ]
+}
+
+const WRAPPED_NATIVE_TOKEN_INTERFACE = new Interface([
+  'function deposit() payable',
+  'function withdraw(uint256 amount)'
+])
+
+function isSameAddress (a, b) {
+  return a.toLowerCase() === b.toLowerCase()
+}
+
 export default class VeloraProtocolEvm extends SwapProtocol {
   /**
    * Creates a new read-only interface to the Velora protocol for evm blockchains.
    *
    * @overload
    * @param {WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337} account - The wallet account to use to interact with the protocol.
-   * @param {SwapProtocolConfig} [config] - The swap protocol configuration.
+   * @param {VeloraSwapProtocolConfig} [config] - The swap protocol configuration.
    */
 
   /**
@@ -44,147 +654,2821 @@ export default class VeloraProtocolEvm extends SwapProtocol {
    *
    * @overload
    * @param {WalletAccountEvm | WalletAccountEvmErc4337} account - The wallet account to use to interact with the protocol.
-   * @param {SwapProtocolConfig} [config] - The swap protocol configuration.
+   * @param {VeloraSwapProtocolConfig} [config] - The swap protocol configuration.
    */
   constructor (account, config) {
     super(account, config)
 
+    if (this._config.slippage !== undefined) {
+      VeloraProtocolEvm._validateSlippage(this._config.slippage)
+    }
+
+    if (this._config.mode !== undefined && this._config.mode !== 'market' && this._config.mode !== 'delta') {
+      throw new Error(`Unsupported swap mode '${this._config.mode}': expected 'market' or 'delta'.`)
+    }
+
+    VeloraProtocolEvm._validateApiOptions(this._config)
+
+    VeloraProtocolEvm._validateRouteOptions(this._config)
+
+    VeloraProtocolEvm._validateGasOptions(this._config)
+
+    VeloraProtocolEvm._validateMaxQuoteShortfall(this._config.maxQuoteShortfall)
+
+    if (this._config.swapMaxFeeUnit !== undefined && this._config.swapMaxFeeUnit !== 'fee' && this._config.swapMaxFeeUnit !== 'tokenIn') {
+      throw new Error(`Unsupported swap max fee unit '${this._config.swapMaxFeeUnit}': expected 'fee' or 'tokenIn'.`)
+    }
+
     /** @private */
     this._veloraSdk = undefined
 
+    /**
+     * @private
+     * @type {Map<string, VeloraTokenMetadata>}
+     */
+    this._tokensMetadata = new Map()
+
+    /**
+     * @private
+     * @type {Map<string, VeloraTokenMetadata>}
+     */
+    this._crossChainTokensMetadata = new Map()
+
+    /** @private */
+    this._events = new EventEmitter()
+
+    /**
+     * The listeners registered for the lifecycle events, wrapped so that their errors cannot interrupt the swaps.
+     *
+     * @private
+     * @type {WeakMap<Function, Function>}
+     */
+    this._safeListeners = new WeakMap()
+
+    /** @private */
+    this._operationsCount = 0
+
+    for (const [event, listener] of Object.entries(this._config.hooks ?? {})) {
+      this.on(event, listener)
+    }
+
+    /**
+     * The pending and cached requests to the Velora api, by request key.
+     *
+     * @private
+     * @type {Map<string, { promise: Promise<any>, expiresAt: number }>}
+     */
+    this._requests = new Map()
+
+    /**
+     * The time each cached response of the Velora api has been requested at.
+     *
+     * @private
+     * @type {WeakMap<object, number>}
+     */
+    this._requestTimes = new WeakMap()
+
     if (account._config.provider) {
       const { provider } = account._config
 
       /** @private */
       this._provider = typeof provider === 'string'
         ? new JsonRpcProvider(provider)
-        : new BrowserProvider(provider)
+        : new BrowserProvider(provider, 'any')
     }
   }
 
+  /**
+   * Registers a listener for a lifecycle event of the swaps.
+   *
+   * The 'swap' method emits, in order: 'quote' (the swap has been priced), 'built' (the swap transaction has been built),
+   *   'approvalSent' and 'approvalConfirmed' (for each approve transaction, if any), 'feeChecked' (the fee has been quoted and checked
+   *   against the 'swapMaxFee' option), 'sent' (the swap has been sent) and, if the 'wait' option is set, 'confirmed'. The
+   *   'executeQuote' method emits the same events from 'approvalSent' on, since its swap has already been priced and built by the
+   *   'quoteSwap' method. With erc-4337 accounts, the 'swapBatch' method emits 'quote' and 'built' for each swap, then 'feeChecked'
+   *   and 'sent' for the user operation; with other accounts, each of its swaps is a separate 'swap' operation. If an operation
+   *   throws, a 'failed' event is emitted instead of the remaining ones. All the events of an operation share its 'id'.
+   *
+   * Listeners are called synchronously, and the errors they throw (or the promises they return rejecting) are ignored so that they cannot interrupt the swaps.
+   *
+   * @param {VeloraSwapEventName} event - The name of the event.
+   * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+   * @returns {this} The protocol, for chaining.
+   */
+  on (event, listener) {
+    VeloraProtocolEvm._validateEventListener(event, listener)
+
+    this._events.on(event, this._getSafeListener(listener))
+
+    return this
+  }
+
+  /**
+   * Registers a listener called only once, the next time a lifecycle event of the swaps is emitted.
+   *
+   * @param {VeloraSwapEventName} event - The name of the event.
+   * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+   * @returns {this} The protocol, for chaining.
+   */
+  once (event, listener) {
+    VeloraProtocolEvm._validateEventListener(event, listener)
+
+    this._events.once(event, this._getSafeListener(listener))
+
+    return this
+  }
+
+  /**
+   * Removes a listener previously registered with the {@link VeloraProtocolEvm#on} or {@link VeloraProtocolEvm#once} methods.
+   *
+   * @param {VeloraSwapEventName} event - The name of the event.
+   * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+   * @returns {this} The protocol, for chaining.
+   */
+  off (event, listener) {
+    this._events.off(event, this._getSafeListener(listener))
+
+    return this
+  }
+
   /**
    * Swaps a pair of tokens.
    *
-   * Users must first approve the necessary amount of input tokens to the Velora protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the allowance of the input token to the Velora protocol is not sufficient, the necessary approval is sent before the swap. If
+   *   the protocol has been initialized with an erc-4337 wallet account, the approval and the swap are sent in a single user operation.
+   *   If the 'permit' option is enabled, a permit is signed in place of the approval whenever the input token supports it.
+   *
+   * Swaps between the native coin and its wrapped token (e.g., eth and weth) are performed directly through the wrapped token's
+   *   contract, without going through the Velora protocol.
+   *
+   * In 'delta' mode, the swap is signed as a gasless velora delta order and submitted to the Velora api, and the id of the order is
+   *   returned in place of a transaction hash. Only the approval (if needed) is sent on-chain.
+   *
+   * If the 'destChainId' option targets another chain, the swap is always executed as a cross-chain velora delta order, whose output
+   *   tokens are bridged to the destination chain (see {@link VeloraProtocolEvm#waitForCrossChainSwap}).
    *
-   * @param {SwapOptions} options - The swap's options.
+   * If approvals have to be sent first, the pair is quoted again once they have been mined, and the swap is rejected if the price has
+   *   moved beyond its worst-case amounts (i.e., outside of the slippage tolerance) in the meantime.
+   *
+   * By default, the method returns as soon as the swap has been sent, with the quoted amounts. If the 'wait' option is set, it also
+   *   waits for the swap to be confirmed (see {@link VeloraProtocolEvm#waitForSwap}) and returns its receipt.
+   *
+   * @param {VeloraSwapOptions} options - The swap's options.
    * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
    *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
    *   'swapMaxFee' option defined in the protocol configuration.
-   * @returns {Promise<SwapResult>} The swap's result.
+   * @returns {Promise<(VeloraSwapResult & VeloraSwapWaitResult) | VeloraDeltaSwapResult>} The swap's result.
+   * @throws {SlippageExceededError} If the price has moved beyond the worst-case amounts of the swap while its approvals were mined.
    */
   async swap (options, config) {
     if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
-      throw new Error("The 'swap(options)' method requires the protocol to be initialized with a non read-only account.")
+      throw new ReadOnlyAccountError('swap(options)')
     }
 
     if (!this._provider) {
-      throw new Error('The wallet must be connected to a provider in order to perform swap operations.')
+      throw new NoProviderError('perform swap operations')
     }
 
-    const { swapTx, tokenInAmount, tokenOutAmount } = await this._getSwapTransactions(options)
+    const context = this._createEventContext('swap')
 
-    if (this._account instanceof WalletAccountEvmErc4337) {
-      const { swapMaxFee } = config ?? this._config
+    try {
+      return await this._swap(options, config, context)
+    } catch (error) {
+      this._emit('failed', context, { error })
 
-      const { fee } = await this._account.quoteSendTransaction([swapTx], config)
+      throw error
+    }
+  }
 
-      if (swapMaxFee !== undefined && fee >= swapMaxFee) {
-        throw new Error('Exceeded maximum fee cost for swap operation.')
-      }
+  /** @private */
+  async _swap (options, config, context) {
+    const destChainId = await this._getDestinationChainId(options)
 
-      const { hash } = await this._account.sendTransaction([swapTx], config)
+    if (this._config.mode === 'delta' || destChainId !== undefined) {
+      const order = await this._getDeltaOrder({ ...options, destChainId })
 
-      return { hash, fee, tokenInAmount, tokenOutAmount }
+      this._emit('quote', context, VeloraProtocolEvm._getQuoteEventPayload(order))
+
+      return await this._sendDeltaOrder(order, context)
     }
 
-    const { fee } = await this._account.quoteSendTransaction(swapTx)
+    const { tokenIn, tokenOut, recipient, swapTx, spender, permit, priceRoute, tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin } =
+      await this._getSwapTransactions(options, { permit: options.permit ?? this._config.permit, context })
+
+    const result = {
+      ...await this._sendSwapTransactions({
+        tokenIn,
+        tokenOut,
+        recipient,
+        tx: swapTx,
+        spender: permit ? undefined : spender,
+        priceRoute,
+        tokenInAmount,
+        tokenOutAmount,
+        tokenInAmountMax,
+        tokenOutAmountMin,
+        simulate: options.simulate ?? this._config.simulate,
+        gasOptions: VeloraProtocolEvm._getGasOptions(this._config, options),
+        context
+      }, config),
+      ...(permit && { permit })
+    }
 
-    if (this._config.swapMaxFee !== undefined && fee >= this._config.swapMaxFee) {
-      throw new Error('Exceeded maximum fee cost for swap operation.')
+    if (!options.wait) {
+      return result
     }
 
-    const { hash } = await this._account.sendTransaction(swapTx)
+    const receipt = await this.waitForSwap(result.hash, {
+      ...(typeof options.wait === 'object' && options.wait),
+      tokenIn,
+      tokenOut
+    })
+
+    this._emit('confirmed', context, { hash: result.hash, receipt })
 
-    return { hash, fee, tokenInAmount, tokenOutAmount }
+    return { ...result, receipt }
   }
 
   /**
-   * Quotes the costs of a swap operation.
+   * Swaps several pairs of tokens in a single operation.
    *
-   * Users must first approve the necessary amount of input tokens to the Velora protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+   * If the protocol has been initialized with an erc-4337 wallet account, all the swaps are priced first, then sent along with the
+   *   approvals they need in a single user operation, so the gas is only paid once and the swaps either all succeed or all fail. The
+   *   'swapMaxFee' option applies to the fee of the whole user operation. The user operation is simulated as a whole if the 'simulate'
+   *   option is enabled for any of the swaps, and the swaps cannot set the 'wait' option (the batch's hash can be passed to
+   *   {@link VeloraProtocolEvm#waitForSwap} instead).
    *
-   * @param {SwapOptions} options - The swap's options.
-   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337
-   *   wallet account, overrides the 'paymasterToken' option defined in its configuration.
-   * @returns {Promise<Omit<SwapResult, 'hash'>>} The swap's quotes.
+   * With other wallet accounts, the swaps are performed one after another, exactly as with the {@link VeloraProtocolEvm#swap} method.
+   *   If a swap fails, a {@link SwapBatchError} holding the results of the previous swaps is thrown.
+   *
+   * @param {VeloraSwapOptions[]} legs - The options of each swap.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+   *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+   *   'swapMaxFee' option defined in the protocol configuration.
+   * @returns {Promise<VeloraSwapBatchResult>} The batch's result.
    */
-  async quoteSwap (options, config) {
+  async swapBatch (legs, config) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('swapBatch(legs)')
+    }
+
     if (!this._provider) {
-      throw new Error('The wallet must be connected to a provider in order to quote swap operations.')
+      throw new NoProviderError('perform swap operations')
     }
 
-    const { swapTx, tokenInAmount, tokenOutAmount } = await this._getSwapTransactions(options)
+    if (this._config.mode === 'delta') {
+      throw new Error("Swap batches are not available in 'delta' mode.")
+    }
 
-    if (this._account instanceof WalletAccountReadOnlyEvmErc4337) {
-      const { fee } = await this._account.quoteSendTransaction([swapTx], config)
+    for (const options of legs) {
+      if (await this._getDestinationChainId(options) !== undefined) {
+        throw new Error('Swap batches cannot contain cross-chain swaps.')
+      }
+    }
+
+    if (legs.length === 0) {
+      throw new Error('A swap batch must contain at least one swap.')
+    }
+
+    if (!(this._account instanceof WalletAccountEvmErc4337)) {
+      const results = []
+
+      for (const [index, options] of legs.entries()) {
+        try {
+          results.push(await this.swap(options, config))
+        } catch (error) {
+          throw new SwapBatchError(index, results, error)
+        }
+      }
+
+      return {
+        fee: results.reduce((fee, result) => fee + result.fee, 0n),
+        legs: results
+      }
+    }
 
-      return { fee, tokenInAmount, tokenOutAmount }
+    // A user operation can only be waited for as a whole, with the hash of the batch:
+    if (legs.some(options => options.wait)) {
+      throw new Error("The swaps of a batch sent as a single user operation do not support the 'wait' option: wait for the batch with 'waitForSwap'.")
     }
 
-    const { fee } = await this._account.quoteSendTransaction(swapTx)
+    const context = this._createEventContext('swapBatch')
 
-    return { fee, tokenInAmount, tokenOutAmount }
+    try {
+      return await this._swapBatch(legs, config, context)
+    } catch (error) {
+      this._emit('failed', context, { error })
+
+      throw error
+    }
   }
 
   /** @private */
-  async _getVeloraSdk () {
-    if (!this._veloraSdk) {
-      const network = await this._provider.getNetwork()
+  async _swapBatch (legs, config, context) {
+    const swaps = []
 
-      this._veloraSdk = constructSimpleSDK({
-        fetch,
-        chainId: Number(network.chainId)
+    for (const options of legs) {
+      swaps.push(await this._getSwapTransactions(options, { context }))
+    }
+
+    // Several legs can sell the same token, so the approvals and the balance checks must cover their combined amounts:
+    const allowances = new Map()
+
+    const balances = new Map()
+
+    for (const { tokenIn, spender, tokenInAmountMax } of swaps) {
+      const allowance = allowances.get(`${tokenIn}:${spender}`.toLowerCase()) ?? { token: tokenIn, spender, amount: 0n }
+
+      allowances.set(`${tokenIn}:${spender}`.toLowerCase(), { ...allowance, amount: allowance.amount + tokenInAmountMax })
+
+      const balance = balances.get(tokenIn.toLowerCase()) ?? { token: tokenIn, amount: 0n }
+
+      balances.set(tokenIn.toLowerCase(), { ...balance, amount: balance.amount + tokenInAmountMax })
+    }
+
+    const approveTxs = []
+
+    for (const { token, spender, amount } of allowances.values()) {
+      approveTxs.push(...await this._getApproveTransactions(token, spender, amount))
+    }
+
+    const txs = [...approveTxs, ...swaps.map(({ swapTx }) => swapTx)]
+
+    // The swaps are sent together, so the whole user operation is simulated as soon as one of them enables the simulation:
+    if (legs.some(options => options.simulate ?? this._config.simulate)) {
+      const { success, reason, data } = await this._simulateTransactions(txs)
+
+      if (!success) {
+        throw new SimulationFailedError(reason, data)
+      }
+    }
+
+    const swapMaxFee = await this._getMaxFee(swaps[0], config)
+
+    // The cap applies to the fee of the whole user operation, so it can only be denominated in the input token of all the swaps:
+    if (swapMaxFee !== undefined && this._config.swapMaxFeeUnit === 'tokenIn' && swaps.some(({ tokenIn }) => !isSameAddress(tokenIn, swaps[0].tokenIn))) {
+      throw new Error("The 'swapMaxFee' option can only be denominated in the input token if all the swaps of the batch sell the same token.")
+    }
+
+    const { fee } = await this._account.quoteSendTransaction(txs, config)
+
+    if (swapMaxFee !== undefined && fee >= swapMaxFee) {
+      throw new MaxFeeExceededError(fee, swapMaxFee)
+    }
+
+    for (const { token, amount } of balances.values()) {
+      await this._checkBalances(token, amount, fee, config)
+    }
+
+    this._emit('feeChecked', context, { fee, maxFee: swapMaxFee })
+
+    const { hash } = await this._account.sendTransaction(txs, config)
+
+    this._emit('sent', context, { hash, fee })
+
+    const results = []
+
+    for (const { tokenIn, tokenOut, recipient, tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin } of swaps) {
+      const legAmounts = { tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin }
+
+      results.push({
+        tokenIn,
+        tokenOut,
+        ...(recipient && { recipient }),
+        ...legAmounts,
+        formatted: await this._getFormattedAmounts(tokenIn, tokenOut, legAmounts)
       })
     }
 
-    return this._veloraSdk
+    return { hash, fee, legs: results }
   }
 
-  /** @private */
-  async _getSwapTransactions ({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, to }) {
-    const veloraSdk = await this._getVeloraSdk()
+  /**
+   * Waits for a swap to be confirmed and returns its receipt.
+   *
+   * The amounts actually spent and received are computed from the erc-20 transfer events of the transaction, so they are not reported
+   *   for the native coin.
+   *
+   * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+   * @param {VeloraWaitForSwapOptions} [options] - The wait's options.
+   * @returns {Promise<VeloraSwapReceipt>} The swap's receipt.
+   * @throws {SwapRevertedError} If the swap has been reverted.
+   * @throws {SwapDroppedError} If the swap transaction has been dropped from the mempool.
+   * @throws {SwapTimeoutError} If the swap has not been confirmed before the timeout.
+   */
+  async waitForSwap (hash, options = {}) {
+    if (!this._provider) {
+      throw new NoProviderError('wait for swap operations')
+    }
 
-    const { side, amount } = tokenInAmount
-      ? { side: 'SELL', amount: tokenInAmount }
-      : { side: 'BUY', amount: tokenOutAmount }
+    const { confirmations = 1, timeout = DEFAULT_WAIT_TIMEOUT, tokenIn, tokenOut } = options
 
-    const priceRoute = await veloraSdk.swap.getRate({
-      srcToken: tokenIn,
-      destToken: tokenOut,
-      amount: amount.toString(),
-      side
-    })
+    const receipt = await this._waitForReceipt(hash, confirmations, timeout)
+
+    if (receipt.status === 0) {
+      throw new SwapRevertedError(hash, receipt.hash)
+    }
+
+    let fee = receipt.fee
+
+    if (this._account instanceof WalletAccountReadOnlyEvmErc4337) {
+      const userOperationEvent = receipt.logs
+        .map(log => log.topics[0] === ENTRY_POINT_INTERFACE.getEvent('UserOperationEvent').topicHash ? ENTRY_POINT_INTERFACE.parseLog(log) : null)
+        .find(event => event && event.args.userOpHash.toLowerCase() === hash.toLowerCase())
+
+      if (userOperationEvent && !userOperationEvent.args.success) {
+        throw new SwapRevertedError(hash, receipt.hash)
+      }
+
+      fee = userOperationEvent?.args.actualGasCost ?? fee
+    }
 
     const address = await this._account.getAddress()
 
-    const swapTx = await veloraSdk.swap.buildTx({
-      partner: 'wdk',
-      srcToken: priceRoute.srcToken,
-      destToken: priceRoute.destToken,
-      srcAmount: priceRoute.srcAmount,
-      destAmount: priceRoute.destAmount,
-      userAddress: address,
-      receiver: to,
-      priceRoute
-    }, {
-      ignoreChecks: true
-    })
+    const balanceChanges = VeloraProtocolEvm._getBalanceChanges(receipt.logs, address)
+
+    const getBalanceChange = (tokenAddress) => Object.entries(balanceChanges).find(([token]) => isSameAddress(token, tokenAddress))?.[1]
+
+    const tokenInChange = tokenIn && getBalanceChange(VeloraProtocolEvm._resolveToken(tokenIn))
+
+    const tokenOutChange = tokenOut && getBalanceChange(VeloraProtocolEvm._resolveToken(tokenOut))
 
     return {
-      swapTx,
-      tokenInAmount: BigInt(priceRoute.srcAmount),
-      tokenOutAmount: BigInt(priceRoute.destAmount)
+      hash,
+      transactionHash: receipt.hash,
+      blockNumber: receipt.blockNumber,
+      fee,
+      balanceChanges,
+      ...(tokenInChange !== undefined && { tokenInAmount: -tokenInChange }),
+      ...(tokenOutChange !== undefined && { tokenOutAmount: tokenOutChange })
+    }
+  }
+
+  /**
+   * Simulates a swap operation against the provider, without signing or sending anything.
+   *
+   * If the allowance of the input token to the Velora protocol is not sufficient, the approval is simulated before the swap.
+   *
+   * The simulation runs through the 'eth_simulateV1' rpc method, whose transfer traces give the balance changes of the account.
+   *
+   * @param {VeloraSwapOptions} options - The swap's options.
+   * @returns {Promise<VeloraSwapSimulation>} The simulation's result.
+   * @throws {SimulationFailedError} If the provider does not support the 'eth_simulateV1' rpc method.
+   */
+  async simulateSwap (options) {
+    if (!this._provider) {
+      throw new NoProviderError('simulate swap operations')
+    }
+
+    if (this._config.mode === 'delta') {
+      throw new Error("Swap simulations are not available in 'delta' mode.")
+    }
+
+    if (await this._getDestinationChainId(options) !== undefined) {
+      throw new Error('Cross-chain swaps cannot be simulated.')
+    }
+
+    const { tokenIn, swapTx, spender, tokenInAmountMax } = await this._getSwapTransactions(options, { cache: true })
+
+    const approveTxs = await this._getApproveTransactions(tokenIn, spender, tokenInAmountMax)
+
+    const { success, reason, logs } = await this._simulateTransactions([...approveTxs, swapTx], { traceTransfers: true })
+
+    if (!success) {
+      return { success, revertReason: reason }
+    }
+
+    const address = await this._account.getAddress()
+
+    return { success, balanceChanges: VeloraProtocolEvm._getBalanceChanges(logs, address) }
+  }
+
+  /**
+   * Quotes the costs of a swap operation.
+   *
+   * The returned quote can be executed as it is with the {@link VeloraProtocolEvm#executeQuote} method until it expires.
+   *
+   * If the allowance of the input token to the Velora protocol is not sufficient, the quoted fee includes the costs of the approval.
+   *
+   * In 'delta' mode, the quoted fee only includes the costs of the approval, since the order itself is executed gaslessly.
+   *
+   * @param {VeloraSwapOptions & { detailed?: boolean }} options - The swap's options. If 'detailed' is true, the quote also includes
+   *   a summary of the swap's route (see {@link VeloraProtocolEvm#getRoute}).
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337
+   *   wallet account, overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<VeloraSwapQuote>} The swap's quote.
+   */
+  async quoteSwap (options, config) {
+    if (!this._provider) {
+      throw new NoProviderError('quote swap operations')
+    }
+
+    const destChainId = await this._getDestinationChainId(options)
+
+    if (this._config.mode === 'delta' || destChainId !== undefined) {
+      const { deltaOrder, ...order } = await this._getDeltaOrder({ ...options, destChainId })
+
+      const approveTxs = await this._getApproveTransactions(order.tokenIn, order.spender, order.tokenInAmountMax)
+
+      let fee = 0n
+
+      for (const tx of approveTxs) {
+        const quote = this._account instanceof WalletAccountReadOnlyEvmErc4337
+          ? await this._account.quoteSendTransaction(tx, config)
+          : await this._account.quoteSendTransaction(tx)
+
+        fee += quote.fee
+      }
+
+      await this._checkBalances(order.tokenIn, order.tokenInAmountMax, fee, config)
+
+      const { chainId } = await this._getVeloraSdk()
+
+      return {
+        fee,
+        ...order,
+        formatted: await this._getFormattedAmounts(order.tokenIn, order.tokenOut, order, destChainId),
+        deltaOrder,
+        chainId,
+        expiresAt: Date.now() + (this._config.quoteTtl ?? DEFAULT_QUOTE_TTL)
+      }
+    }
+
+    const {
+      tokenIn,
+      tokenOut,
+      recipient,
+      swapTx,
+      spender,
+      priceRoute,
+      comparison,
+      tokenInAmount,
+      tokenOutAmount,
+      tokenInAmountMax,
+      tokenOutAmountMin
+    } = await this._getSwapTransactions(options, { cache: true })
+
+    const approveTxs = await this._getApproveTransactions(tokenIn, spender, tokenInAmountMax)
+
+    let fee = 0n
+
+    if (this._account instanceof WalletAccountReadOnlyEvmErc4337) {
+      const quote = await this._account.quoteSendTransaction([...approveTxs, swapTx], config)
+
+      fee = quote.fee
+    } else {
+      const gasOptions = await this._resolveGasOptions(VeloraProtocolEvm._getGasOptions(this._config, options))
+
+      for (const tx of approveTxs) {
+        const quote = await this._quoteSendTransaction(tx, gasOptions)
+
+        fee += quote.fee
+      }
+
+      fee += await this._quoteSwapFee(swapTx, priceRoute, approveTxs.length > 0, gasOptions)
+    }
+
+    await this._checkBalances(tokenIn, tokenInAmountMax, fee, config)
+
+    const { chainId } = await this._getVeloraSdk()
+
+    const address = await this._account.getAddress()
+
+    return {
+      fee,
+      tokenInAmount,
+      tokenOutAmount,
+      tokenInAmountMax,
+      tokenOutAmountMin,
+      formatted: await this._getFormattedAmounts(tokenIn, tokenOut, { tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin }),
+      tokenIn,
+      tokenOut,
+      ...(recipient && { recipient }),
+      priceRoute,
+      tx: swapTx,
+      spender,
+      ...(comparison && { comparison }),
+      chainId,
+      address,
+      // A cached rate is as old as the time it has been requested at, not the time of the quote:
+      expiresAt: (this._requestTimes.get(priceRoute) ?? Date.now()) + (this._config.quoteTtl ?? DEFAULT_QUOTE_TTL),
+      ...(options.detailed && priceRoute && { route: VeloraProtocolEvm._getRouteSummary(priceRoute) })
+    }
+  }
+
+  /**
+   * Returns a summary of the route the Velora protocol would use for a swap, without building the swap transaction.
+   *
+   * @param {Omit<VeloraSwapOptions, 'to' | 'slippage'>} options - The swap's options.
+   * @returns {Promise<VeloraRoute>} The route's summary.
+   */
+  async getRoute ({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, ...options }) {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve swap routes')
+    }
+
+    const routeOptions = VeloraProtocolEvm._getRouteOptions(this._config, options)
+
+    VeloraProtocolEvm._validateRouteOptions(routeOptions)
+
+    tokenIn = VeloraProtocolEvm._resolveToken(tokenIn)
+
+    tokenOut = VeloraProtocolEvm._resolveToken(tokenOut)
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const { side, amount } = await this._getSwapAmount(tokenIn, tokenOut, tokenInAmount, tokenOutAmount)
+
+    const priceRoute = await this._getPriceRoute(veloraSdk, {
+      srcToken: tokenIn,
+      destToken: tokenOut,
+      amount: amount.toString(),
+      side
+    }, routeOptions, { cache: true })
+
+    return VeloraProtocolEvm._getRouteSummary(priceRoute)
+  }
+
+  /**
+   * Returns the price of a token pair, without building the swap transaction or estimating its fee.
+   *
+   * @param {VeloraPriceOptions & VeloraRouteOptions} options - The price's options.
+   * @returns {Promise<VeloraPrice>} The price.
+   */
+  async getPrice ({ tokenIn, tokenOut, amount, side = 'SELL', ...options }) {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve prices')
+    }
+
+    if (side !== 'SELL' && side !== 'BUY') {
+      throw new Error(`Unsupported side '${side}': expected 'SELL' or 'BUY'.`)
+    }
+
+    const routeOptions = VeloraProtocolEvm._getRouteOptions(this._config, options)
+
+    VeloraProtocolEvm._validateRouteOptions(routeOptions)
+
+    tokenIn = VeloraProtocolEvm._resolveToken(tokenIn)
+
+    tokenOut = VeloraProtocolEvm._resolveToken(tokenOut)
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    amount = await this._parseAmount(side === 'SELL' ? tokenIn : tokenOut, amount)
+
+    const priceRoute = await this._getPriceRoute(veloraSdk, {
+      srcToken: tokenIn,
+      destToken: tokenOut,
+      amount: amount.toString(),
+      side
+    }, routeOptions, { cache: true })
+
+    const tokenInAmount = BigInt(priceRoute.srcAmount)
+
+    const tokenOutAmount = BigInt(priceRoute.destAmount)
+
+    const tokenInUnits = Number(formatUnits(tokenInAmount, await this._getDecimals(tokenIn)))
+
+    const tokenOutUnits = Number(formatUnits(tokenOutAmount, await this._getDecimals(tokenOut)))
+
+    return {
+      tokenIn,
+      tokenOut,
+      side,
+      tokenInAmount,
+      tokenOutAmount,
+      price: tokenOutUnits / tokenInUnits,
+      blockNumber: priceRoute.blockNumber
+    }
+  }
+
+  /**
+   * Polls the price of a token pair at a set interval, and calls a listener each time it changes.
+   *
+   * The listener is called with the first price as soon as it has been retrieved, then every time the quoted amounts change. The
+   *   errors it throws are ignored: the 'onError' callback only reports the lookups that have failed.
+   *
+   * @param {VeloraPriceOptions & VeloraRouteOptions} options - The price's options.
+   * @param {(price: VeloraPrice) => void} onChange - The listener called with each new price.
+   * @param {VeloraPriceSubscriptionOptions} [subscriptionOptions] - The subscription's options.
+   * @returns {() => void} A function that stops the subscription.
+   */
+  subscribePrice (options, onChange, { interval = DEFAULT_PRICE_INTERVAL, onError } = {}) {
+    if (!Number.isInteger(interval) || interval <= 0) {
+      throw new Error('The price interval must be a positive integer number of milliseconds.')
+    }
+
+    let lastPrice, timeout
+
+    let active = true
+
+    const poll = async () => {
+      let price
+
+      try {
+        price = await this.getPrice(options)
+      } catch (error) {
+        if (active && onError) {
+          VeloraProtocolEvm._callSafely(onError, error)
+        }
+      }
+
+      const changed = price && (!lastPrice || price.tokenInAmount !== lastPrice.tokenInAmount || price.tokenOutAmount !== lastPrice.tokenOutAmount)
+
+      // The errors of the listener are not lookup failures, so they are not reported to 'onError':
+      if (active && changed) {
+        lastPrice = price
+
+        VeloraProtocolEvm._callSafely(onChange, price)
+      }
+
+      if (active) {
+        timeout = setTimeout(poll, interval)
+      }
+    }
+
+    poll()
+
+    return () => {
+      active = false
+
+      clearTimeout(timeout)
+    }
+  }
+
+  /**
+   * Returns the metadata (symbol and decimals) of a token.
+   *
+   * The metadata are read from the token's contract (or taken from the Velora token list, if it has been loaded with the
+   *   {@link VeloraProtocolEvm#getSupportedTokens} method), and cached for the lifetime of the protocol.
+   *
+   * @param {string} token - The address of the token, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+   * @returns {Promise<VeloraTokenMetadata>} The token's metadata.
+   */
+  async getTokenMetadata (token) {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve token metadata')
+    }
+
+    token = VeloraProtocolEvm._resolveToken(token)
+
+    const key = token.toLowerCase()
+
+    // Switches the token metadata cache to the current chain of the provider, if it has changed:
+    const { chainId } = await this._getVeloraSdk()
+
+    if (!this._tokensMetadata.has(key)) {
+      if (isSameAddress(token, NATIVE_TOKEN_ADDRESS)) {
+        this._tokensMetadata.set(key, { address: NATIVE_TOKEN_ADDRESS, symbol: SUPPORTED_CHAINS[chainId].nativeSymbol, decimals: 18 })
+      } else {
+        this._tokensMetadata.set(key, await this._readTokenMetadata(token))
+      }
+    }
+
+    return this._tokensMetadata.get(key)
+  }
+
+  /**
+   * Returns the list of tokens supported by the Velora protocol on the chain of the provider.
+   *
+   * The metadata of the returned tokens are cached, so the following swaps do not need to read them from the chain.
+   *
+   * @returns {Promise<Token[]>} The supported tokens.
+   */
+  async getSupportedTokens () {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve the supported tokens')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const tokens = await veloraSdk.swap.getTokens()
+
+    for (const { address, symbol, decimals } of tokens) {
+      this._tokensMetadata.set(address.toLowerCase(), { address, ...(symbol && { symbol }), decimals })
+    }
+
+    return tokens
+  }
+
+  /**
+   * Executes a swap previously quoted with the {@link VeloraProtocolEvm#quoteSwap} method, without building it again.
+   *
+   * If the allowance of the input token to the Velora protocol is not sufficient, the necessary approval is sent before the swap.
+   *
+   * Before anything is sent, the pair is quoted again: if the current price is already beyond the worst-case amounts of the quote
+   *   (i.e., outside of its slippage tolerance), the swap is rejected, since it would only revert on-chain.
+   *
+   * @param {VeloraSwapQuote} quote - The swap's quote.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+   *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+   *   'swapMaxFee' option defined in the protocol configuration.
+   * @returns {Promise<VeloraSwapResult | VeloraDeltaSwapResult>} The swap's result.
+   * @throws {SlippageExceededError} If the current price is already beyond the worst-case amounts of the quote.
+   */
+  async executeQuote (quote, config) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('executeQuote(quote)')
+    }
+
+    if (!this._provider) {
+      throw new NoProviderError('perform swap operations')
+    }
+
+    if (Date.now() >= quote.expiresAt) {
+      throw new QuoteExpiredError(quote.expiresAt)
+    }
+
+    const { chainId } = await this._getVeloraSdk()
+
+    if (quote.chainId !== chainId) {
+      throw new QuoteMismatchError(`The quote has been built for chain ${quote.chainId}, but the wallet is connected to chain ${chainId}.`)
+    }
+
+    const address = await this._account.getAddress()
+
+    if (quote.address.toLowerCase() !== address.toLowerCase()) {
+      throw new QuoteMismatchError(`The quote has been built for the account ${quote.address}, but the protocol has been initialized with the account ${address}.`)
+    }
+
+    if (!quote.deltaOrder && quote.priceRoute) {
+      VeloraProtocolEvm._verifySwapTransaction({ ...quote, address }, SUPPORTED_CHAINS[chainId])
+    }
+
+    const context = this._createEventContext('executeQuote')
+
+    try {
+      return quote.deltaOrder
+        ? await this._sendDeltaOrder(quote, context)
+        : await this._sendSwapTransactions({ ...quote, requote: true, context }, config)
+    } catch (error) {
+      this._emit('failed', context, { error })
+
+      throw error
+    }
+  }
+
+  /**
+   * Returns the status of a velora delta order.
+   *
+   * @param {string} orderId - The id of the order.
+   * @returns {Promise<VeloraDeltaOrderStatus>} The order's status.
+   */
+  async getOrderStatus (orderId) {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve delta orders')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const { status, transactions, bridgeStatus, bridgeMetadata } = await veloraSdk.delta.getDeltaOrderById(orderId)
+
+    const [transaction] = transactions ?? []
+
+    return {
+      status,
+      ...(transaction && { hash: transaction.hash }),
+      ...(bridgeStatus && {
+        bridge: {
+          status: bridgeStatus,
+          ...(bridgeMetadata?.outputAmount && { tokenOutAmount: BigInt(bridgeMetadata.outputAmount) }),
+          ...(bridgeMetadata?.fillTx && { fillHash: bridgeMetadata.fillTx }),
+          ...(bridgeMetadata?.depositRefundTxHash && { refundHash: bridgeMetadata.depositRefundTxHash })
+        }
+      })
+    }
+  }
+
+  /**
+   * Waits for the output tokens of a cross-chain swap to arrive on the destination chain.
+   *
+   * The status of the order is polled until its bridge transfer has been filled, so the method follows both the execution of the
+   *   order on the source chain and the bridge transfer.
+   *
+   * @param {string} orderId - The id of the delta order of the cross-chain swap.
+   * @param {VeloraWaitForCrossChainSwapOptions} [options] - The wait's options.
+   * @returns {Promise<VeloraDeltaOrderStatus>} The order's status, once the output tokens have arrived.
+   * @throws {CrossChainSwapFailedError} If the order has failed, or if its bridge transfer has expired or has been refunded.
+   * @throws {SwapTimeoutError} If the output tokens have not arrived before the timeout.
+   */
+  async waitForCrossChainSwap (orderId, { timeout = DEFAULT_CROSS_CHAIN_TIMEOUT } = {}) {
+    if (!this._provider) {
+      throw new NoProviderError('wait for cross-chain swaps')
+    }
+
+    const expiresAt = Date.now() + timeout
+
+    while (true) {
+      const orderStatus = await this.getOrderStatus(orderId)
+
+      const { status, bridge } = orderStatus
+
+      if (FAILED_DELTA_STATUSES.includes(status)) {
+        throw new CrossChainSwapFailedError(orderId, status)
+      }
+
+      if (bridge?.status === 'expired' || bridge?.status === 'refunded') {
+        throw new CrossChainSwapFailedError(orderId, bridge.status, bridge.refundHash)
+      }
+
+      if (bridge?.status === 'filled') {
+        return orderStatus
+      }
+
+      if (Date.now() >= expiresAt) {
+        throw new SwapTimeoutError(orderId, timeout)
+      }
+
+      await new Promise(resolve => setTimeout(resolve, CROSS_CHAIN_POLLING_INTERVAL))
+    }
+  }
+
+  /**
+   * Cancels a velora delta order that has not been executed yet.
+   *
+   * The cancellation is signed with the wallet account and submitted to the Velora api, so it does not cost any gas.
+   *
+   * @param {string} orderId - The id of the order.
+   * @returns {Promise<void>}
+   */
+  async cancelOrder (orderId) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('cancelOrder(orderId)')
+    }
+
+    if (!this._provider) {
+      throw new NoProviderError('cancel delta orders')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const verifyingContract = await this._getDeltaContract(veloraSdk)
+
+    const orderIds = [orderId]
+
+    const domain = { ...DELTA_DOMAIN, chainId: veloraSdk.chainId, verifyingContract }
+
+    const signature = this._account instanceof WalletAccountEvmErc4337
+      ? await this._signDeltaOrder(domain, DELTA_CANCELLATION_TYPES, { orderIds })
+      : await this._account.signTypedData({ domain, types: DELTA_CANCELLATION_TYPES, message: { orderIds } })
+
+    const response = await this._fetch(`${veloraSdk.apiURL}/delta/orders/cancel`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ orderIds, signature })
+    })
+
+    if (!response.ok) {
+      const { error } = await response.json().catch(() => ({}))
+
+      throw new Error(`The delta order '${orderId}' could not be cancelled: ${error ?? response.statusText}`)
+    }
+  }
+
+  /**
+   * Creates a limit order, which sells the input tokens when someone is willing to pay the requested amount of output tokens.
+   *
+   * The order is signed with the wallet account and registered by the Velora api. If the allowance of the input token to the
+   *   Velora limit orders contract is not sufficient, the necessary approval is sent first.
+   *
+   * @param {VeloraLimitOrderOptions} options - The limit order's options.
+   * @returns {Promise<VeloraCreateLimitOrderResult>} The limit order's result.
+   */
+  async createLimitOrder ({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, expiry = 0, taker }) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('createLimitOrder(options)')
+    }
+
+    if (this._account instanceof WalletAccountEvmErc4337) {
+      throw new Error('Limit orders cannot be signed by erc-4337 wallet accounts.')
+    }
+
+    if (!this._provider) {
+      throw new NoProviderError('create limit orders')
+    }
+
+    tokenIn = VeloraProtocolEvm._resolveToken(tokenIn)
+
+    tokenOut = VeloraProtocolEvm._resolveToken(tokenOut)
+
+    if (isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS) || isSameAddress(tokenOut, NATIVE_TOKEN_ADDRESS)) {
+      throw new Error('Limit orders do not support the native coin: use its wrapped token instead.')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const address = await this._account.getAddress()
+
+    tokenInAmount = await this._parseAmount(tokenIn, tokenInAmount)
+
+    tokenOutAmount = await this._parseAmount(tokenOut, tokenOutAmount)
+
+    const spender = await veloraSdk.limitOrders.getLimitOrdersContract()
+
+    const approveTxs = await this._getApproveTransactions(tokenIn, spender, tokenInAmount)
+
+    const { fee, approveHash, resetAllowanceHash } = await this._sendApproveTransactions(tokenIn, spender, tokenInAmount, approveTxs)
+
+    const { domain, types, data } = await veloraSdk.limitOrders.buildLimitOrder({
+      maker: address,
+      makerAsset: tokenIn,
+      takerAsset: tokenOut,
+      makerAmount: tokenInAmount.toString(),
+      takerAmount: tokenOutAmount.toString(),
+      expiry,
+      taker
+    })
+
+    const signature = await this._account.signTypedData({ domain, types, message: data })
+
+    const order = taker
+      ? await veloraSdk.limitOrders.postP2POrder({ ...data, signature })
+      : await veloraSdk.limitOrders.postLimitOrder({ ...data, signature })
+
+    return {
+      orderHash: order.orderHash,
+      order,
+      fee,
+      ...(approveHash && { approveHash }),
+      ...(resetAllowanceHash && { resetAllowanceHash })
+    }
+  }
+
+  /**
+   * Returns the limit orders created by the account (both public and p2p orders).
+   *
+   * @returns {Promise<LimitOrderFromApi[]>} The limit orders.
+   */
+  async getLimitOrders () {
+    if (!this._provider) {
+      throw new NoProviderError('retrieve limit orders')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const maker = await this._account.getAddress()
+
+    const [limitOrders, p2pOrders] = await Promise.all([
+      veloraSdk.limitOrders.getLimitOrders({ maker, type: 'LIMIT' }),
+      veloraSdk.limitOrders.getLimitOrders({ maker, type: 'P2P' })
+    ])
+
+    return [...limitOrders.orders, ...p2pOrders.orders]
+  }
+
+  /**
+   * Cancels a limit order created by the account.
+   *
+   * The cancellation is an on-chain transaction sent to the Velora limit orders contract.
+   *
+   * @param {string} orderHash - The hash of the limit order.
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337
+   *   wallet account, overrides the 'paymasterToken' option defined in its configuration.
+   * @returns {Promise<{ hash: string, fee: bigint }>} The cancellation's result.
+   */
+  async cancelLimitOrder (orderHash, config) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('cancelLimitOrder(orderHash)')
+    }
+
+    if (!this._provider) {
+      throw new NoProviderError('cancel limit orders')
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const limitOrdersContract = await veloraSdk.limitOrders.getLimitOrdersContract()
+
+    const tx = {
+      to: limitOrdersContract,
+      value: 0,
+      data: AUGUSTUS_RFQ_INTERFACE.encodeFunctionData('cancelOrder', [orderHash])
+    }
+
+    const { hash, fee } = this._account instanceof WalletAccountEvmErc4337
+      ? await this._account.sendTransaction([tx], config)
+      : await this._account.sendTransaction(tx)
+
+    return { hash, fee }
+  }
+
+  /**
+   * Fills a limit order, selling the order's taker asset in exchange for its maker asset.
+   *
+   * If the allowance of the taker asset to the Velora limit orders contract is not sufficient, the necessary approval is sent before
+   *   filling the order. If the protocol has been initialized with an erc-4337 wallet account, the approval and the fill are sent
+   *   in a single user operation.
+   *
+   * @param {LimitOrderFromApi} order - The limit order to fill (e.g., as returned by the Velora api).
+   * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+   *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+   *   'swapMaxFee' option defined in the protocol configuration.
+   * @returns {Promise<VeloraSwapResult>} The fill's result, where the input tokens are the taker asset and the output tokens the
+   *   maker asset.
+   */
+  async fillLimitOrder (order, config) {
+    if (!(this._account instanceof WalletAccountEvm) && !(this._account instanceof WalletAccountEvmErc4337)) {
+      throw new ReadOnlyAccountError('fillLimitOrder(order)')
+    }
+
+    if (!this._provider) {
+      throw new NoProviderError('fill limit orders')
+    }
+
+    if (order.expiry > 0 && order.expiry * 1_000 <= Date.now()) {
+      throw new Error(`The limit order '${order.orderHash}' has expired.`)
+    }
+
+    const address = await this._account.getAddress()
+
+    if (!isSameAddress(order.taker, ZERO_ADDRESS) && !isSameAddress(order.taker, address)) {
+      throw new Error(`The limit order '${order.orderHash}' can only be filled by ${order.taker}.`)
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const limitOrdersContract = await veloraSdk.limitOrders.getLimitOrdersContract()
+
+    const { nonceAndMeta, expiry, makerAsset, takerAsset, maker, taker, makerAmount, takerAmount } = order
+
+    const fillTx = {
+      to: limitOrdersContract,
+      value: 0,
+      data: AUGUSTUS_RFQ_INTERFACE.encodeFunctionData('fillOrder', [
+        { nonceAndMeta, expiry, makerAsset, takerAsset, maker, taker, makerAmount, takerAmount },
+        order.signature
+      ])
+    }
+
+    return await this._sendSwapTransactions({
+      tokenIn: takerAsset,
+      tokenOut: makerAsset,
+      tx: fillTx,
+      spender: limitOrdersContract,
+      tokenInAmount: BigInt(takerAmount),
+      tokenOutAmount: BigInt(makerAmount),
+      tokenInAmountMax: BigInt(takerAmount),
+      tokenOutAmountMin: BigInt(makerAmount)
+    }, config)
+  }
+
+  /** @private */
+  async _getVeloraSdk () {
+    // The network is checked at each call, since eip-1193 providers (e.g., browser wallets) can switch chains at any time:
+    const network = await this._provider.getNetwork()
+
+    const chainId = Number(network.chainId)
+
+    if (!this._veloraSdk || this._veloraSdk.chainId !== chainId) {
+      if (!SUPPORTED_CHAINS[chainId]) {
+        throw new UnsupportedChainError(chainId, Object.keys(SUPPORTED_CHAINS).map(Number))
+      }
+
+      this._veloraSdk = constructSimpleSDK({
+        fetch: (url, init) => this._fetch(url, init),
+        apiURL: this._config.apiUrl,
+        chainId
+      })
+
+      this._tokensMetadata.clear()
+    }
+
+    return this._veloraSdk
+  }
+
+  /** @private */
+  async _fetch (url, init = {}) {
+    const { fetcher = fetch, apiKey, headers, retries = DEFAULT_RETRIES, retryDelay = DEFAULT_RETRY_DELAY } = this._config
+
+    const method = (init.method ?? 'GET').toUpperCase()
+
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetcher(url, {
+        ...init,
+        headers: {
+          ...(apiKey && { 'X-API-KEY': apiKey }),
+          ...headers,
+          ...init.headers
+        }
+      })
+
+      // Rate-limited requests have not been processed, but server errors are only safe to retry for read requests:
+      const retryable = response.status === 429 || (response.status >= 500 && method === 'GET')
+
+      if (!retryable || attempt >= retries) {
+        return response
+      }
+
+      const retryAfter = Number(response.headers?.get('Retry-After'))
+
+      const delay = retryAfter > 0 ? retryAfter * 1_000 : retryDelay * 2 ** attempt
+
+      await new Promise(resolve => setTimeout(resolve, delay))
+    }
+  }
+
+  /** @private */
+  async _request (key, { cache }, request) {
+    if (!cache) {
+      return await request()
+    }
+
+    key = JSON.stringify(key)
+
+    const now = Date.now()
+
+    for (const [entryKey, { expiresAt }] of this._requests) {
+      if (expiresAt <= now) {
+        this._requests.delete(entryKey)
+      }
+    }
+
+    if (!this._requests.has(key)) {
+      const entry = { promise: request(), expiresAt: Infinity }
+
+      this._requests.set(key, entry)
+
+      entry.promise.then(
+        (response) => {
+          if (response && typeof response === 'object') {
+            this._requestTimes.set(response, now)
+          }
+
+          const { cacheTtl = 0 } = this._config
+
+          if (cacheTtl > 0) {
+            entry.expiresAt = Date.now() + cacheTtl
+          } else if (this._requests.get(key) === entry) {
+            this._requests.delete(key)
+          }
+        },
+        () => {
+          if (this._requests.get(key) === entry) {
+            this._requests.delete(key)
+          }
+        }
+      )
+    }
+
+    return await this._requests.get(key).promise
+  }
+
+  /** @private */
+  _createEventContext (operation) {
+    return { operation, id: ++this._operationsCount }
+  }
+
+  /** @private */
+  _emit (event, context, payload) {
+    if (!context) {
+      return
+    }
+
+    this._events.emit(event, { ...context, timestamp: Date.now(), ...payload })
+  }
+
+  /** @private */
+  _getSafeListener (listener) {
+    if (!this._safeListeners.has(listener)) {
+      // A failing listener (e.g., a progress ui) must not interrupt the swap:
+      this._safeListeners.set(listener, (payload) => VeloraProtocolEvm._callSafely(listener, payload))
+    }
+
+    return this._safeListeners.get(listener)
+  }
+
+  /** @private */
+  static _callSafely (listener, payload) {
+    try {
+      const result = listener(payload)
+
+      if (typeof result?.then === 'function') {
+        result.then(undefined, () => { })
+      }
+    } catch {
+      // The errors of the listener (thrown, or rejected by the promise it returns) are ignored.
+    }
+  }
+
+  /** @private */
+  _getPartnerOptions () {
+    const { partner = DEFAULT_PARTNER, partnerAddress, partnerFeeBps } = this._config
+
+    return { partner, partnerAddress, partnerFeeBps }
+  }
+
+  /** @private */
+  async _getSwapTransactions ({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, to, slippage = this._config.slippage ?? 0, ...options }, { cache = false, permit = false, context } = {}) {
+    VeloraProtocolEvm._validateSlippage(slippage)
+
+    const routeOptions = VeloraProtocolEvm._getRouteOptions(this._config, options)
+
+    VeloraProtocolEvm._validateRouteOptions(routeOptions)
+
+    tokenIn = VeloraProtocolEvm._resolveToken(tokenIn)
+
+    tokenOut = VeloraProtocolEvm._resolveToken(tokenOut)
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const { side, amount } = await this._getSwapAmount(tokenIn, tokenOut, tokenInAmount, tokenOutAmount)
+
+    const address = await this._account.getAddress()
+
+    const { wrappedNativeToken, augustus } = SUPPORTED_CHAINS[veloraSdk.chainId]
+
+    const recipient = to !== undefined
+      ? await this._resolveRecipient(to, [tokenIn, tokenOut, wrappedNativeToken, augustus])
+      : undefined
+
+    if (wrappedNativeToken && (!recipient || isSameAddress(recipient, address))) {
+      const isWrap = isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS) && isSameAddress(tokenOut, wrappedNativeToken)
+
+      const isUnwrap = isSameAddress(tokenIn, wrappedNativeToken) && isSameAddress(tokenOut, NATIVE_TOKEN_ADDRESS)
+
+      if (isWrap || isUnwrap) {
+        const wrap = VeloraProtocolEvm._getWrapTransactions(tokenIn, tokenOut, wrappedNativeToken, amount)
+
+        this._emit('quote', context, VeloraProtocolEvm._getQuoteEventPayload(wrap))
+
+        this._emit('built', context, { tx: wrap.swapTx })
+
+        return wrap
+      }
+    }
+
+    const priceRoute = await this._getPriceRoute(veloraSdk, {
+      srcToken: tokenIn,
+      destToken: tokenOut,
+      amount: amount.toString(),
+      side
+    }, routeOptions, { cache })
+
+    const { tokenInAmountMax, tokenOutAmountMin } = VeloraProtocolEvm._getWorstCaseAmounts(priceRoute, side, slippage)
+
+    this._emit('quote', context, VeloraProtocolEvm._getQuoteEventPayload({
+      tokenIn,
+      tokenOut,
+      priceRoute,
+      tokenInAmount: BigInt(priceRoute.srcAmount),
+      tokenOutAmount: BigInt(priceRoute.destAmount),
+      tokenInAmountMax,
+      tokenOutAmountMin
+    }))
+
+    if (recipient && [priceRoute.contractAddress, priceRoute.tokenTransferProxy].some(contract => contract && isSameAddress(recipient, contract))) {
+      throw new InvalidRecipientError(to, 'the recipient is a contract of the Velora protocol.')
+    }
+
+    const { compareQuotes = this._config.compareQuotes, maxQuoteShortfall = this._config.maxQuoteShortfall } = options
+
+    VeloraProtocolEvm._validateMaxQuoteShortfall(maxQuoteShortfall)
+
+    const comparison = compareQuotes || maxQuoteShortfall !== undefined
+      ? await this._getQuoteComparison(veloraSdk.chainId, priceRoute, side)
+      : undefined
+
+    if (comparison && maxQuoteShortfall !== undefined && -comparison.advantage > maxQuoteShortfall) {
+      throw new QuoteShortfallError(-comparison.advantage, maxQuoteShortfall, comparison.source)
+    }
+
+    // Erc-4337 accounts already send the approval and the swap in a single user operation, so they never need a permit:
+    const signedPermit = permit && !(this._account instanceof WalletAccountEvmErc4337)
+      ? await this._getPermit(tokenIn, priceRoute.tokenTransferProxy, tokenInAmountMax)
+      : undefined
+
+    const txParams = {
+      ...this._getPartnerOptions(),
+      srcToken: priceRoute.srcToken,
+      destToken: priceRoute.destToken,
+      srcAmount: tokenInAmountMax.toString(),
+      destAmount: tokenOutAmountMin.toString(),
+      userAddress: address,
+      receiver: recipient,
+      priceRoute,
+      ...(signedPermit && { permit: signedPermit.permit })
+    }
+
+    const tx = await this._request(['buildTx', veloraSdk.chainId, txParams], { cache }, () => veloraSdk.swap.buildTx(txParams, {
+      ignoreChecks: true
+    }))
+
+    VeloraProtocolEvm._verifySwapTransaction({
+      tokenIn,
+      tokenOut,
+      recipient,
+      address,
+      tx,
+      spender: priceRoute.tokenTransferProxy,
+      tokenInAmountMax,
+      tokenOutAmountMin
+    }, SUPPORTED_CHAINS[veloraSdk.chainId])
+
+    const swapTx = isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS)
+      ? { ...tx, value: tokenInAmountMax.toString() }
+      : tx
+
+    this._emit('built', context, { tx: swapTx, spender: priceRoute.tokenTransferProxy, ...(signedPermit && { permit: signedPermit.type }) })
+
+    return {
+      tokenIn,
+      tokenOut,
+      ...(recipient && { recipient }),
+      swapTx,
+      spender: priceRoute.tokenTransferProxy,
+      ...(signedPermit && { permit: signedPermit.type }),
+      priceRoute,
+      ...(comparison && { comparison }),
+      tokenInAmount: BigInt(priceRoute.srcAmount),
+      tokenOutAmount: BigInt(priceRoute.destAmount),
+      tokenInAmountMax,
+      tokenOutAmountMin
+    }
+  }
+
+  /** @private */
+  async _getQuoteComparison (chainId, { srcToken, destToken, srcAmount, destAmount }, side) {
+    const quoter = UNISWAP_V3_QUOTERS[chainId]
+
+    if (!quoter) {
+      return undefined
+    }
+
+    const { wrappedNativeToken } = SUPPORTED_CHAINS[chainId]
+
+    // Uniswap v3 pools only hold erc-20 tokens, so the native coin is quoted as its wrapped token:
+    const [tokenIn, tokenOut] = [srcToken, destToken].map(token => isSameAddress(token, NATIVE_TOKEN_ADDRESS) ? wrappedNativeToken : token)
+
+    const method = side === 'SELL' ? 'quoteExactInputSingle' : 'quoteExactOutputSingle'
+
+    const amount = BigInt(side === 'SELL' ? srcAmount : destAmount)
+
+    const quotes = await Promise.all(UNISWAP_V3_FEE_TIERS.map(async (fee) => {
+      try {
+        const result = await this._provider.call({
+          to: quoter,
+          data: UNISWAP_V3_QUOTER_V2_INTERFACE.encodeFunctionData(method, [[tokenIn, tokenOut, amount, fee, 0]])
+        })
+
+        const [quotedAmount] = UNISWAP_V3_QUOTER_V2_INTERFACE.decodeFunctionResult(method, result)
+
+        return { fee, quotedAmount }
+      } catch {
+        // The quoter reverts for the fee tiers without a pool (or without enough liquidity) for the pair.
+        return undefined
+      }
+    }))
+
+    const [best] = quotes
+      .filter(quote => quote && quote.quotedAmount > 0n)
+      .sort((a, b) => (side === 'SELL' ? b.quotedAmount > a.quotedAmount : a.quotedAmount > b.quotedAmount) ? 1 : -1)
+
+    if (!best) {
+      return undefined
+    }
+
+    const gain = side === 'SELL'
+      ? BigInt(destAmount) - best.quotedAmount
+      : best.quotedAmount - BigInt(srcAmount)
+
+    return {
+      source: 'UniswapV3',
+      poolFee: best.fee,
+      tokenInAmount: side === 'SELL' ? amount : best.quotedAmount,
+      tokenOutAmount: side === 'SELL' ? best.quotedAmount : amount,
+      advantage: Number(gain * BigInt(MAX_BPS) * 100n / best.quotedAmount) / 100
+    }
+  }
+
+  /** @private */
+  async _getPriceRoute (veloraSdk, params, routeOptions, { cache = false } = {}) {
+    const priceRoute = await this._getRate(veloraSdk, {
+      ...params,
+      srcDecimals: await this._getDecimals(params.srcToken),
+      destDecimals: await this._getDecimals(params.destToken),
+      options: {
+        partner: this._getPartnerOptions().partner,
+        ...(routeOptions.includeDexs && { includeDEXS: routeOptions.includeDexs }),
+        ...(routeOptions.excludeDexs && { excludeDEXS: routeOptions.excludeDexs }),
+        ...(routeOptions.includeContractMethods && { includeContractMethods: routeOptions.includeContractMethods }),
+        ...(routeOptions.excludeContractMethods && { excludeContractMethods: routeOptions.excludeContractMethods }),
+        ...(routeOptions.maxImpact !== undefined && { maxImpact: routeOptions.maxImpact }),
+        ...(routeOptions.otherExchangePrices !== undefined && { otherExchangePrices: routeOptions.otherExchangePrices })
+      }
+    }, { cache })
+
+    VeloraProtocolEvm._checkRoute(priceRoute, routeOptions)
+
+    return priceRoute
+  }
+
+  /** @private */
+  async _getRate (veloraSdk, params, { cache = false } = {}) {
+    try {
+      return await this._request(['getRate', veloraSdk.chainId, params], { cache }, () => veloraSdk.swap.getRate(params))
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+        throw new NoRouteError(params.srcToken, params.destToken, error.message)
+      }
+
+      throw error
+    }
+  }
+
+  /** @private */
+  async _sendSwapTransactions ({
+    tokenIn,
+    tokenOut,
+    recipient,
+    tx: swapTx,
+    spender,
+    priceRoute,
+    tokenInAmount,
+    tokenOutAmount,
+    tokenInAmountMax,
+    tokenOutAmountMin,
+    simulate = this._config.simulate,
+    gasOptions = VeloraProtocolEvm._getGasOptions(this._config, {}),
+    requote = false,
+    context
+  }, config) {
+    const formatted = await this._getFormattedAmounts(tokenIn, tokenOut, { tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin })
+
+    if (requote && priceRoute) {
+      await this._checkSlippage({ priceRoute, tokenInAmountMax, tokenOutAmountMin })
+    }
+
+    const approveTxs = await this._getApproveTransactions(tokenIn, spender, tokenInAmountMax)
+
+    if (simulate) {
+      const { success, reason, data } = await this._simulateTransactions([...approveTxs, swapTx])
+
+      if (!success) {
+        throw new SimulationFailedError(reason, data)
+      }
+    }
+
+    const swapMaxFee = await this._getMaxFee({ tokenIn, priceRoute }, config)
+
+    if (this._account instanceof WalletAccountEvmErc4337) {
+      const { fee } = await this._account.quoteSendTransaction([...approveTxs, swapTx], config)
+
+      if (swapMaxFee !== undefined && fee >= swapMaxFee) {
+        throw new MaxFeeExceededError(fee, swapMaxFee)
+      }
+
+      await this._checkBalances(tokenIn, tokenInAmountMax, fee, config)
+
+      this._emit('feeChecked', context, { fee, maxFee: swapMaxFee })
+
+      const { hash } = await this._account.sendTransaction([...approveTxs, swapTx], config)
+
+      this._emit('sent', context, { hash, fee })
+
+      return { hash, fee, ...(recipient && { recipient }), tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin, formatted }
+    }
+
+    // Erc-4337 user operations are priced by the bundler, so the gas options only apply to standard transactions:
+    const resolvedGasOptions = await this._resolveGasOptions(gasOptions)
+
+    // The fee of the swap is checked against its estimate before any approval is sent, then again once the approvals are mined:
+    const estimatedSwapFee = approveTxs.length > 0 && priceRoute?.gasCost
+      ? await this._quoteSwapFee(swapTx, priceRoute, true, resolvedGasOptions)
+      : 0n
+
+    const { fee: approveFee, approveHash, resetAllowanceHash } = await this._sendApproveTransactions(tokenIn, spender, tokenInAmountMax, approveTxs, {
+      maxFee: swapMaxFee,
+      gasOptions: resolvedGasOptions,
+      nextFee: estimatedSwapFee,
+      context
+    })
+
+    // The price may have moved while the approvals were being mined:
+    if (approveTxs.length > 0 && priceRoute) {
+      await this._checkSlippage({ priceRoute, tokenInAmountMax, tokenOutAmountMin })
+    }
+
+    const { tx, fee: swapFee } = await this._quoteSendTransaction(swapTx, resolvedGasOptions)
+
+    const fee = approveFee + swapFee
+
+    if (swapMaxFee !== undefined && fee >= swapMaxFee) {
+      throw new MaxFeeExceededError(fee, swapMaxFee)
+    }
+
+    await this._checkBalances(tokenIn, tokenInAmountMax, swapFee)
+
+    this._emit('feeChecked', context, { fee, maxFee: swapMaxFee })
+
+    const { hash } = await this._account.sendTransaction(tx)
+
+    this._emit('sent', context, { hash, fee })
+
+    return {
+      hash,
+      fee,
+      ...(recipient && { recipient }),
+      tokenInAmount,
+      tokenOutAmount,
+      tokenInAmountMax,
+      tokenOutAmountMin,
+      formatted,
+      ...(approveHash && { approveHash }),
+      ...(resetAllowanceHash && { resetAllowanceHash })
+    }
+  }
+
+  /** @private */
+  async _checkSlippage ({ priceRoute, tokenInAmountMax, tokenOutAmountMin }) {
+    const veloraSdk = await this._getVeloraSdk()
+
+    const side = priceRoute.side === 'BUY' ? 'BUY' : 'SELL'
+
+    const { srcAmount, destAmount } = await this._getPriceRoute(veloraSdk, {
+      srcToken: priceRoute.srcToken,
+      destToken: priceRoute.destToken,
+      amount: side === 'SELL' ? priceRoute.srcAmount : priceRoute.destAmount,
+      side
+    }, VeloraProtocolEvm._getRouteOptions(this._config, {}))
+
+    if (side === 'SELL' && BigInt(destAmount) < tokenOutAmountMin) {
+      throw new SlippageExceededError(BigInt(destAmount), tokenOutAmountMin)
+    }
+
+    if (side === 'BUY' && BigInt(srcAmount) > tokenInAmountMax) {
+      throw new SlippageExceededError(BigInt(srcAmount), tokenInAmountMax)
+    }
+  }
+
+  /** @private */
+  async _sendApproveTransactions (token, spender, amount, approveTxs, { maxFee = this._config.swapMaxFee, gasOptions = {}, nextFee = 0n, context } = {}) {
+    let fee = 0n
+
+    const txs = []
+
+    for (const approveTx of approveTxs) {
+      const quote = await this._quoteSendTransaction(approveTx, gasOptions)
+
+      txs.push(quote.tx)
+
+      fee += quote.fee
+    }
+
+    if (maxFee !== undefined && fee + nextFee >= maxFee) {
+      throw new MaxFeeExceededError(fee + nextFee, maxFee)
+    }
+
+    await this._checkBalances(token, amount, fee + nextFee)
+
+    const approveHashes = []
+
+    for (const approveTx of txs) {
+      const { hash } = await this._account.sendTransaction(approveTx)
+
+      this._emit('approvalSent', context, { token, spender, hash })
+
+      // Erc-4337 user operations are not known to the provider, so their receipts are polled through the account:
+      const receipt = this._account instanceof WalletAccountEvmErc4337
+        ? await this._waitForReceipt(hash, 1, DEFAULT_WAIT_TIMEOUT)
+        : await this._provider.waitForTransaction(hash)
+
+      if (receipt.status === 0) {
+        throw new Error(`The approve transaction '${hash}' has been reverted.`)
+      }
+
+      this._emit('approvalConfirmed', context, { token, spender, hash, blockNumber: receipt.blockNumber })
+
+      approveHashes.push(hash)
+    }
+
+    if (approveTxs.length > 0) {
+      const allowance = await this._account.getAllowance(token, spender)
+
+      if (allowance < amount) {
+        throw new InsufficientAllowanceError(token, spender, allowance, amount)
+      }
+    }
+
+    const [approveHash, resetAllowanceHash] = approveHashes.reverse()
+
+    return { fee, approveHash, resetAllowanceHash }
+  }
+
+  /** @private */
+  async _getMaxFee ({ tokenIn, priceRoute }, config) {
+    const { swapMaxFee } = this._account instanceof WalletAccountEvmErc4337 ? (config ?? this._config) : this._config
+
+    if (swapMaxFee === undefined || this._config.swapMaxFeeUnit !== 'tokenIn') {
+      return swapMaxFee
+    }
+
+    if (this._account instanceof WalletAccountEvmErc4337) {
+      const paymasterToken = (config ?? this._account._config).paymasterToken?.address
+
+      if (!paymasterToken || !isSameAddress(paymasterToken, tokenIn)) {
+        throw new Error("The 'swapMaxFee' option can only be denominated in the input token if it is also the paymaster token.")
+      }
+
+      return swapMaxFee
+    }
+
+    // Wraps, unwraps and swaps of the native coin are already priced in (the equivalent of) the native coin:
+    if (!priceRoute || isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS)) {
+      return swapMaxFee
+    }
+
+    const { gasPrice } = await this._provider.getFeeData()
+
+    const nativeUsdPerWei = Number(priceRoute.gasCostUSD) / (Number(priceRoute.gasCost) * Number(gasPrice))
+
+    const tokenInUsdPerUnit = Number(priceRoute.srcUSD) / Number(priceRoute.srcAmount)
+
+    if (!(nativeUsdPerWei > 0 && Number.isFinite(nativeUsdPerWei)) || !(tokenInUsdPerUnit > 0 && Number.isFinite(tokenInUsdPerUnit))) {
+      throw new Error("The route of the swap does not provide the usd values needed to convert the 'swapMaxFee' option to the native coin.")
+    }
+
+    return BigInt(Math.floor(Number(swapMaxFee) * tokenInUsdPerUnit / nativeUsdPerWei))
+  }
+
+  /** @private */
+  async _resolveGasOptions ({ speed, maxFeePerGas, maxPriorityFeePerGas, gasLimitMultiplier }) {
+    if (speed) {
+      const fees = await this._getFeesPerGas(speed)
+
+      maxFeePerGas ??= fees.maxFeePerGas
+
+      maxPriorityFeePerGas ??= fees.maxPriorityFeePerGas
+    }
+
+    return {
+      ...(maxFeePerGas !== undefined && { maxFeePerGas: BigInt(maxFeePerGas) }),
+      ...(maxPriorityFeePerGas !== undefined && { maxPriorityFeePerGas: BigInt(maxPriorityFeePerGas) }),
+      ...(gasLimitMultiplier !== undefined && { gasLimitMultiplier })
+    }
+  }
+
+  /** @private */
+  async _getFeesPerGas (speed) {
+    const { baseFeePerGas, reward } = await this._provider.send('eth_feeHistory', [
+      toQuantity(FEE_HISTORY_BLOCKS),
+      'latest',
+      [FEE_HISTORY_PERCENTILES[speed]]
+    ])
+
+    // The last base fee of the history is the one of the next block:
+    const baseFee = BigInt(baseFeePerGas[baseFeePerGas.length - 1])
+
+    const rewards = reward.map(([value]) => BigInt(value)).sort((a, b) => a < b ? -1 : a > b ? 1 : 0)
+
+    const maxPriorityFeePerGas = rewards.length > 0 ? rewards[Math.floor(rewards.length / 2)] : 0n
+
+    // Leaves room for the base fee to double before the transaction is included:
+    return { maxFeePerGas: 2n * baseFee + maxPriorityFeePerGas, maxPriorityFeePerGas }
+  }
+
+  /** @private */
+  async _quoteSendTransaction (tx, { maxFeePerGas, maxPriorityFeePerGas, gasLimitMultiplier } = {}) {
+    if (maxFeePerGas === undefined && maxPriorityFeePerGas === undefined && gasLimitMultiplier === undefined) {
+      const { fee } = await this._account.quoteSendTransaction(tx)
+
+      return { tx, fee }
+    }
+
+    const gas = await this._provider.estimateGas({ from: await this._account.getAddress(), ...tx })
+
+    const gasLimit = gasLimitMultiplier !== undefined
+      ? VeloraProtocolEvm._applyGasLimitMultiplier(gas, gasLimitMultiplier)
+      : undefined
+
+    maxFeePerGas = await this._getMaxFeePerGas({ maxFeePerGas, maxPriorityFeePerGas })
+
+    return {
+      tx: {
+        ...tx,
+        ...(gasLimit !== undefined && { gasLimit }),
+        maxFeePerGas,
+        ...(maxPriorityFeePerGas !== undefined && { maxPriorityFeePerGas })
+      },
+      fee: (gasLimit ?? gas) * maxFeePerGas
+    }
+  }
+
+  /** @private */
+  async _quoteSwapFee (swapTx, priceRoute, approvalPending, gasOptions = {}) {
+    // The swap transaction reverts until its approval has been mined, so it can't be estimated by the provider yet:
+    if (!approvalPending || !priceRoute?.gasCost) {
+      const { fee } = await this._quoteSendTransaction(swapTx, gasOptions)
+
+      return fee
+    }
+
+    const gas = VeloraProtocolEvm._applyGasLimitMultiplier(BigInt(priceRoute.gasCost), gasOptions.gasLimitMultiplier ?? 1)
+
+    return gas * await this._getMaxFeePerGas(gasOptions)
+  }
+
+  /** @private */
+  async _getMaxFeePerGas ({ maxFeePerGas, maxPriorityFeePerGas }) {
+    if (maxFeePerGas !== undefined) {
+      return maxFeePerGas
+    }
+
+    const feeData = await this._provider.getFeeData()
+
+    return maxPriorityFeePerGas !== undefined
+      ? feeData.maxFeePerGas - feeData.maxPriorityFeePerGas + maxPriorityFeePerGas
+      : feeData.maxFeePerGas
+  }
+
+  /** @private */
+  async _getDestinationChainId ({ destChainId, tokenOutAmount }) {
+    if (destChainId === undefined) {
+      return undefined
+    }
+
+    const { chainId } = await this._getVeloraSdk()
+
+    if (destChainId === chainId) {
+      return undefined
+    }
+
+    if (!SUPPORTED_CHAINS[destChainId]) {
+      throw new UnsupportedChainError(destChainId, Object.keys(SUPPORTED_CHAINS).map(Number))
+    }
+
+    if (tokenOutAmount !== undefined) {
+      throw new Error("Cross-chain swaps only support exact input amounts: use the 'tokenInAmount' option.")
+    }
+
+    return destChainId
+  }
+
+  /** @private */
+  async _getDeltaOrder ({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, to, destChainId, slippage = this._config.slippage ?? 0 }) {
+    VeloraProtocolEvm._validateSlippage(slippage)
+
+    tokenIn = VeloraProtocolEvm._resolveToken(tokenIn)
+
+    tokenOut = VeloraProtocolEvm._resolveToken(tokenOut)
+
+    if (isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS)) {
+      throw new Error(destChainId !== undefined
+        ? 'Cross-chain swaps cannot sell the native coin: wrap it first.'
+        : "Delta orders cannot sell the native coin: wrap it first or use the 'market' mode.")
+    }
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const { side, amount } = await this._getSwapAmount(tokenIn, tokenOut, tokenInAmount, tokenOutAmount)
+
+    const address = await this._account.getAddress()
+
+    const { wrappedNativeToken, augustus } = SUPPORTED_CHAINS[veloraSdk.chainId]
+
+    const recipient = to !== undefined
+      ? await this._resolveRecipient(to, [tokenIn, tokenOut, wrappedNativeToken, augustus])
+      : undefined
+
+    const deltaPrice = await this._getDeltaPrice(veloraSdk, {
+      srcToken: tokenIn,
+      destToken: tokenOut,
+      amount: amount.toString(),
+      srcDecimals: await this._getDecimals(tokenIn),
+      destDecimals: destChainId !== undefined
+        ? (await this._getCrossChainTokenMetadata(destChainId, tokenOut)).decimals
+        : await this._getDecimals(tokenOut),
+      userAddress: address,
+      beneficiary: recipient,
+      partner: this._getPartnerOptions().partner,
+      ...(destChainId !== undefined && { destChainId }),
+      side
+    })
+
+    if (destChainId !== undefined && deltaPrice.bridge?.destinationChainId !== destChainId) {
+      throw new RouteNotAllowedError(`it does not bridge the output tokens to chain ${destChainId}.`)
+    }
+
+    const { tokenInAmountMax, tokenOutAmountMin } = VeloraProtocolEvm._getWorstCaseAmounts(deltaPrice, side, slippage)
+
+    const spender = await this._getDeltaContract(veloraSdk)
+
+    if (recipient && isSameAddress(recipient, spender)) {
+      throw new InvalidRecipientError(to, 'the recipient is a contract of the Velora protocol.')
+    }
+
+    return {
+      tokenIn,
+      tokenOut,
+      ...(recipient && { recipient }),
+      spender,
+      address,
+      tokenInAmount: BigInt(deltaPrice.srcAmount),
+      tokenOutAmount: BigInt(deltaPrice.destAmount),
+      tokenInAmountMax,
+      tokenOutAmountMin,
+      ...(destChainId !== undefined && {
+        destChainId,
+        bridge: VeloraProtocolEvm._getBridgeDetails(deltaPrice)
+      }),
+      deltaOrder: {
+        price: deltaPrice,
+        side,
+        beneficiary: recipient
+      }
+    }
+  }
+
+  /** @private */
+  static _getBridgeDetails ({ bridge, bridgeInfo }) {
+    return {
+      protocol: bridgeInfo.protocolName,
+      destChainId: bridge.destinationChainId,
+      tokenOutAmount: BigInt(bridgeInfo.destAmountAfterBridge),
+      fees: bridgeInfo.fees.map(({ feeToken, amount, amountInSrcToken, amountInUSD }) => ({
+        token: feeToken,
+        amount: BigInt(amount),
+        tokenInAmount: BigInt(amountInSrcToken),
+        amountUsd: Number(amountInUSD)
+      })),
+      estimatedTime: bridgeInfo.estimatedTimeMs
+    }
+  }
+
+  /** @private */
+  async _getCrossChainTokenMetadata (chainId, token) {
+    if (isSameAddress(token, NATIVE_TOKEN_ADDRESS)) {
+      return { address: NATIVE_TOKEN_ADDRESS, symbol: SUPPORTED_CHAINS[chainId].nativeSymbol, decimals: 18 }
+    }
+
+    const key = `${chainId}:${token.toLowerCase()}`
+
+    if (!this._crossChainTokensMetadata.has(key)) {
+      // Tokens on other chains cannot be read through the provider, so their metadata are taken from the tokens list of the Velora api:
+      const veloraSdk = constructSimpleSDK({
+        fetch: (url, init) => this._fetch(url, init),
+        apiURL: this._config.apiUrl,
+        chainId
+      })
+
+      const tokens = await veloraSdk.swap.getTokens()
+
+      for (const { address, symbol, decimals } of tokens) {
+        this._crossChainTokensMetadata.set(`${chainId}:${address.toLowerCase()}`, { address, ...(symbol && { symbol }), decimals })
+      }
+
+      if (!this._crossChainTokensMetadata.has(key)) {
+        throw new Error(`The token '${token}' is not supported by the Velora protocol on chain ${chainId}.`)
+      }
+    }
+
+    return this._crossChainTokensMetadata.get(key)
+  }
+
+  /** @private */
+  async _getDeltaPrice (veloraSdk, params) {
+    try {
+      return await veloraSdk.delta.getDeltaPrice(params)
+    } catch (error) {
+      if (error.status >= 400 && error.status < 500 && error.status !== 429) {
+        throw new NoRouteError(params.srcToken, params.destToken, error.message)
+      }
+
+      throw error
+    }
+  }
+
+  /** @private */
+  async _getDeltaContract (veloraSdk) {
+    const deltaContract = await veloraSdk.delta.getDeltaContract()
+
+    if (!deltaContract) {
+      throw new Error(`Velora delta is not available on chain ${veloraSdk.chainId}.`)
+    }
+
+    return deltaContract
+  }
+
+  /** @private */
+  async _resolveRecipient (to, contracts) {
+    let recipient = to
+
+    if (!isAddress(to) && to.includes('.')) {
+      recipient = await this._provider.resolveName(to).catch(() => null)
+
+      if (!recipient) {
+        throw new InvalidRecipientError(to, 'the ens name cannot be resolved.')
+      }
+    }
+
+    if (!isAddress(recipient)) {
+      throw new InvalidRecipientError(to, 'the address is malformed or its checksum is wrong.')
+    }
+
+    if (isSameAddress(recipient, ZERO_ADDRESS)) {
+      throw new InvalidRecipientError(to, 'the recipient is the zero address.')
+    }
+
+    if ([NATIVE_TOKEN_ADDRESS, PERMIT2_ADDRESS, ...contracts].some(contract => contract && isSameAddress(recipient, contract))) {
+      throw new InvalidRecipientError(to, 'the recipient is a token or a contract of the Velora protocol.')
+    }
+
+    return getAddress(recipient)
+  }
+
+  /** @private */
+  async _sendDeltaOrder ({ tokenIn, tokenOut, recipient, spender, address, tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin, destChainId, bridge, deltaOrder }, context) {
+    const approveTxs = await this._getApproveTransactions(tokenIn, spender, tokenInAmountMax)
+
+    const { fee, approveHash, resetAllowanceHash } = await this._sendApproveTransactions(tokenIn, spender, tokenInAmountMax, approveTxs, { context })
+
+    const veloraSdk = await this._getVeloraSdk()
+
+    const { domain, types, data } = await veloraSdk.delta.buildDeltaOrder({
+      owner: address,
+      beneficiary: deltaOrder.beneficiary,
+      srcToken: tokenIn,
+      destToken: tokenOut,
+      srcAmount: tokenInAmountMax.toString(),
+      destAmount: tokenOutAmountMin.toString(),
+      deltaPrice: deltaOrder.price,
+      ...this._getPartnerOptions(),
+      ...(destChainId !== undefined && {
+        destChainId,
+        beneficiaryType: !recipient && this._account instanceof WalletAccountEvmErc4337 ? 'SmartContract' : 'EOA'
+      }),
+      side: deltaOrder.side
+    })
+
+    if (recipient && !isSameAddress(data.beneficiary, recipient)) {
+      throw new RecipientMismatchError(recipient)
+    }
+
+    if (destChainId !== undefined && Number(data.bridge.destinationChainId) !== destChainId) {
+      throw new RouteNotAllowedError(`its delta order does not bridge the output tokens to chain ${destChainId}.`)
+    }
+
+    const { id } = await veloraSdk.delta.postDeltaOrder({
+      partner: this._getPartnerOptions().partner,
+      order: data,
+      signature: await this._signDeltaOrder(domain, types, data)
+    })
+
+    this._emit('sent', context, { orderId: id, fee })
+
+    const amounts = { tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin }
+
+    return {
+      orderId: id,
+      fee,
+      ...(recipient && { recipient }),
+      ...amounts,
+      formatted: await this._getFormattedAmounts(tokenIn, tokenOut, amounts, destChainId),
+      ...(destChainId !== undefined && { destChainId, bridge }),
+      ...(approveHash && { approveHash }),
+      ...(resetAllowanceHash && { resetAllowanceHash })
+    }
+  }
+
+  /** @private */
+  async _signDeltaOrder (domain, types, data) {
+    if (!(this._account instanceof WalletAccountEvmErc4337)) {
+      // Eoa signatures must be submitted in their erc-2098 compact representation:
+      return Signature.from(await this._account.signTypedData({ domain, types, message: data })).compactSerialized
+    }
+
+    // The orders of erc-4337 accounts are validated through the erc-1271 'isValidSignature' method of their safe, which expects the
+    //   owner to sign the hash of the order wrapped in a safe message. Signatures of prefixed messages are flagged by adding 4 to 'v':
+    const address = await this._account.getAddress()
+
+    const safeMessageHash = TypedDataEncoder.hash(
+      { chainId: domain.chainId, verifyingContract: address },
+      SAFE_MESSAGE_TYPES,
+      { message: TypedDataEncoder.hash(domain, types, data) }
+    )
+
+    const signature = Signature.from(await this._account.sign(getBytes(safeMessageHash)))
+
+    return concat([signature.r, signature.s, toBeHex(signature.v + 4, 1)])
+  }
+
+  /** @private */
+  async _simulateTransactions (txs, { traceTransfers = false } = {}) {
+    const from = await this._account.getAddress()
+
+    const calls = txs.map(({ to, value, data }) => ({ from, to, value: toQuantity(value ?? 0), data }))
+
+    if (calls.length === 1 && !traceTransfers) {
+      try {
+        await this._provider.call(calls[0])
+
+        return { success: true }
+      } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+          throw error
+        }
+
+        return { success: false, reason: error.reason ?? error.shortMessage, data: error.data ?? undefined }
+      }
+    }
+
+    let block
+
+    try {
+      // Approvals must be applied before simulating the swap, so the calls are chained in a single simulated block:
+      [block] = await this._provider.send('eth_simulateV1', [{
+        blockStateCalls: [{ calls }],
+        validation: false,
+        ...(traceTransfers && { traceTransfers })
+      }, 'latest'])
+    } catch (error) {
+      const { code, message = '' } = error.error ?? {}
+
+      // -32601 is the json-rpc error code of the methods that do not exist, but some providers reject them with other codes:
+      if (code === -32601 || /does not exist|not (found|supported|available)/i.test(message)) {
+        throw new SimulationFailedError("the provider does not support the 'eth_simulateV1' rpc method")
+      }
+
+      throw error
+    }
+
+    const failedCall = block.calls.find(call => Number(call.status) !== 1)
+
+    if (!failedCall) {
+      // With 'traceTransfers', the transfers of the native coin are also reported as erc-20 transfer logs of its placeholder address:
+      return { success: true, logs: block.calls.flatMap(call => call.logs ?? []) }
+    }
+
+    const data = failedCall.error?.data ?? failedCall.returnData
+
+    const { reason, shortMessage } = AbiCoder.getBuiltinCallException('call', {}, data)
+
+    return { success: false, reason: reason ?? shortMessage, data }
+  }
+
+  /** @private */
+  async _waitForReceipt (hash, confirmations, timeout) {
+    const expiresAt = Date.now() + timeout
+
+    while (true) {
+      const receipt = await this._account.getTransactionReceipt(hash)
+
+      if (receipt) {
+        const blockNumber = await this._provider.getBlockNumber()
+
+        if (blockNumber - receipt.blockNumber + 1 >= confirmations) {
+          return receipt
+        }
+      }
+
+      if (Date.now() >= expiresAt) {
+        // Erc-4337 user operations are not known to the provider, so only standard transactions can be detected as dropped:
+        if (!receipt && !(this._account instanceof WalletAccountReadOnlyEvmErc4337) && !(await this._provider.getTransaction(hash))) {
+          throw new SwapDroppedError(hash)
+        }
+
+        throw new SwapTimeoutError(hash, timeout)
+      }
+
+      await new Promise(resolve => setTimeout(resolve, RECEIPT_POLLING_INTERVAL))
+    }
+  }
+
+  /** @private */
+  async _checkBalances (tokenIn, amount, fee, config) {
+    const feeToken = this._account instanceof WalletAccountReadOnlyEvmErc4337
+      ? (config ?? this._account._config).paymasterToken?.address
+      : NATIVE_TOKEN_ADDRESS
+
+    const getBalance = (token) => isSameAddress(token, NATIVE_TOKEN_ADDRESS)
+      ? this._account.getBalance()
+      : this._account.getTokenBalance(token)
+
+    if (feeToken && isSameAddress(tokenIn, feeToken)) {
+      const balance = await getBalance(tokenIn)
+
+      if (balance < amount + fee) {
+        throw new InsufficientBalanceError(tokenIn, balance, amount + fee)
+      }
+
+      return
+    }
+
+    const balance = await getBalance(tokenIn)
+
+    if (balance < amount) {
+      throw new InsufficientBalanceError(tokenIn, balance, amount)
+    }
+
+    if (feeToken) {
+      const feeBalance = await getBalance(feeToken)
+
+      if (feeBalance < fee) {
+        throw new InsufficientBalanceError(feeToken, feeBalance, fee)
+      }
+    }
+  }
+
+  /** @private */
+  async _getApproveTransactions (token, spender, amount) {
+    if (!spender || isSameAddress(token, NATIVE_TOKEN_ADDRESS)) {
+      return []
+    }
+
+    const allowance = await this._account.getAllowance(token, spender)
+
+    if (allowance >= amount) {
+      return []
+    }
+
+    const { chainId } = await this._getVeloraSdk()
+
+    const approveTxs = []
+
+    if (chainId === 1 && isSameAddress(token, USDT_MAINNET_ADDRESS) && allowance > 0n) {
+      approveTxs.push({
+        to: token,
+        value: 0,
+        data: ERC_20_INTERFACE.encodeFunctionData('approve', [spender, 0])
+      })
+    }
+
+    approveTxs.push({
+      to: token,
+      value: 0,
+      data: ERC_20_INTERFACE.encodeFunctionData('approve', [spender, amount])
+    })
+
+    return approveTxs
+  }
+
+  /** @private */
+  async _getPermit (token, spender, amount) {
+    if (!spender || isSameAddress(token, NATIVE_TOKEN_ADDRESS)) {
+      return undefined
+    }
+
+    const allowance = await this._account.getAllowance(token, spender)
+
+    if (allowance >= amount) {
+      return undefined
+    }
+
+    const { chainId } = await this._getVeloraSdk()
+
+    const owner = await this._account.getAddress()
+
+    const deadline = Math.floor(Date.now() / 1_000) + PERMIT_DEADLINE
+
+    const call = async (iface, to, method, args = []) => {
+      const result = await this._provider.call({ to, data: iface.encodeFunctionData(method, args) })
+
+      return iface.decodeFunctionResult(method, result)
+    }
+
+    try {
+      const [name] = await call(ERC_20_PERMIT_INTERFACE, token, 'name')
+
+      const [nonce] = await call(ERC_20_PERMIT_INTERFACE, token, 'nonces', [owner])
+
+      const [domainSeparator] = await call(ERC_20_PERMIT_INTERFACE, token, 'DOMAIN_SEPARATOR')
+
+      // Most tokens without a 'version' method (e.g., openzeppelin's before v4.9) use '1' in their domain:
+      const version = await call(ERC_20_PERMIT_INTERFACE, token, 'version')
+        .then(([value]) => value, () => '1')
+
+      const domain = { name, version, chainId, verifyingContract: token }
+
+      // Tokens with a non-standard domain (or without eip-2612 support) would reject the permit, so the domain is checked first:
+      if (TypedDataEncoder.hashDomain(domain) === domainSeparator) {
+        const message = { owner, spender, value: amount, nonce, deadline }
+
+        const signature = Signature.from(await this._account.signTypedData({ domain, types: PERMIT_TYPES, message }))
+
+        return {
+          type: 'permit',
+          permit: AbiCoder.defaultAbiCoder().encode(
+            ['address', 'address', 'uint256', 'uint256', 'uint8', 'bytes32', 'bytes32'],
+            [owner, spender, amount, deadline, signature.v, signature.r, signature.s]
+          )
+        }
+      }
+    } catch {
+      // The token does not implement eip-2612: falls back to permit2.
+    }
+
+    const permit2Allowance = await this._account.getAllowance(token, PERMIT2_ADDRESS)
+
+    if (permit2Allowance < amount) {
+      return undefined
+    }
+
+    const [, , nonce] = await call(PERMIT2_INTERFACE, PERMIT2_ADDRESS, 'allowance', [owner, token, spender])
+
+    const domain = { name: 'Permit2', chainId, verifyingContract: PERMIT2_ADDRESS }
+
+    const message = { details: { token, amount, expiration: deadline, nonce }, spender, sigDeadline: deadline }
+
+    const signature = Signature.from(await this._account.signTypedData({ domain, types: PERMIT2_TYPES, message }))
+
+    return {
+      type: 'permit2',
+      permit: AbiCoder.defaultAbiCoder().encode(
+        ['uint160', 'uint48', 'uint48', 'uint256', 'bytes32', 'bytes32'],
+        [amount, deadline, nonce, deadline, signature.r, signature.yParityAndS]
+      )
+    }
+  }
+
+  /** @private */
+  async _getDecimals (token) {
+    const { decimals } = await this.getTokenMetadata(token)
+
+    return decimals
+  }
+
+  /** @private */
+  async _getSwapAmount (tokenIn, tokenOut, tokenInAmount, tokenOutAmount) {
+    return tokenInAmount
+      ? { side: 'SELL', amount: await this._parseAmount(tokenIn, tokenInAmount) }
+      : { side: 'BUY', amount: await this._parseAmount(tokenOut, tokenOutAmount) }
+  }
+
+  /** @private */
+  async _parseAmount (token, amount) {
+    if (typeof amount !== 'string') {
+      return BigInt(amount)
+    }
+
+    // Only strings holding a decimal point are read in token units, so that an amount in base unit passed as a string (e.g., '1000000')
+    //   is never read as a million tokens:
+    if (!amount.includes('.')) {
+      throw new Error(`Invalid amount '${amount}': amounts in token units must hold a decimal point (e.g., '${amount}.0'), and amounts in base unit must be passed as numbers or bigints.`)
+    }
+
+    const decimals = await this._getDecimals(token)
+
+    try {
+      return parseUnits(amount, decimals)
+    } catch {
+      throw new Error(`Invalid amount '${amount}': expected a decimal number with at most ${decimals} decimals.`)
+    }
+  }
+
+  /** @private */
+  async _getFormattedAmounts (tokenIn, tokenOut, { tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin }, destChainId) {
+    const tokenInDecimals = await this._getDecimals(tokenIn)
+
+    const tokenOutDecimals = destChainId !== undefined
+      ? (await this._getCrossChainTokenMetadata(destChainId, tokenOut)).decimals
+      : await this._getDecimals(tokenOut)
+
+    return {
+      tokenInAmount: formatUnits(tokenInAmount, tokenInDecimals),
+      tokenOutAmount: formatUnits(tokenOutAmount, tokenOutDecimals),
+      tokenInAmountMax: formatUnits(tokenInAmountMax, tokenInDecimals),
+      tokenOutAmountMin: formatUnits(tokenOutAmountMin, tokenOutDecimals)
+    }
+  }
+
+  /** @private */
+  async _readTokenMetadata (token) {
+    const call = async (method) => {
+      const result = await this._provider.call({ to: token, data: ERC_20_INTERFACE.encodeFunctionData(method) })
+
+      const [value] = ERC_20_INTERFACE.decodeFunctionResult(method, result)
+
+      return value
+    }
+
+    const decimals = await call('decimals')
+
+    let symbol
+
+    try {
+      symbol = await call('symbol')
+    } catch {
+      // Some tokens (e.g., mkr) return their symbol as a bytes32, which is not worth decoding here.
+    }
+
+    return { address: token, ...(symbol !== undefined && { symbol }), decimals: Number(decimals) }
+  }
+
+  /** @private */
+  static _validateMaxQuoteShortfall (maxQuoteShortfall) {
+    if (maxQuoteShortfall !== undefined && (typeof maxQuoteShortfall !== 'number' || !(maxQuoteShortfall >= 0))) {
+      throw new Error('The max quote shortfall must be a non-negative number of basis points.')
+    }
+  }
+
+  /** @private */
+  static _validateSlippage (slippage) {
+    if (!Number.isInteger(slippage) || slippage < 0 || slippage >= MAX_BPS) {
+      throw new Error(`The slippage must be an integer number of basis points between 0 and ${MAX_BPS - 1}.`)
+    }
+  }
+
+  /** @private */
+  static _applyGasLimitMultiplier (gas, gasLimitMultiplier) {
+    return gas * BigInt(Math.round(gasLimitMultiplier * 1_000)) / 1_000n
+  }
+
+  /** @private */
+  static _getWorstCaseAmounts ({ srcAmount, destAmount }, side, slippage) {
+    const tokenInAmountMax = side === 'BUY'
+      ? BigInt(srcAmount) * BigInt(MAX_BPS + slippage) / BigInt(MAX_BPS)
+      : BigInt(srcAmount)
+
+    const tokenOutAmountMin = side === 'SELL'
+      ? BigInt(destAmount) * BigInt(MAX_BPS - slippage) / BigInt(MAX_BPS)
+      : BigInt(destAmount)
+
+    return { tokenInAmountMax, tokenOutAmountMin }
+  }
+
+  /** @private */
+  static _validateApiOptions ({ apiUrl, fetcher, apiKey, headers, partner, partnerAddress, partnerFeeBps, cacheTtl, retries, retryDelay }) {
+    if (apiUrl !== undefined && !/^https?:\/\/[^/\s]+/.test(apiUrl)) {
+      throw new Error(`The api url '${apiUrl}' is not a valid http(s) url.`)
+    }
+
+    if (fetcher !== undefined && typeof fetcher !== 'function') {
+      throw new Error('The fetcher must be a fetch-compatible function.')
+    }
+
+    if (apiKey !== undefined && (typeof apiKey !== 'string' || apiKey.length === 0)) {
+      throw new Error('The api key must be a non-empty string.')
+    }
+
+    if (headers !== undefined && (typeof headers !== 'object' || Object.values(headers).some(value => typeof value !== 'string'))) {
+      throw new Error('The headers must be an object mapping header names to string values.')
+    }
+
+    for (const [name, value] of Object.entries({ cacheTtl, retries, retryDelay })) {
+      if (value !== undefined && (!Number.isInteger(value) || value < 0)) {
+        throw new Error(`The '${name}' option must be a non-negative integer.`)
+      }
+    }
+
+    if (partner !== undefined && (typeof partner !== 'string' || partner.length === 0)) {
+      throw new Error('The partner must be a non-empty string.')
+    }
+
+    if (partnerAddress !== undefined && !isAddress(partnerAddress)) {
+      throw new Error(`The partner address '${partnerAddress}' is not a valid address.`)
+    }
+
+    if (partnerFeeBps !== undefined) {
+      if (!Number.isInteger(partnerFeeBps) || partnerFeeBps < 0 || partnerFeeBps > MAX_PARTNER_FEE_BPS) {
+        throw new Error(`The partner fee must be an integer number of basis points between 0 and ${MAX_PARTNER_FEE_BPS}.`)
+      }
+
+      if (partnerFeeBps > 0 && partnerAddress === undefined) {
+        throw new Error("The 'partnerAddress' option is required to charge a partner fee.")
+      }
+    }
+  }
+
+  /** @private */
+  static _getGasOptions (config, options) {
+    const keys = ['speed', 'maxFeePerGas', 'maxPriorityFeePerGas', 'gasLimitMultiplier']
+
+    const gasOptions = Object.fromEntries(keys.map(key => [key, options[key] ?? config[key]]))
+
+    VeloraProtocolEvm._validateGasOptions(gasOptions)
+
+    return gasOptions
+  }
+
+  /** @private */
+  static _validateGasOptions ({ speed, maxFeePerGas, maxPriorityFeePerGas, gasLimitMultiplier }) {
+    if (speed !== undefined && !Object.hasOwn(FEE_HISTORY_PERCENTILES, speed)) {
+      throw new Error(`Unsupported speed '${speed}': expected 'slow', 'normal' or 'fast'.`)
+    }
+
+    for (const [name, value] of Object.entries({ maxFeePerGas, maxPriorityFeePerGas })) {
+      if (value !== undefined && (typeof value === 'bigint' ? value < 0n : !Number.isInteger(value) || value < 0)) {
+        throw new Error(`The '${name}' option must be a non-negative integer number of wei.`)
+      }
+    }
+
+    if (maxFeePerGas !== undefined && maxPriorityFeePerGas !== undefined && BigInt(maxPriorityFeePerGas) > BigInt(maxFeePerGas)) {
+      throw new Error("The 'maxPriorityFeePerGas' option cannot exceed the 'maxFeePerGas' option.")
+    }
+
+    if (gasLimitMultiplier !== undefined && (typeof gasLimitMultiplier !== 'number' || !(gasLimitMultiplier >= 1) || !Number.isFinite(gasLimitMultiplier))) {
+      throw new Error("The 'gasLimitMultiplier' option must be a number greater than or equal to 1.")
+    }
+  }
+
+  /** @private */
+  static _getRouteOptions (config, options) {
+    const keys = ['includeDexs', 'excludeDexs', 'includeContractMethods', 'excludeContractMethods', 'maxImpact', 'otherExchangePrices']
+
+    return Object.fromEntries(keys.map(key => [key, options[key] ?? config[key]]))
+  }
+
+  /** @private */
+  static _validateRouteOptions ({ includeDexs, excludeDexs, includeContractMethods, excludeContractMethods, maxImpact, otherExchangePrices }) {
+    const lists = { includeDexs, excludeDexs, includeContractMethods, excludeContractMethods }
+
+    for (const [name, list] of Object.entries(lists)) {
+      if (list !== undefined && (!Array.isArray(list) || list.some(item => typeof item !== 'string' || item.length === 0))) {
+        throw new Error(`The '${name}' option must be an array of non-empty strings.`)
+      }
+    }
+
+    if (maxImpact !== undefined && (typeof maxImpact !== 'number' || !(maxImpact > 0) || maxImpact > 100)) {
+      throw new Error('The max impact must be a percentage greater than 0 and lower than or equal to 100.')
+    }
+
+    if (otherExchangePrices !== undefined && typeof otherExchangePrices !== 'boolean') {
+      throw new Error("The 'otherExchangePrices' option must be a boolean.")
+    }
+  }
+
+  /** @private */
+  static _checkRoute (priceRoute, { includeDexs, excludeDexs, includeContractMethods, excludeContractMethods }) {
+    const includes = (list, item) => list.some(element => element.toLowerCase() === item.toLowerCase())
+
+    const exchanges = (priceRoute.bestRoute ?? [])
+      .flatMap(route => route.swaps)
+      .flatMap(swap => swap.swapExchanges)
+      .map(swapExchange => swapExchange.exchange)
+
+    for (const exchange of exchanges) {
+      if (excludeDexs && includes(excludeDexs, exchange)) {
+        throw new RouteNotAllowedError(`it goes through the excluded dex '${exchange}'.`)
+      }
+
+      if (includeDexs && !includes(includeDexs, exchange)) {
+        throw new RouteNotAllowedError(`it goes through the dex '${exchange}', which is not included.`)
+      }
+    }
+
+    const { contractMethod } = priceRoute
+
+    if (contractMethod) {
+      if (excludeContractMethods && includes(excludeContractMethods, contractMethod)) {
+        throw new RouteNotAllowedError(`it uses the excluded contract method '${contractMethod}'.`)
+      }
+
+      if (includeContractMethods && !includes(includeContractMethods, contractMethod)) {
+        throw new RouteNotAllowedError(`it uses the contract method '${contractMethod}', which is not included.`)
+      }
+    }
+
+    if (priceRoute.maxImpactReached) {
+      throw new RouteNotAllowedError('its price impact exceeds the max impact.')
+    }
+  }
+
+  /** @private */
+  static _getBalanceChanges (logs, address) {
+    const balanceChanges = {}
+
+    const transferTopic = ERC_20_INTERFACE.getEvent('Transfer').topicHash
+
+    for (const log of logs) {
+      // Erc-721 transfer events share the same topic, but also index the token id:
+      if (log.topics[0] !== transferTopic || log.topics.length !== 3) {
+        continue
+      }
+
+      const { args: { from, to, value } } = ERC_20_INTERFACE.parseLog(log)
+
+      const change = (isSameAddress(to, address) ? value : 0n) - (isSameAddress(from, address) ? value : 0n)
+
+      if (change !== 0n) {
+        const token = getAddress(log.address)
+
+        balanceChanges[token] = (balanceChanges[token] ?? 0n) + change
+      }
+    }
+
+    return balanceChanges
+  }
+
+  /** @private */
+  static _getRouteSummary (priceRoute) {
+    const toNumber = (value) => value === undefined || value === null ? undefined : Number(value)
+
+    const tokenInUsd = toNumber(priceRoute.srcUSD)
+
+    const tokenOutUsd = toNumber(priceRoute.destUSD)
+
+    return {
+      tokenIn: priceRoute.srcToken,
+      tokenOut: priceRoute.destToken,
+      tokenInAmount: BigInt(priceRoute.srcAmount),
+      tokenOutAmount: BigInt(priceRoute.destAmount),
+      tokenInUsd,
+      tokenOutUsd,
+      priceImpact: tokenInUsd && tokenOutUsd !== undefined
+        ? (tokenInUsd - tokenOutUsd) / tokenInUsd * MAX_BPS
+        : undefined,
+      gasCostUsd: toNumber(priceRoute.gasCostUSD),
+      spender: priceRoute.tokenTransferProxy,
+      contractAddress: priceRoute.contractAddress,
+      contractMethod: priceRoute.contractMethod,
+      blockNumber: priceRoute.blockNumber,
+      paths: (priceRoute.bestRoute ?? []).map(({ percent, swaps }) => ({
+        percent,
+        hops: swaps.map(({ srcToken, destToken, swapExchanges }) => ({
+          tokenIn: srcToken,
+          tokenOut: destToken,
+          exchanges: swapExchanges.map(({ exchange, percent }) => ({ dex: exchange, percent }))
+        }))
+      }))
+    }
+  }
+
+  /** @private */
+  static _resolveToken (token) {
+    return token === NATIVE_TOKEN_ALIAS ? NATIVE_TOKEN_ADDRESS : token
+  }
+
+  /** @private */
+  static _getQuoteEventPayload ({ tokenIn, tokenOut, priceRoute, tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin }) {
+    return { tokenIn, tokenOut, tokenInAmount, tokenOutAmount, tokenInAmountMax, tokenOutAmountMin, ...(priceRoute && { priceRoute }) }
+  }
+
+  /** @private */
+  static _validateEventListener (event, listener) {
+    if (!SWAP_EVENTS.includes(event)) {
+      throw new Error(`Unsupported event '${event}': expected one of ${SWAP_EVENTS.map(name => `'${name}'`).join(', ')}.`)
+    }
+
+    if (typeof listener !== 'function') {
+      throw new Error(`The listener of the '${event}' event must be a function.`)
+    }
+  }
+
+  /** @private */
+  static _verifySwapTransaction ({ tokenIn, tokenOut, recipient, address, tx, spender, tokenInAmountMax, tokenOutAmountMin }, { augustus, wrappedNativeToken }) {
+    if (!isSameAddress(tx.to, augustus)) {
+      throw new SwapTransactionMismatchError(`it calls the contract '${tx.to}' instead of the augustus contract '${augustus}'.`)
+    }
+
+    if (!isSameAddress(spender, augustus)) {
+      throw new SwapTransactionMismatchError(`it spends the input tokens through the contract '${spender}' instead of the augustus contract.`)
+    }
+
+    const isNativeIn = isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS)
+
+    const value = BigInt(tx.value ?? 0)
+
+    if (isNativeIn ? value > tokenInAmountMax : value > 0n) {
+      throw new SwapTransactionMismatchError(`it sends ${value} wei of native coin along with the swap.`)
+    }
+
+    const { srcToken, destToken, fromAmount, toAmount, beneficiary, wrapsNative } = VeloraProtocolEvm._decodeSwapCalldata(tx.data)
+
+    // The balancer v2 vault and the augustus rfq contract address the native coin as the zero address or as its wrapped token:
+    const isToken = (actual, expected) => isSameAddress(actual, expected) || (wrapsNative && isSameAddress(expected, NATIVE_TOKEN_ADDRESS) &&
+      (isSameAddress(actual, ZERO_ADDRESS) || isSameAddress(actual, wrappedNativeToken)))
+
+    if (!isToken(srcToken, tokenIn)) {
+      throw new SwapTransactionMismatchError(`it sells the token '${srcToken}' instead of '${tokenIn}'.`)
+    }
+
+    if (!isToken(destToken, tokenOut)) {
+      throw new SwapTransactionMismatchError(`it buys the token '${destToken}' instead of '${tokenOut}'.`)
+    }
+
+    if (fromAmount > tokenInAmountMax) {
+      throw new SwapTransactionMismatchError(`it sells up to ${fromAmount} input tokens, more than the maximum of ${tokenInAmountMax}.`)
+    }
+
+    if (toAmount < tokenOutAmountMin) {
+      throw new SwapTransactionMismatchError(`it buys at least ${toAmount} output tokens, less than the minimum of ${tokenOutAmountMin}.`)
+    }
+
+    // The augustus contract pays the output tokens to the caller if the beneficiary is the zero address:
+    const expectedBeneficiary = recipient ?? address
+
+    if (!isSameAddress(beneficiary, expectedBeneficiary) && !(isSameAddress(beneficiary, ZERO_ADDRESS) && isSameAddress(expectedBeneficiary, address))) {
+      if (recipient) {
+        throw new RecipientMismatchError(recipient)
+      }
+
+      throw new SwapTransactionMismatchError(`it pays the output tokens to '${beneficiary}' instead of the account.`)
+    }
+  }
+
+  /** @private */
+  static _decodeSwapCalldata (data) {
+    const call = (() => {
+      try {
+        return AUGUSTUS_V6_INTERFACE.parseTransaction({ data })
+      } catch {
+        return null
+      }
+    })()
+
+    if (!call) {
+      throw new SwapTransactionMismatchError('it does not call a known swap method of the augustus contract.')
+    }
+
+    // Some methods pack flags in the upper bits of the word holding the beneficiary:
+    const toAddress = word => getAddress('0x' + (word & ADDRESS_MASK).toString(16).padStart(40, '0'))
+
+    switch (call.name) {
+      case 'swapExactAmountIn':
+      case 'swapExactAmountOut': {
+        const { srcToken, destToken, fromAmount, toAmount, beneficiary } = call.args.swapData
+
+        return { srcToken, destToken, fromAmount, toAmount, beneficiary }
+      }
+
+      case 'swapExactAmountInOutOnMakerPSM': {
+        const { srcToken, destToken, fromAmount, toAmount, beneficiaryDirectionApproveFlag } = call.args.makerPSMData
+
+        return { srcToken, destToken, fromAmount, toAmount, beneficiary: toAddress(beneficiaryDirectionApproveFlag) }
+      }
+
+      case 'swapExactAmountInOnBalancerV2':
+      case 'swapExactAmountOutOnBalancerV2': {
+        const { fromAmount, toAmount, beneficiaryAndApproveFlag } = call.args.balancerData
+
+        const { srcToken, destToken } = VeloraProtocolEvm._decodeBalancerV2Tokens(call.args.data)
+
+        return { srcToken, destToken, fromAmount, toAmount, beneficiary: toAddress(beneficiaryAndApproveFlag), wrapsNative: true }
+      }
+
+      case 'swapOnAugustusRFQTryBatchFill': {
+        const { fromAmount, toAmount, beneficiary } = call.args.data
+
+        const takerAssets = new Set(call.args.orders.map(({ order }) => order.takerAsset.toLowerCase()))
+
+        const makerAssets = new Set(call.args.orders.map(({ order }) => order.makerAsset.toLowerCase()))
+
+        if (takerAssets.size !== 1 || makerAssets.size !== 1) {
+          throw new SwapTransactionMismatchError('its rfq orders do not all trade the same pair of tokens.')
+        }
+
+        const [srcToken] = takerAssets
+
+        const [destToken] = makerAssets
+
+        return { srcToken, destToken, fromAmount, toAmount, beneficiary, wrapsNative: true }
+      }
+
+      default: {
+        const { srcToken, destToken, fromAmount, toAmount, beneficiary } = call.args[0]
+
+        return { srcToken, destToken, fromAmount, toAmount, beneficiary }
+      }
+    }
+  }
+
+  /** @private */
+  static _decodeBalancerV2Tokens (data) {
+    const call = (() => {
+      try {
+        return BALANCER_V2_VAULT_INTERFACE.parseTransaction({ data })
+      } catch {
+        return null
+      }
+    })()
+
+    if (!call) {
+      throw new SwapTransactionMismatchError('it does not call a known swap method of the balancer v2 vault.')
+    }
+
+    if (call.name === 'swap') {
+      const { assetIn, assetOut } = call.args.singleSwap
+
+      return { srcToken: assetIn, destToken: assetOut }
+    }
+
+    const { kind, swaps, assets } = call.args
+
+    if (swaps.length === 0) {
+      throw new SwapTransactionMismatchError('its balancer v2 batch swap is empty.')
+    }
+
+    // Batch swaps with a given input (kind 0) go from the input to the output token, while those with a given output go backwards:
+    const [first, last] = kind === 0n ? [swaps[0], swaps[swaps.length - 1]] : [swaps[swaps.length - 1], swaps[0]]
+
+    return { srcToken: assets[Number(first.assetInIndex)], destToken: assets[Number(last.assetOutIndex)] }
+  }
+
+  /** @private */
+  static _getWrapTransactions (tokenIn, tokenOut, wrappedNativeToken, amount) {
+    const swapTx = isSameAddress(tokenIn, NATIVE_TOKEN_ADDRESS)
+      ? { to: wrappedNativeToken, value: amount, data: WRAPPED_NATIVE_TOKEN_INTERFACE.encodeFunctionData('deposit') }
+      : { to: wrappedNativeToken, value: 0, data: WRAPPED_NATIVE_TOKEN_INTERFACE.encodeFunctionData('withdraw', [amount]) }
+
+    return {
+      tokenIn,
+      tokenOut,
+      swapTx,
+      spender: undefined,
+      priceRoute: undefined,
+      tokenInAmount: amount,
+      tokenOutAmount: amount,
+      tokenInAmountMax: amount,
+      tokenOutAmountMin: amount
     }
   }
 }
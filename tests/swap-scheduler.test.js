@@ -0,0 +1,400 @@
+import { beforeEach, describe, expect, jest, test } from '@jest/globals'
+
+import { SlippageExceededError, SwapScheduler } from '../index.js'
+
+const TOKEN_IN = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+
+const TOKEN_OUT = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+
+const HOUR = 3_600_000
+
+const DUMMY_PLAN = {
+  id: 'dummy-plan',
+  tokenIn: TOKEN_IN,
+  tokenOut: TOKEN_OUT,
+  tokenInAmount: 100_000_000n,
+  interval: HOUR,
+  runs: 3,
+  retries: 1,
+  retryDelay: 1_000
+}
+
+const DUMMY_QUOTE = {
+  fee: 1_000n,
+  tokenInAmount: 100_000_000n,
+  tokenOutAmount: 40_000_000_000_000_000n,
+  formatted: {
+    tokenInAmount: '100.0',
+    tokenOutAmount: '0.04',
+    tokenInAmountMax: '100.0',
+    tokenOutAmountMin: '0.04'
+  }
+}
+
+const DUMMY_RESULT = {
+  hash: 'dummy-swap-hash',
+  fee: 1_000n,
+  tokenInAmount: 100_000_000n,
+  tokenOutAmount: 40_000_000_000_000_000n
+}
+
+function createFakeClock (now = 0) {
+  let timers = []
+
+  return {
+    now: () => now,
+    setTimeout: (callback, delay) => {
+      const timer = { at: now + delay, callback }
+
+      timers.push(timer)
+
+      return timer
+    },
+    clearTimeout: (timer) => {
+      timers = timers.filter(other => other !== timer)
+    },
+    async advance (ms) {
+      const target = now + ms
+
+      while (true) {
+        const [timer] = timers.filter(({ at }) => at <= target).sort((a, b) => a.at - b.at)
+
+        if (!timer) {
+          break
+        }
+
+        timers = timers.filter(other => other !== timer)
+
+        now = timer.at
+
+        timer.callback()
+
+        await new Promise(resolve => setImmediate(resolve))
+      }
+
+      now = target
+    }
+  }
+}
+
+function createMemoryStorage () {
+  const states = new Map()
+
+  return {
+    load: jest.fn(async (planId) => states.get(planId)),
+    save: jest.fn(async (planId, state) => { states.set(planId, JSON.parse(JSON.stringify(state))) })
+  }
+}
+
+describe('SwapScheduler', () => {
+  let protocol, clock, storage
+
+  beforeEach(() => {
+    protocol = {
+      quoteSwap: jest.fn().mockResolvedValue(DUMMY_QUOTE),
+      executeQuote: jest.fn().mockResolvedValue(DUMMY_RESULT)
+    }
+
+    clock = createFakeClock(1_000_000)
+
+    storage = createMemoryStorage()
+  })
+
+  test('should perform a swap at each run of the plan, then complete', async () => {
+    const onRun = jest.fn()
+
+    const scheduler = new SwapScheduler(protocol, { ...DUMMY_PLAN, swapOptions: { slippage: 50 } }, { storage, clock, onRun })
+
+    await scheduler.start()
+
+    await clock.advance(0)
+
+    expect(protocol.quoteSwap).toHaveBeenCalledWith({ slippage: 50, tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100_000_000n })
+
+    expect(protocol.executeQuote).toHaveBeenCalledWith(DUMMY_QUOTE)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(2)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(3)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(3)
+
+    expect(scheduler.running).toBe(false)
+
+    expect(onRun).toHaveBeenCalledTimes(3)
+
+    const state = await scheduler.getState()
+
+    expect(state.completed).toBe(true)
+
+    expect(state.runs[1]).toEqual({
+      index: 1,
+      scheduledAt: 1_000_000 + HOUR,
+      executedAt: 1_000_000 + HOUR,
+      status: 'executed',
+      hash: 'dummy-swap-hash',
+      tokenInAmount: '100000000',
+      tokenOutAmount: '40000000000000000',
+      fee: '1000',
+      price: 2_500,
+      attempts: 1
+    })
+  })
+
+  test('should skip the runs whose price or fee exceeds the limits of the plan', async () => {
+    protocol.quoteSwap = jest.fn()
+      .mockResolvedValueOnce({ ...DUMMY_QUOTE, formatted: { ...DUMMY_QUOTE.formatted, tokenOutAmount: '0.02' } })
+      .mockResolvedValueOnce({ ...DUMMY_QUOTE, fee: 5_000n })
+      .mockResolvedValueOnce(DUMMY_QUOTE)
+
+    const scheduler = new SwapScheduler(protocol, { ...DUMMY_PLAN, maxPrice: 3_000, maxFee: 2_000n }, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(2 * HOUR)
+
+    const { runs } = await scheduler.getState()
+
+    expect(runs.map(({ status, reason }) => [status, reason])).toEqual([
+      ['skipped', 'price'],
+      ['skipped', 'fee'],
+      ['executed', undefined]
+    ])
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+  })
+
+  test('should retry a failed run, then record it as failed and move on to the next run', async () => {
+    protocol.quoteSwap = jest.fn()
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockRejectedValueOnce(new Error('Network error'))
+      .mockResolvedValue(DUMMY_QUOTE)
+
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(1_000)
+
+    const { runs, nextRun } = await scheduler.getState()
+
+    expect(runs).toEqual([expect.objectContaining({ index: 0, status: 'failed', attempts: 2, error: 'Network error' })])
+
+    expect(nextRun).toBe(1)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.quoteSwap).toHaveBeenCalledTimes(3)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+  })
+
+  test('should retry a run whose execution failed before sending the swap', async () => {
+    protocol.executeQuote = jest.fn()
+      .mockRejectedValueOnce(new SlippageExceededError(39_000_000_000_000_000n, 39_800_000_000_000_000n))
+      .mockResolvedValue(DUMMY_RESULT)
+
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(1_000)
+
+    const { runs, pending } = await scheduler.getState()
+
+    expect(runs).toEqual([expect.objectContaining({ index: 0, status: 'executed', attempts: 2 })])
+
+    expect(pending).toBeUndefined()
+
+    scheduler.stop()
+  })
+
+  test('should record a run whose execution failed with an unknown error as interrupted instead of retrying it', async () => {
+    protocol.executeQuote = jest.fn().mockRejectedValue(new Error('Connection reset'))
+
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(1_000)
+
+    const { runs, nextRun, pending } = await scheduler.getState()
+
+    expect(runs).toEqual([{ index: 0, scheduledAt: 1_000_000, executedAt: 1_000_000, status: 'interrupted', attempts: 1, error: 'Connection reset' }])
+
+    expect(nextRun).toBe(1)
+
+    expect(pending).toBeUndefined()
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    scheduler.stop()
+  })
+
+  test('should resume from the saved state after a restart, skipping the runs missed in between', async () => {
+    const scheduler = new SwapScheduler(protocol, { ...DUMMY_PLAN, runs: 4 }, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(0)
+
+    scheduler.stop()
+
+    await clock.advance(2 * HOUR + 10)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    const restarted = new SwapScheduler(protocol, { ...DUMMY_PLAN, runs: 4 }, { storage, clock })
+
+    await restarted.start()
+
+    await clock.advance(0)
+
+    const { runs } = await restarted.getState()
+
+    expect(runs.map(({ index, status, reason }) => [index, status, reason])).toEqual([
+      [0, 'executed', undefined],
+      [1, 'skipped', 'missed'],
+      [2, 'executed', undefined]
+    ])
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(2)
+
+    restarted.stop()
+  })
+
+  test('should schedule the runs once if the scheduler is started several times concurrently', async () => {
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await Promise.all([scheduler.start(), scheduler.start()])
+
+    await clock.advance(0)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(2)
+
+    scheduler.stop()
+  })
+
+  test('should not schedule any run if the scheduler is stopped while starting', async () => {
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    const promise = scheduler.start()
+
+    scheduler.stop()
+
+    await promise
+
+    expect(scheduler.running).toBe(false)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.quoteSwap).not.toHaveBeenCalled()
+
+    await scheduler.start()
+
+    await clock.advance(0)
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    scheduler.stop()
+  })
+
+  test('should not perform a recorded run again if its timer fires early', async () => {
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(0)
+
+    const { now } = clock
+
+    // The system clock is set back by a minute while the scheduler is waiting for the next run:
+    clock.now = () => now() - 60_000
+
+    await clock.advance(HOUR)
+
+    const { runs } = await scheduler.getState()
+
+    expect(runs.map(({ index }) => index)).toEqual([0, 1])
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(2)
+
+    scheduler.stop()
+  })
+
+  test('should record a run left pending by a previous scheduler as interrupted instead of performing it again', async () => {
+    protocol.executeQuote = jest.fn(() => new Promise(() => {}))
+
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock })
+
+    await scheduler.start()
+
+    await clock.advance(0)
+
+    expect(await storage.load(DUMMY_PLAN.id)).toEqual(expect.objectContaining({ nextRun: 0, pending: { index: 0, scheduledAt: 1_000_000, attempts: 1 } }))
+
+    protocol.executeQuote = jest.fn().mockResolvedValue(DUMMY_RESULT)
+
+    const onRun = jest.fn()
+
+    const restarted = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock, onRun })
+
+    await restarted.start()
+
+    expect(onRun).toHaveBeenCalledWith({ index: 0, scheduledAt: 1_000_000, executedAt: 1_000_000, status: 'interrupted', attempts: 1 })
+
+    await clock.advance(HOUR)
+
+    const { runs, pending } = await restarted.getState()
+
+    expect(runs.map(({ index, status }) => [index, status])).toEqual([[0, 'interrupted'], [1, 'executed']])
+
+    expect(pending).toBeUndefined()
+
+    expect(protocol.executeQuote).toHaveBeenCalledTimes(1)
+
+    restarted.stop()
+  })
+
+  test('should stop and report the error if the state of the plan cannot be saved', async () => {
+    const error = new Error('Storage unavailable')
+
+    const onError = jest.fn()
+
+    const scheduler = new SwapScheduler(protocol, DUMMY_PLAN, { storage, clock, onError })
+
+    await scheduler.start()
+
+    storage.save.mockRejectedValue(error)
+
+    await clock.advance(0)
+
+    expect(onError).toHaveBeenCalledWith(error)
+
+    expect(scheduler.running).toBe(false)
+
+    await clock.advance(HOUR)
+
+    expect(protocol.quoteSwap).toHaveBeenCalledTimes(1)
+  })
+
+  test('should throw if the plan is not valid', () => {
+    expect(() => new SwapScheduler(protocol, { ...DUMMY_PLAN, interval: 0 }))
+      .toThrow("The 'interval' option of the plan must be a positive integer.")
+
+    expect(() => new SwapScheduler(protocol, { ...DUMMY_PLAN, maxPrice: -1 }))
+      .toThrow('The max price of the plan must be a positive number.')
+  })
+})
@@ -16,16 +16,79 @@ const USER_ADDRESS = '0xa460AEbce0d3A4BecAd8ccf9D6D4861296c503Bd'
 
 const TOKEN_IN = '0x9e6b38E072f624fdC4Fbaf7bB12a7D9e657435ce'
 const TOKEN_OUT = '0x73091d62F1F11DCb172530126E9630e327770e05'
-const VELORA = '0xf90e98F3D8Dce44632E5020ABF2E122E0f99DFAb'
+const VELORA = '0x6A000F20005980200259B80c5102003040001068'
+
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7'
+const NATIVE_TOKEN = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE'
+
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2'
+
+const ERC_20_INTERFACE = new ethers.Interface([
+  'function approve(address spender, uint256 amount) returns (bool)',
+  'event Transfer(address indexed from, address indexed to, uint256 value)'
+])
+
+const ENTRY_POINT_INTERFACE = new ethers.Interface([
+  'event UserOperationEvent(bytes32 indexed userOpHash, address indexed sender, address indexed paymaster, uint256 nonce, bool success, uint256 actualGasCost, uint256 actualGasUsed)'
+])
+
+function getTransferLog (token, from, to, value) {
+  return { address: token, ...ERC_20_INTERFACE.encodeEventLog('Transfer', [from, to, value]) }
+}
+
+const DELTA = '0x0000000000bbF5c5Fd284e657F01Bd000933C96D'
+const AUGUSTUS_RFQ = '0xe92b586627ccA7a83dC919cc7127196d70f55a06'
+
+const DUMMY_SIGNATURE = ethers.Signature.from({ r: '0x' + '11'.repeat(32), s: '0x' + '22'.repeat(32), v: 27 }).serialized
+
+const AUGUSTUS_RFQ_INTERFACE = new ethers.Interface([
+  'function fillOrder((uint256 nonceAndMeta, uint128 expiry, address makerAsset, address takerAsset, address maker, address taker, uint256 makerAmount, uint256 takerAmount) order, bytes signature)',
+  'function cancelOrder(bytes32 orderHash)'
+])
+
+const AUGUSTUS_V6_INTERFACE = new ethers.Interface([
+  'function swapExactAmountIn(address executor, (address srcToken, address destToken, uint256 fromAmount, uint256 toAmount, uint256 quotedAmount, bytes32 metadata, address beneficiary) swapData, uint256 partnerAndFee, bytes permit, bytes executorData) payable'
+])
+
+function getSwapMethodData (srcToken, destToken, fromAmount, toAmount, beneficiary = ethers.ZeroAddress) {
+  const swapData = [srcToken, destToken, fromAmount, toAmount, toAmount, ethers.ZeroHash, beneficiary]
+
+  return AUGUSTUS_V6_INTERFACE.encodeFunctionData('swapExactAmountIn', [ethers.ZeroAddress, swapData, 0n, '0x', '0x'])
+}
+
+const WETH_INTERFACE = new ethers.Interface([
+  'function deposit() payable',
+  'function withdraw(uint256 amount)'
+])
 
 const getRateMock = jest.fn()
 
 const buildTxMock = jest.fn()
 
+const getTokensMock = jest.fn()
+
+const limitOrdersMock = {
+  getLimitOrdersContract: jest.fn().mockResolvedValue(AUGUSTUS_RFQ),
+  buildLimitOrder: jest.fn(),
+  postLimitOrder: jest.fn(),
+  postP2POrder: jest.fn(),
+  getLimitOrders: jest.fn()
+}
+
+const deltaMock = {
+  getDeltaPrice: jest.fn(),
+  getDeltaContract: jest.fn().mockResolvedValue(DELTA),
+  buildDeltaOrder: jest.fn(),
+  postDeltaOrder: jest.fn(),
+  getDeltaOrderById: jest.fn()
+}
+
 jest.unstable_mockModule('ethers', () => ({
   ...ethers,
   JsonRpcProvider: jest.fn().mockImplementation(() => ({
-    getNetwork: jest.fn().mockResolvedValue({ chainId: 1n })
+    getNetwork: jest.fn().mockResolvedValue({ chainId: 1n }),
+    waitForTransaction: jest.fn().mockResolvedValue({ status: 1 }),
+    call: jest.fn().mockResolvedValue(ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [6]))
   }))
 }))
 
@@ -33,21 +96,50 @@ jest.unstable_mockModule('@velora-dex/sdk', () => ({
   ...veloraDexSdk,
   constructSimpleSDK: jest.fn().mockReturnValue({
     chainId: 1,
+    apiURL: 'https://api.velora.xyz',
     swap: {
       getRate: getRateMock,
-      buildTx: buildTxMock
-    }
+      buildTx: buildTxMock,
+      getTokens: getTokensMock
+    },
+    limitOrders: limitOrdersMock,
+    delta: deltaMock
   })
 }))
 
-const { default: VeloraProtocolEvm } = await import('../index.js')
+const {
+  default: VeloraProtocolEvm,
+  CrossChainSwapFailedError,
+  InsufficientAllowanceError,
+  InsufficientBalanceError,
+  InvalidRecipientError,
+  MaxFeeExceededError,
+  NoRouteError,
+  QuoteExpiredError,
+  QuoteMismatchError,
+  QuoteShortfallError,
+  ReadOnlyAccountError,
+  RecipientMismatchError,
+  RouteNotAllowedError,
+  SimulationFailedError,
+  SlippageExceededError,
+  SwapBatchError,
+  SwapDroppedError,
+  SwapRevertedError,
+  SwapTimeoutError,
+  SwapTransactionMismatchError,
+  UnsupportedChainError
+} = await import('../index.js')
+
+const { constructSimpleSDK } = await import('@velora-dex/sdk')
 
 describe('VeloraSwapProtocolEvm', () => {
   const DUMMY_PRICE_ROUTE = {
     srcToken: TOKEN_IN,
     destToken: TOKEN_OUT,
     srcAmount: '100',
-    destAmount: '100000'
+    destAmount: '100000',
+    tokenTransferProxy: VELORA
   }
 
   const DUMMY_BUILD_TX_INPUT = {
@@ -64,7 +156,13 @@ describe('VeloraSwapProtocolEvm', () => {
   const DUMMY_SWAP_TRANSACTION = {
     to: VELORA,
     value: 0,
-    data: 'dummy-swap-method-data'
+    data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 100_000n)
+  }
+
+  const DUMMY_APPROVE_TRANSACTION = {
+    to: TOKEN_IN,
+    value: 0,
+    data: ERC_20_INTERFACE.encodeFunctionData('approve', [VELORA, 100n])
   }
 
   let account,
@@ -78,6 +176,12 @@ describe('VeloraSwapProtocolEvm', () => {
 
       account.getAddress = jest.fn().mockResolvedValue(USER_ADDRESS)
 
+      account.getAllowance = jest.fn().mockResolvedValue(100n)
+
+      account.getBalance = jest.fn().mockResolvedValue(1_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(1_000_000n)
+
       protocol = new VeloraProtocolEvm(account)
     })
 
@@ -105,7 +209,10 @@ describe('VeloraSwapProtocolEvm', () => {
           srcToken: TOKEN_IN,
           destToken: TOKEN_OUT,
           amount: '100000',
-          side: SwapSide.BUY
+          side: SwapSide.BUY,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
         })
 
         expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
@@ -118,7 +225,15 @@ describe('VeloraSwapProtocolEvm', () => {
           hash: 'dummy-swap-hash',
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
         })
       })
 
@@ -133,7 +248,10 @@ describe('VeloraSwapProtocolEvm', () => {
           srcToken: TOKEN_IN,
           destToken: TOKEN_OUT,
           amount: '100',
-          side: SwapSide.SELL
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
         })
 
         expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
@@ -146,198 +264,379 @@ describe('VeloraSwapProtocolEvm', () => {
           hash: 'dummy-swap-hash',
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
         })
       })
 
-      test('should throw if the swap fee exceeds the swap max fee configuration', async () => {
-        const OPTIONS = {
-          tokenIn: TOKEN_IN,
-          tokenOut: TOKEN_OUT,
-          tokenOutAmount: 100_000
-        }
+      test('should approve the input tokens before performing a swap operation if the allowance is not sufficient', async () => {
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(100n)
 
-        const protocol = new VeloraProtocolEvm(account, {
-          swapMaxFee: 0
-        })
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+          .mockResolvedValueOnce({ fee: 12_345n })
 
-        await expect(protocol.swap(OPTIONS))
-          .rejects.toThrow('Exceeded maximum fee cost for swap operation.')
-      })
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 12_345n })
 
-      test('should throw if the account is read-only', async () => {
-        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
-          provider: 'https://mock-rpc-url.com'
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
         })
 
-        const protocol = new VeloraProtocolEvm(account)
-
-        await expect(protocol.swap({ }))
-          .rejects.toThrow("The 'swap(options)' method requires the protocol to be initialized with a non read-only account.")
-      })
+        expect(account.getAllowance).toHaveBeenCalledWith(TOKEN_IN, VELORA)
 
-      test('should throw if the account is not connected to a provider', async () => {
-        const account = new WalletAccountEvm(SEED, "0'/0/0")
+        expect(account.sendTransaction).toHaveBeenNthCalledWith(1, DUMMY_APPROVE_TRANSACTION)
 
-        const protocol = new VeloraProtocolEvm(account)
+        expect(account.sendTransaction).toHaveBeenNthCalledWith(2, DUMMY_SWAP_TRANSACTION)
 
-        await expect(protocol.swap({ }))
-          .rejects.toThrow('The wallet must be connected to a provider in order to perform swap operations.')
+        expect(result).toEqual({
+          hash: 'dummy-swap-hash',
+          fee: 13_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          approveHash: 'dummy-approve-hash'
+        })
       })
-    })
 
-    describe('quoteSwap', () => {
-      beforeEach(() => {
-        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+      test('should reset the allowance to zero before approving usdts on ethereum', async () => {
+        getRateMock.mockResolvedValue({ ...DUMMY_PRICE_ROUTE, srcToken: USDT })
 
-        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+        buildTxMock.mockResolvedValue({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(USDT, TOKEN_OUT, 100n, 100_000n) })
+
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(1n)
+          .mockResolvedValueOnce(100n)
 
         account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+          .mockResolvedValueOnce({ fee: 1_000n })
           .mockResolvedValueOnce({ fee: 12_345n })
-      })
 
-      test('should successfully quote a swap operation (buy)', async () => {
-        const result = await protocol.quoteSwap({
-          tokenIn: TOKEN_IN,
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-reset-allowance-hash', fee: 1_000n })
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 12_345n })
+
+        const result = await protocol.swap({
+          tokenIn: USDT,
           tokenOut: TOKEN_OUT,
-          tokenOutAmount: 100_000
+          tokenInAmount: 100
         })
 
-        expect(getRateMock).toHaveBeenCalledWith({
-          srcToken: TOKEN_IN,
-          destToken: TOKEN_OUT,
-          amount: '100000',
-          side: SwapSide.BUY
+        expect(account.sendTransaction).toHaveBeenNthCalledWith(1, {
+          to: USDT,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [VELORA, 0n])
         })
 
-        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
-
-        expect(account.quoteSendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
+        expect(account.sendTransaction).toHaveBeenNthCalledWith(2, {
+          to: USDT,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [VELORA, 100n])
+        })
 
         expect(result).toEqual({
-          fee: 12_345n,
+          hash: 'dummy-swap-hash',
+          fee: 14_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          approveHash: 'dummy-approve-hash',
+          resetAllowanceHash: 'dummy-reset-allowance-hash'
         })
       })
 
-      test('should successfully quote a swap operation (sell)', async () => {
-        const result = await protocol.quoteSwap({
-          tokenIn: TOKEN_IN,
+      test('should swap native tokens without approving them', async () => {
+        const swapTx = { ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(NATIVE_TOKEN, TOKEN_OUT, 100n, 100_000n) }
+
+        getRateMock.mockResolvedValue({ ...DUMMY_PRICE_ROUTE, srcToken: NATIVE_TOKEN })
+
+        buildTxMock.mockResolvedValue(swapTx)
+
+        await protocol.swap({
+          tokenIn: 'native',
           tokenOut: TOKEN_OUT,
           tokenInAmount: 100
         })
 
         expect(getRateMock).toHaveBeenCalledWith({
-          srcToken: TOKEN_IN,
+          srcToken: NATIVE_TOKEN,
           destToken: TOKEN_OUT,
           amount: '100',
-          side: SwapSide.SELL
+          side: SwapSide.SELL,
+          srcDecimals: 18,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
         })
 
-        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
+        expect(account.getAllowance).not.toHaveBeenCalled()
 
-        expect(account.quoteSendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
+        expect(account.sendTransaction).toHaveBeenCalledTimes(1)
 
-        expect(result).toEqual({
-          fee: 12_345n,
-          tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
-        })
+        expect(account.sendTransaction).toHaveBeenCalledWith({ ...swapTx, value: '100' })
       })
 
-      test('should throw if the account is not connected to a provider', async () => {
-        const account = new WalletAccountEvm(SEED, "0'/0/0")
+      test('should throw if the native balance does not cover both the swap amount and the fee', async () => {
+        getRateMock.mockResolvedValue({ ...DUMMY_PRICE_ROUTE, srcToken: NATIVE_TOKEN })
 
-        const protocol = new VeloraProtocolEvm(account)
+        buildTxMock.mockResolvedValue({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(NATIVE_TOKEN, TOKEN_OUT, 100n, 100_000n) })
 
-        await expect(protocol.quoteSwap({ }))
-          .rejects.toThrow('The wallet must be connected to a provider in order to quote swap operations.')
-      })
-    })
-  })
+        account.getBalance = jest.fn().mockResolvedValue(12_444n)
 
-  describe('with WalletAccountEvmErc4337', () => {
-    beforeEach(() => {
-      account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
-        chainId: 1,
-        provider: 'https://mock-rpc-url.com'
+        await expect(protocol.swap({ tokenIn: NATIVE_TOKEN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new InsufficientBalanceError(NATIVE_TOKEN, 12_444n, 12_445n))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
       })
 
-      account.getAddress = jest.fn().mockResolvedValue(USER_ADDRESS)
+      test('should wrap native tokens directly through the wrapped token contract', async () => {
+        getRateMock.mockClear()
 
-      protocol = new VeloraProtocolEvm(account)
-    })
+        const result = await protocol.swap({
+          tokenIn: 'native',
+          tokenOut: WETH,
+          tokenInAmount: 100
+        })
 
-    describe('swap', () => {
-      beforeEach(() => {
-        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+        expect(getRateMock).not.toHaveBeenCalled()
 
-        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: WETH,
+          value: 100n,
+          data: WETH_INTERFACE.encodeFunctionData('deposit')
+        })
 
-        account.quoteSendTransaction = jest.fn()
-          .mockResolvedValueOnce({ fee: 12_345n })
+        expect(result).toEqual({
+          hash: 'dummy-swap-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100n,
+          formatted: {
+            tokenInAmount: '0.0000000000000001',
+            tokenOutAmount: '0.0001',
+            tokenInAmountMax: '0.0000000000000001',
+            tokenOutAmountMin: '0.0001'
+          }
+        })
+      })
 
-        account.sendTransaction = jest.fn()
-          .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+      test('should unwrap wrapped native tokens directly through the wrapped token contract', async () => {
+        getRateMock.mockClear()
+
+        await protocol.swap({
+          tokenIn: WETH,
+          tokenOut: 'native',
+          tokenOutAmount: 100
+        })
+
+        expect(getRateMock).not.toHaveBeenCalled()
+
+        expect(account.getAllowance).not.toHaveBeenCalled()
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: WETH,
+          value: 0,
+          data: WETH_INTERFACE.encodeFunctionData('withdraw', [100n])
+        })
       })
 
-      test('should successfully perform a swap operation (buy)', async () => {
+      test('should apply the slippage tolerance to the output amount (sell)', async () => {
         const result = await protocol.swap({
           tokenIn: TOKEN_IN,
           tokenOut: TOKEN_OUT,
-          tokenOutAmount: 100_000
-        })
-
-        expect(getRateMock).toHaveBeenCalledWith({
-          srcToken: TOKEN_IN,
-          destToken: TOKEN_OUT,
-          amount: '100000',
-          side: SwapSide.BUY
+          tokenInAmount: 100,
+          slippage: 50
         })
 
-        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
-
-        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
-
-        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+        expect(buildTxMock).toHaveBeenCalledWith({ ...DUMMY_BUILD_TX_INPUT, destAmount: '99500' }, { ignoreChecks: true })
 
         expect(result).toEqual({
-          hash: 'dummy-user-operation-hash',
+          hash: 'dummy-swap-hash',
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 99_500n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.0995'
+          }
         })
       })
 
-      test('should successfully perform a swap operation (sell)', async () => {
+      test('should apply the slippage tolerance of the protocol configuration to the input amount (buy)', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(101n)
+
+        const protocol = new VeloraProtocolEvm(account, {
+          slippage: 100
+        })
+
         const result = await protocol.swap({
           tokenIn: TOKEN_IN,
           tokenOut: TOKEN_OUT,
-          tokenInAmount: 100
-        })
-
-        expect(getRateMock).toHaveBeenCalledWith({
-          srcToken: TOKEN_IN,
-          destToken: TOKEN_OUT,
-          amount: '100',
-          side: SwapSide.SELL
+          tokenOutAmount: 100_000
         })
 
-        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
-
-        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
-
-        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+        expect(buildTxMock).toHaveBeenCalledWith({ ...DUMMY_BUILD_TX_INPUT, srcAmount: '101' }, { ignoreChecks: true })
 
         expect(result).toEqual({
-          hash: 'dummy-user-operation-hash',
+          hash: 'dummy-swap-hash',
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 101n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.000101',
+            tokenOutAmountMin: '0.1'
+          }
         })
       })
 
+      test('should not compare the usd values of the route with the slippage tolerance', async () => {
+        const priceRoute = { ...DUMMY_PRICE_ROUTE, srcUSD: '100.00', destUSD: '99.50' }
+
+        getRateMock.mockResolvedValueOnce(priceRoute)
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(buildTxMock).toHaveBeenCalledWith({ ...DUMMY_BUILD_TX_INPUT, priceRoute }, { ignoreChecks: true })
+
+        expect(result).toEqual(expect.objectContaining({
+          hash: 'dummy-swap-hash',
+          tokenOutAmount: 100_000n,
+          tokenOutAmountMin: 100_000n
+        }))
+      })
+
+      test('should not send the swap if the price has moved outside of the slippage tolerance while the approval was mined', async () => {
+        getRateMock
+          .mockResolvedValueOnce(DUMMY_PRICE_ROUTE)
+          .mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, destAmount: '99000' })
+
+        buildTxMock.mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 99_500n) })
+
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(100n)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+
+        const promise = protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, slippage: 50 })
+
+        await expect(promise).rejects.toThrow(SlippageExceededError)
+
+        await expect(promise).rejects.toThrow('The quoted price is outside of the slippage tolerance: the current quote of 99000 is beyond the worst-case amount of 99500.')
+
+        expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith(DUMMY_APPROVE_TRANSACTION)
+      })
+
+      test('should throw if the slippage is not valid', async () => {
+        expect(() => new VeloraProtocolEvm(account, { slippage: 10_000 }))
+          .toThrow('The slippage must be an integer number of basis points between 0 and 9999.')
+      })
+
+      test('should throw an insufficient balance error if the balance of the input token is not sufficient', async () => {
+        account.getTokenBalance = jest.fn().mockResolvedValue(99n)
+
+        const promise = protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await expect(promise).rejects.toThrow(InsufficientBalanceError)
+
+        await expect(promise).rejects.toMatchObject({ token: TOKEN_IN, balance: 99n, amount: 100n })
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw an insufficient balance error if the native balance does not cover the fee', async () => {
+        account.getBalance = jest.fn().mockResolvedValue(12_344n)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new InsufficientBalanceError(NATIVE_TOKEN, 12_344n, 12_345n))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw an insufficient allowance error if the allowance is still not sufficient after the approval', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(InsufficientAllowanceError)
+
+        expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+      })
+
+      test('should check the fee of the swap with the gas cost of the route before sending the approval', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn()
+
+        const protocol = new VeloraProtocolEvm(account, { swapMaxFee: 300_000 })
+
+        getRateMock.mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, gasCost: '150000' })
+
+        protocol._provider.getFeeData = jest.fn().mockResolvedValue({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new MaxFeeExceededError(301_000n, 300_000n))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw a no route error if the velora api does not find any route', async () => {
+        getRateMock.mockRejectedValue(Object.assign(new Error('No routes found with enough liquidity'), { status: 400 }))
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new NoRouteError(TOKEN_IN, TOKEN_OUT, 'No routes found with enough liquidity'))
+      })
+
       test('should throw if the swap fee exceeds the swap max fee configuration', async () => {
         const OPTIONS = {
           tokenIn: TOKEN_IN,
@@ -349,26 +648,29 @@ describe('VeloraSwapProtocolEvm', () => {
           swapMaxFee: 0
         })
 
-        await expect(protocol.swap(OPTIONS))
-          .rejects.toThrow('Exceeded maximum fee cost for swap operation.')
+        const promise = protocol.swap(OPTIONS)
+
+        await expect(promise).rejects.toThrow(MaxFeeExceededError)
+
+        await expect(promise).rejects.toThrow('Exceeded maximum fee cost for swap operation.')
       })
 
       test('should throw if the account is read-only', async () => {
-        const account = new WalletAccountReadOnlyEvmErc4337(USER_ADDRESS, {
-          chainId: 1,
+        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
           provider: 'https://mock-rpc-url.com'
         })
 
         const protocol = new VeloraProtocolEvm(account)
 
+        await expect(protocol.swap({ }))
+          .rejects.toThrow(ReadOnlyAccountError)
+
         await expect(protocol.swap({ }))
           .rejects.toThrow("The 'swap(options)' method requires the protocol to be initialized with a non read-only account.")
       })
 
       test('should throw if the account is not connected to a provider', async () => {
-        const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
-          chainId: 1
-        })
+        const account = new WalletAccountEvm(SEED, "0'/0/0")
 
         const protocol = new VeloraProtocolEvm(account)
 
@@ -398,17 +700,36 @@ describe('VeloraSwapProtocolEvm', () => {
           srcToken: TOKEN_IN,
           destToken: TOKEN_OUT,
           amount: '100000',
-          side: SwapSide.BUY
+          side: SwapSide.BUY,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
         })
 
         expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
 
-        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
 
         expect(result).toEqual({
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          priceRoute: DUMMY_PRICE_ROUTE,
+          tx: DUMMY_SWAP_TRANSACTION,
+          spender: VELORA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          expiresAt: expect.any(Number)
         })
       })
 
@@ -423,7 +744,2707 @@ describe('VeloraSwapProtocolEvm', () => {
           srcToken: TOKEN_IN,
           destToken: TOKEN_OUT,
           amount: '100',
-          side: SwapSide.SELL
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
+        })
+
+        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
+
+        expect(result).toEqual({
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          priceRoute: DUMMY_PRICE_ROUTE,
+          tx: DUMMY_SWAP_TRANSACTION,
+          spender: VELORA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          expiresAt: expect.any(Number)
+        })
+      })
+
+      test('should estimate the fee of the swap with the gas cost of the route while its approval is still pending', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        getRateMock.mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, gasCost: '150000' })
+
+        protocol._provider.getFeeData = jest.fn().mockResolvedValue({ maxFeePerGas: 2n, maxPriorityFeePerGas: 1n })
+
+        const result = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledTimes(1)
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith(DUMMY_APPROVE_TRANSACTION)
+
+        expect(result.fee).toBe(12_345n + 300_000n)
+      })
+
+      test('should throw an insufficient balance error if the balance of the input token is not sufficient', async () => {
+        account.getTokenBalance = jest.fn().mockResolvedValue(99n)
+
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new InsufficientBalanceError(TOKEN_IN, 99n, 100n))
+      })
+
+      test('should throw if the account is not connected to a provider', async () => {
+        const account = new WalletAccountEvm(SEED, "0'/0/0")
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await expect(protocol.quoteSwap({ }))
+          .rejects.toThrow('The wallet must be connected to a provider in order to quote swap operations.')
+      })
+    })
+
+    describe('executeQuote', () => {
+      const DUMMY_QUOTE = {
+        fee: 12_345n,
+        tokenInAmount: 100n,
+        tokenOutAmount: 100_000n,
+        tokenInAmountMax: 100n,
+        tokenOutAmountMin: 100_000n,
+        formatted: {
+          tokenInAmount: '0.0001',
+          tokenOutAmount: '0.1',
+          tokenInAmountMax: '0.0001',
+          tokenOutAmountMin: '0.1'
+        },
+        tokenIn: TOKEN_IN,
+        tokenOut: TOKEN_OUT,
+        priceRoute: DUMMY_PRICE_ROUTE,
+        tx: DUMMY_SWAP_TRANSACTION,
+        spender: VELORA,
+        chainId: 1,
+        address: USER_ADDRESS
+      }
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 12_345n })
+      })
+
+      test('should successfully execute a quote without building it again', async () => {
+        getRateMock.mockClear()
+
+        buildTxMock.mockClear()
+
+        const result = await protocol.executeQuote({ ...DUMMY_QUOTE, expiresAt: Date.now() + 30_000 })
+
+        expect(getRateMock).toHaveBeenCalledTimes(1)
+
+        expect(buildTxMock).not.toHaveBeenCalled()
+
+        expect(account.sendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
+
+        expect(result).toEqual({
+          hash: 'dummy-swap-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
+        })
+      })
+
+      test('should throw if the current price is already outside of the slippage tolerance of the quote', async () => {
+        getRateMock.mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, destAmount: '99000' })
+
+        const quote = { ...DUMMY_QUOTE, tokenOutAmountMin: 99_500n, expiresAt: Date.now() + 30_000 }
+
+        const promise = protocol.executeQuote(quote)
+
+        await expect(promise).rejects.toThrow(SlippageExceededError)
+
+        await expect(promise).rejects.toThrow(expect.objectContaining({ amount: 99_000n, limit: 99_500n }))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the quote has expired', async () => {
+        await expect(protocol.executeQuote({ ...DUMMY_QUOTE, expiresAt: Date.now() - 1 }))
+          .rejects.toThrow(QuoteExpiredError)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the quote has been built for a different chain', async () => {
+        await expect(protocol.executeQuote({ ...DUMMY_QUOTE, chainId: 137, expiresAt: Date.now() + 30_000 }))
+          .rejects.toThrow(QuoteMismatchError)
+
+        await expect(protocol.executeQuote({ ...DUMMY_QUOTE, chainId: 137, expiresAt: Date.now() + 30_000 }))
+          .rejects.toThrow('The quote has been built for chain 137, but the wallet is connected to chain 1.')
+      })
+
+      test('should throw if the quote has been built for a different account', async () => {
+        await expect(protocol.executeQuote({ ...DUMMY_QUOTE, address: TOKEN_IN, expiresAt: Date.now() + 30_000 }))
+          .rejects.toThrow(`The quote has been built for the account ${TOKEN_IN}, but the protocol has been initialized with the account ${USER_ADDRESS}.`)
+      })
+
+      test('should throw if the account is read-only', async () => {
+        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await expect(protocol.executeQuote({ ...DUMMY_QUOTE, expiresAt: Date.now() + 30_000 }))
+          .rejects.toThrow("The 'executeQuote(quote)' method requires the protocol to be initialized with a non read-only account.")
+      })
+    })
+    describe('route filtering', () => {
+      const DUMMY_ROUTED_PRICE_ROUTE = {
+        ...DUMMY_PRICE_ROUTE,
+        contractMethod: 'swapExactAmountIn',
+        bestRoute: [{
+          percent: 100,
+          swaps: [{
+            srcToken: TOKEN_IN,
+            destToken: TOKEN_OUT,
+            swapExchanges: [
+              { exchange: 'UniswapV3', percent: 60 },
+              { exchange: 'CurveV1', percent: 40 }
+            ]
+          }]
+        }]
+      }
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_ROUTED_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+      })
+
+      test('should pass the route filters to the velora api, with the swap options overriding the protocol configuration', async () => {
+        const protocol = new VeloraProtocolEvm(account, {
+          excludeDexs: ['SushiSwap'],
+          maxImpact: 5
+        })
+
+        await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          includeContractMethods: ['swapExactAmountIn'],
+          maxImpact: 1,
+          otherExchangePrices: true
+        })
+
+        expect(getRateMock).toHaveBeenLastCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100',
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: {
+            partner: 'wdk',
+            excludeDEXS: ['SushiSwap'],
+            includeContractMethods: ['swapExactAmountIn'],
+            maxImpact: 1,
+            otherExchangePrices: true
+          }
+        })
+      })
+
+      test('should throw if the route goes through an excluded dex', async () => {
+        buildTxMock.mockClear()
+
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, excludeDexs: ['curvev1'] }))
+          .rejects.toThrow(new RouteNotAllowedError("it goes through the excluded dex 'CurveV1'."))
+
+        expect(buildTxMock).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the route goes through a dex that is not included', async () => {
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, includeDexs: ['UniswapV3'] }))
+          .rejects.toThrow(RouteNotAllowedError)
+      })
+
+      test('should throw if the route uses an excluded contract method', async () => {
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, excludeContractMethods: ['swapExactAmountIn'] }))
+          .rejects.toThrow("The route returned by the Velora api is not allowed: it uses the excluded contract method 'swapExactAmountIn'.")
+      })
+
+      test('should throw if the route exceeds the max impact', async () => {
+        getRateMock.mockResolvedValueOnce({ ...DUMMY_ROUTED_PRICE_ROUTE, maxImpactReached: true })
+
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, maxImpact: 1 }))
+          .rejects.toThrow(RouteNotAllowedError)
+      })
+
+      test('should throw if a route filter is not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { excludeDexs: 'UniswapV3' }))
+          .toThrow("The 'excludeDexs' option must be an array of non-empty strings.")
+      })
+    })
+
+    describe('simulateSwap', () => {
+      const REVERT_DATA = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['Received amount of tokens are less then expected']).slice(2)
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+      })
+
+      test('should simulate the swap transaction with eth_simulateV1 and report the balance changes of its transfers', async () => {
+        const protocol = new VeloraProtocolEvm(account)
+
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.send = jest.fn().mockResolvedValueOnce([{
+          calls: [{
+            status: '0x1',
+            returnData: '0x',
+            logs: [
+              getTransferLog(TOKEN_IN.toLowerCase(), USER_ADDRESS, VELORA, 100n),
+              getTransferLog(TOKEN_OUT.toLowerCase(), VELORA, USER_ADDRESS, 99_000n)
+            ]
+          }]
+        }])
+
+        const simulation = await protocol.simulateSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(protocol._provider.send).toHaveBeenCalledWith('eth_simulateV1', [{
+          blockStateCalls: [{
+            calls: [
+              { from: USER_ADDRESS, ...DUMMY_SWAP_TRANSACTION, value: '0x0' }
+            ]
+          }],
+          validation: false,
+          traceTransfers: true
+        }, 'latest'])
+
+        expect(simulation).toEqual({
+          success: true,
+          balanceChanges: {
+            [TOKEN_IN]: -100n,
+            [TOKEN_OUT]: 99_000n
+          }
+        })
+      })
+
+      test('should decode the revert reason of a failed simulation, without reporting any balance changes', async () => {
+        const protocol = new VeloraProtocolEvm(account)
+
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.send = jest.fn().mockResolvedValueOnce([{
+          calls: [{ status: '0x0', returnData: REVERT_DATA }]
+        }])
+
+        const simulation = await protocol.simulateSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(simulation).toEqual({
+          success: false,
+          revertReason: 'Received amount of tokens are less then expected'
+        })
+      })
+
+      test('should throw a simulation failed error if the provider does not support eth_simulateV1', async () => {
+        const protocol = new VeloraProtocolEvm(account)
+
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.send = jest.fn().mockRejectedValueOnce(ethers.makeError('could not coalesce error', 'UNKNOWN_ERROR', {
+          error: { code: -32601, message: 'the method eth_simulateV1 does not exist/is not available' }
+        }))
+
+        await expect(protocol.simulateSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new SimulationFailedError("the provider does not support the 'eth_simulateV1' rpc method"))
+      })
+
+      test('should chain the approval and the swap in a single simulated block if the allowance is not sufficient', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.send = jest.fn().mockResolvedValueOnce([{
+          calls: [
+            { status: '0x1', returnData: '0x' },
+            { status: '0x0', returnData: REVERT_DATA }
+          ]
+        }])
+
+        const simulation = await protocol.simulateSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(protocol._provider.send).toHaveBeenCalledWith('eth_simulateV1', [{
+          blockStateCalls: [{
+            calls: [
+              { from: USER_ADDRESS, ...DUMMY_APPROVE_TRANSACTION, value: '0x0' },
+              { from: USER_ADDRESS, ...DUMMY_SWAP_TRANSACTION, value: '0x0' }
+            ]
+          }],
+          validation: false,
+          traceTransfers: true
+        }, 'latest'])
+
+        expect(simulation.revertReason).toBe('Received amount of tokens are less then expected')
+      })
+
+      test('should throw before signing anything if the simulation of a swap fails', async () => {
+        account.sendTransaction = jest.fn()
+
+        account.quoteSendTransaction = jest.fn()
+
+        const protocol = new VeloraProtocolEvm(account, { simulate: true })
+
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.call = jest.fn()
+          .mockRejectedValueOnce(ethers.AbiCoder.getBuiltinCallException('call', {}, REVERT_DATA))
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(new SimulationFailedError('Received amount of tokens are less then expected'))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('swapBatch', () => {
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+      })
+
+      test('should perform the swaps one after another', async () => {
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+          .mockResolvedValueOnce({ fee: 23_456n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-first-swap-hash', fee: 12_345n })
+          .mockResolvedValueOnce({ hash: 'dummy-second-swap-hash', fee: 23_456n })
+
+        buildTxMock
+          .mockResolvedValueOnce(DUMMY_SWAP_TRANSACTION)
+          .mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(TOKEN_OUT, TOKEN_IN, 100n, 100_000n) })
+
+        const result = await protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_OUT, tokenOut: TOKEN_IN, tokenOutAmount: 100 }
+        ])
+
+        expect(account.sendTransaction).toHaveBeenCalledTimes(2)
+
+        expect(result).toEqual({
+          fee: 35_801n,
+          legs: [
+            expect.objectContaining({ hash: 'dummy-first-swap-hash', fee: 12_345n }),
+            expect.objectContaining({ hash: 'dummy-second-swap-hash', fee: 23_456n })
+          ]
+        })
+      })
+
+      test('should throw a swap batch error holding the results of the previous swaps if a swap fails', async () => {
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+          .mockResolvedValueOnce({ fee: 23_456n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-first-swap-hash', fee: 12_345n })
+          .mockRejectedValueOnce(new Error('nonce too low'))
+
+        const promise = protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ])
+
+        await expect(promise).rejects.toThrow(SwapBatchError)
+
+        await expect(promise).rejects.toMatchObject({
+          index: 1,
+          results: [expect.objectContaining({ hash: 'dummy-first-swap-hash' })],
+          message: 'The swap #1 of the batch failed: nonce too low'
+        })
+      })
+    })
+
+    describe('waitForSwap', () => {
+      const DUMMY_RECEIPT = {
+        hash: 'dummy-swap-hash',
+        blockNumber: 100,
+        status: 1,
+        fee: 21_000n,
+        logs: [
+          getTransferLog(TOKEN_IN, USER_ADDRESS, VELORA, 99n),
+          getTransferLog(TOKEN_OUT, VELORA, USER_ADDRESS, 100_050n)
+        ]
+      }
+
+      beforeEach(() => {
+        protocol._provider.getBlockNumber = jest.fn().mockResolvedValue(100)
+
+        protocol._provider.getTransaction = jest.fn().mockResolvedValue(null)
+      })
+
+      test('should report the amounts actually swapped and the gas actually paid', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(DUMMY_RECEIPT)
+
+        const receipt = await protocol.waitForSwap('dummy-swap-hash', { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT })
+
+        expect(account.getTransactionReceipt).toHaveBeenCalledWith('dummy-swap-hash')
+
+        expect(receipt).toEqual({
+          hash: 'dummy-swap-hash',
+          transactionHash: 'dummy-swap-hash',
+          blockNumber: 100,
+          fee: 21_000n,
+          balanceChanges: {
+            [TOKEN_IN]: -99n,
+            [TOKEN_OUT]: 100_050n
+          },
+          tokenInAmount: 99n,
+          tokenOutAmount: 100_050n
+        })
+      })
+
+      test('should throw a swap reverted error if the swap transaction has been reverted', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce({ ...DUMMY_RECEIPT, status: 0, logs: [] })
+
+        await expect(protocol.waitForSwap('dummy-swap-hash'))
+          .rejects.toThrow(new SwapRevertedError('dummy-swap-hash'))
+      })
+
+      test('should throw a swap dropped error if the provider does not know the swap transaction anymore', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(null)
+
+        await expect(protocol.waitForSwap('dummy-swap-hash', { timeout: 0 }))
+          .rejects.toThrow(new SwapDroppedError('dummy-swap-hash'))
+
+        expect(protocol._provider.getTransaction).toHaveBeenCalledWith('dummy-swap-hash')
+      })
+
+      test('should throw a swap timeout error if the swap has not been confirmed in time', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(DUMMY_RECEIPT)
+
+        await expect(protocol.waitForSwap('dummy-swap-hash', { confirmations: 3, timeout: 0 }))
+          .rejects.toThrow(new SwapTimeoutError('dummy-swap-hash', 0))
+      })
+
+      test('should return the receipt along with the result of a swap sent with the wait option', async () => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 12_345n })
+
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(DUMMY_RECEIPT)
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, wait: true })
+
+        expect(result).toEqual({
+          hash: 'dummy-swap-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          receipt: expect.objectContaining({
+            fee: 21_000n,
+            tokenInAmount: 99n,
+            tokenOutAmount: 100_050n
+          })
+        })
+      })
+    })
+
+    describe('getPrice', () => {
+      let readOnlyProtocol
+
+      beforeEach(() => {
+        const readOnlyAccount = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        readOnlyAccount.getAddress = jest.fn()
+
+        readOnlyAccount.quoteSendTransaction = jest.fn()
+
+        readOnlyProtocol = new VeloraProtocolEvm(readOnlyAccount)
+
+        getRateMock.mockClear()
+
+        buildTxMock.mockClear()
+      })
+
+      test('should only call the rate api to compute the price', async () => {
+        getRateMock.mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, srcAmount: '2000000', destAmount: '5000000', blockNumber: 123 })
+
+        const price = await readOnlyProtocol.getPrice({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, amount: '2.0' })
+
+        expect(getRateMock).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '2000000',
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
+        })
+
+        expect(price).toEqual({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          side: 'SELL',
+          tokenInAmount: 2_000_000n,
+          tokenOutAmount: 5_000_000n,
+          price: 2.5,
+          blockNumber: 123
+        })
+
+        expect(buildTxMock).not.toHaveBeenCalled()
+
+        expect(readOnlyProtocol._account.getAddress).not.toHaveBeenCalled()
+
+        expect(readOnlyProtocol._account.quoteSendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should call the listener of a price subscription each time the price changes', async () => {
+        getRateMock
+          .mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, destAmount: '100000' })
+          .mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, destAmount: '100000' })
+          .mockResolvedValue({ ...DUMMY_PRICE_ROUTE, destAmount: '110000' })
+
+        const prices = []
+
+        let unsubscribe
+
+        await new Promise(resolve => {
+          unsubscribe = readOnlyProtocol.subscribePrice({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, amount: 100 }, price => {
+            prices.push(price)
+
+            if (prices.length === 2) {
+              resolve()
+            }
+          }, { interval: 1 })
+        })
+
+        unsubscribe()
+
+        expect(getRateMock).toHaveBeenCalledTimes(3)
+
+        expect(prices.map(price => price.tokenOutAmount)).toEqual([100_000n, 110_000n])
+      })
+
+      test('should not report the errors of the listener of a price subscription as failed lookups', async () => {
+        getRateMock
+          .mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, destAmount: '100000' })
+          .mockRejectedValueOnce(new Error('Network error'))
+          .mockResolvedValue({ ...DUMMY_PRICE_ROUTE, destAmount: '110000' })
+
+        const onError = jest.fn()
+
+        let unsubscribe
+
+        await new Promise(resolve => {
+          unsubscribe = readOnlyProtocol.subscribePrice({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, amount: 100 }, price => {
+            if (price.tokenOutAmount === 110_000n) {
+              resolve()
+            }
+
+            throw new Error('Listener error.')
+          }, { interval: 1, onError })
+        })
+
+        unsubscribe()
+
+        expect(onError).toHaveBeenCalledTimes(1)
+
+        expect(onError).toHaveBeenCalledWith(new Error('Network error'))
+      })
+
+      test('should throw if the side is not supported', async () => {
+        await expect(readOnlyProtocol.getPrice({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, amount: 100, side: 'sell' }))
+          .rejects.toThrow("Unsupported side 'sell': expected 'SELL' or 'BUY'.")
+      })
+    })
+
+    describe('token metadata', () => {
+      const ERC_20_METADATA_INTERFACE = new ethers.Interface([
+        'function decimals() view returns (uint8)',
+        'function symbol() view returns (string)'
+      ])
+
+      beforeEach(() => {
+        protocol._provider.call = jest.fn(async ({ data }) => data === ERC_20_METADATA_INTERFACE.encodeFunctionData('symbol')
+          ? ERC_20_METADATA_INTERFACE.encodeFunctionResult('symbol', ['TKN'])
+          : ERC_20_METADATA_INTERFACE.encodeFunctionResult('decimals', [6]))
+      })
+
+      test('should read the metadata of a token from its contract and cache them', async () => {
+        const metadata = await protocol.getTokenMetadata(TOKEN_IN)
+
+        expect(metadata).toEqual({ address: TOKEN_IN, symbol: 'TKN', decimals: 6 })
+
+        expect(await protocol.getTokenMetadata(TOKEN_IN.toLowerCase())).toEqual(metadata)
+
+        expect(protocol._provider.call).toHaveBeenCalledTimes(2)
+      })
+
+      test('should return the metadata of the native coin without reading them from the chain', async () => {
+        const metadata = await protocol.getTokenMetadata('native')
+
+        expect(metadata).toEqual({ address: NATIVE_TOKEN, symbol: 'ETH', decimals: 18 })
+
+        expect(protocol._provider.call).not.toHaveBeenCalled()
+      })
+
+      test('should return the tokens supported on the chain and cache their metadata', async () => {
+        const TOKENS = [
+          { address: TOKEN_IN, symbol: 'TKI', decimals: 8, tokenType: 'ERC20', mainConnector: 'ETH', connectors: ['ETH'], network: 1 },
+          { address: TOKEN_OUT, symbol: 'TKO', decimals: 18, tokenType: 'ERC20', mainConnector: 'ETH', connectors: ['ETH'], network: 1 }
+        ]
+
+        getTokensMock.mockResolvedValueOnce(TOKENS)
+
+        const tokens = await protocol.getSupportedTokens()
+
+        expect(tokens).toEqual(TOKENS)
+
+        expect(await protocol.getTokenMetadata(TOKEN_OUT)).toEqual({ address: TOKEN_OUT, symbol: 'TKO', decimals: 18 })
+
+        expect(protocol._provider.call).not.toHaveBeenCalled()
+      })
+
+      test('should accept decimal string amounts and format the amounts of the results', async () => {
+        getRateMock.mockResolvedValue({ ...DUMMY_PRICE_ROUTE, srcAmount: '12500000', destAmount: '3000000' })
+
+        buildTxMock.mockResolvedValue({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 12_500_000n, 3_000_000n) })
+
+        account.getTokenBalance = jest.fn().mockResolvedValue(100_000_000n)
+
+        account.getAllowance = jest.fn().mockResolvedValue(100_000_000n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: '12.5' })
+
+        expect(getRateMock).toHaveBeenLastCalledWith(expect.objectContaining({ amount: '12500000', srcDecimals: 6, destDecimals: 6 }))
+
+        expect(quote.formatted).toEqual({
+          tokenInAmount: '12.5',
+          tokenOutAmount: '3.0',
+          tokenInAmountMax: '12.5',
+          tokenOutAmountMin: '3.0'
+        })
+      })
+
+      test('should throw if a string amount does not hold a decimal point', async () => {
+        getRateMock.mockClear()
+
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: '1000000' }))
+          .rejects.toThrow("Invalid amount '1000000': amounts in token units must hold a decimal point (e.g., '1000000.0'), and amounts in base unit must be passed as numbers or bigints.")
+
+        expect(getRateMock).not.toHaveBeenCalled()
+      })
+
+      test('should throw if a decimal string amount has more decimals than its token', async () => {
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: '0.0000001' }))
+          .rejects.toThrow("Invalid amount '0.0000001': expected a decimal number with at most 6 decimals.")
+      })
+    })
+
+    describe('chains', () => {
+      test('should throw if the provider is connected to an unsupported chain', async () => {
+        protocol._provider.getNetwork = jest.fn().mockResolvedValue({ chainId: 999n })
+
+        await expect(protocol.getTokenMetadata('native'))
+          .rejects.toThrow(UnsupportedChainError)
+      })
+
+      test('should rebuild the velora sdk and clear the token metadata cache when the network changes', async () => {
+        expect(await protocol.getTokenMetadata('native')).toEqual({ address: NATIVE_TOKEN, symbol: 'ETH', decimals: 18 })
+
+        const veloraSdk = constructSimpleSDK.mock.results.slice(-1)[0].value
+
+        constructSimpleSDK.mockReturnValueOnce({ ...veloraSdk, chainId: 137 })
+
+        protocol._provider.getNetwork = jest.fn().mockResolvedValue({ chainId: 137n })
+
+        expect(await protocol.getTokenMetadata('native')).toEqual({ address: NATIVE_TOKEN, symbol: 'POL', decimals: 18 })
+
+        expect(constructSimpleSDK).toHaveBeenLastCalledWith(expect.objectContaining({ chainId: 137 }))
+      })
+    })
+
+    describe('permits', () => {
+      const PERMIT2 = '0x000000000022D473030F116dDEE9F6B43aC78BA3'
+
+      const PERMIT_INTERFACE = new ethers.Interface([
+        'function name() view returns (string)',
+        'function nonces(address owner) view returns (uint256)',
+        'function DOMAIN_SEPARATOR() view returns (bytes32)',
+        'function decimals() view returns (uint8)'
+      ])
+
+      const PERMIT2_INTERFACE = new ethers.Interface([
+        'function allowance(address user, address token, address spender) view returns (uint160 amount, uint48 expiration, uint48 nonce)'
+      ])
+
+      const TOKEN_IN_DOMAIN = { name: 'Token In', version: '1', chainId: 1, verifyingContract: TOKEN_IN }
+
+      function mockTokenCalls ({ permit }) {
+        protocol._provider.call = jest.fn(async ({ to, data }) => {
+          const method = to === PERMIT2 ? PERMIT2_INTERFACE.parseTransaction({ data }).name : PERMIT_INTERFACE.parseTransaction({ data })?.name
+
+          switch (method) {
+            case 'allowance':
+              return PERMIT2_INTERFACE.encodeFunctionResult('allowance', [0n, 0n, 5n])
+            case 'decimals':
+              return PERMIT_INTERFACE.encodeFunctionResult('decimals', [6])
+            case 'name':
+              return PERMIT_INTERFACE.encodeFunctionResult('name', [TOKEN_IN_DOMAIN.name])
+            case 'nonces':
+              if (!permit) throw new Error('execution reverted')
+              return PERMIT_INTERFACE.encodeFunctionResult('nonces', [3n])
+            case 'DOMAIN_SEPARATOR':
+              return PERMIT_INTERFACE.encodeFunctionResult('DOMAIN_SEPARATOR', [ethers.TypedDataEncoder.hashDomain(TOKEN_IN_DOMAIN)])
+            default:
+              throw new Error('execution reverted')
+          }
+        })
+      }
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockClear()
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        delete account.getAddress
+
+        jest.spyOn(account, 'signTypedData')
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 12_345n })
+
+        protocol = new VeloraProtocolEvm(account, { permit: true })
+      })
+
+      test('should sign an eip-2612 permit in place of the approval', async () => {
+        mockTokenCalls({ permit: true })
+
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        const [[{ permit }]] = buildTxMock.mock.calls
+
+        const address = await account.getAddress()
+
+        const [owner, spender, value, deadline, v, r, s] = ethers.AbiCoder.defaultAbiCoder().decode(
+          ['address', 'address', 'uint256', 'uint256', 'uint8', 'bytes32', 'bytes32'], permit)
+
+        expect([owner, spender, value]).toEqual([address, VELORA, 100n])
+
+        const message = { owner, spender, value, nonce: 3n, deadline }
+
+        const types = { Permit: account.signTypedData.mock.calls[0][0].types.Permit }
+
+        expect(ethers.verifyTypedData(TOKEN_IN_DOMAIN, types, message, { v, r, s })).toBe(address)
+
+        expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith(DUMMY_SWAP_TRANSACTION)
+
+        expect(result).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', permit: 'permit' }))
+      })
+
+      test('should sign a permit2 permit if the token is approved to the permit2 contract', async () => {
+        mockTokenCalls({ permit: false })
+
+        account.getAllowance = jest.fn(async (token, spender) => spender === PERMIT2 ? ethers.MaxUint256 : 0n)
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        const [[{ permit }]] = buildTxMock.mock.calls
+
+        const [amount, expiration, nonce, sigDeadline, r, yParityAndS] = ethers.AbiCoder.defaultAbiCoder().decode(
+          ['uint160', 'uint48', 'uint48', 'uint256', 'bytes32', 'bytes32'], permit)
+
+        expect([amount, nonce]).toEqual([100n, 5n])
+
+        const { domain, types } = account.signTypedData.mock.calls[0][0]
+
+        const message = { details: { token: TOKEN_IN, amount, expiration, nonce }, spender: VELORA, sigDeadline }
+
+        expect(domain).toEqual({ name: 'Permit2', chainId: 1, verifyingContract: PERMIT2 })
+
+        expect(ethers.verifyTypedData(domain, types, message, { r, yParityAndS })).toBe(await account.getAddress())
+
+        expect(account.sendTransaction).toHaveBeenCalledTimes(1)
+
+        expect(result).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', permit: 'permit2' }))
+      })
+
+      test('should fall back to an approve transaction if the token does not support permits', async () => {
+        mockTokenCalls({ permit: false })
+
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValue(100n)
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 12_345n })
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(buildTxMock).toHaveBeenCalledWith(expect.not.objectContaining({ permit: expect.anything() }), { ignoreChecks: true })
+
+        expect(account.signTypedData).not.toHaveBeenCalled()
+
+        expect(account.sendTransaction).toHaveBeenNthCalledWith(1, {
+          to: TOKEN_IN,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [VELORA, 100n])
+        })
+
+        expect(result).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', approveHash: 'dummy-approve-hash' }))
+
+        expect(result.permit).toBeUndefined()
+      })
+    })
+
+    describe('gas options', () => {
+      const FEE_HISTORY = {
+        oldestBlock: '0x1',
+        baseFeePerGas: ['0x3b9aca00', '0x3b9aca00', '0x77359400'],
+        reward: [['0x5f5e100'], ['0x1dcd6500'], ['0xbebc200']]
+      }
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue({
+          ...DUMMY_PRICE_ROUTE,
+          srcAmount: '100000000',
+          srcUSD: '100',
+          gasCost: '100000',
+          gasCostUSD: '3'
+        })
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.getAllowance = jest.fn().mockResolvedValue(100_000_000n)
+
+        account.getTokenBalance = jest.fn().mockResolvedValue(100_000_000n)
+
+        account.getBalance = jest.fn().mockResolvedValue(10n ** 18n)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 10n ** 15n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 10n ** 15n })
+
+        protocol._provider.estimateGas = jest.fn().mockResolvedValue(100_000n)
+
+        protocol._provider.getFeeData = jest.fn().mockResolvedValue({ gasPrice: 10n ** 10n, maxFeePerGas: 3n * 10n ** 9n, maxPriorityFeePerGas: 10n ** 9n })
+
+        protocol._provider.send = jest.fn().mockResolvedValue(FEE_HISTORY)
+      })
+
+      test('should set the fees per gas from the fee history of the provider', async () => {
+        const protocol2 = new VeloraProtocolEvm(account, { speed: 'fast' })
+
+        protocol2._provider = protocol._provider
+
+        const result = await protocol2.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100_000_000 })
+
+        expect(protocol._provider.send).toHaveBeenCalledWith('eth_feeHistory', ['0xa', 'latest', [75]])
+
+        // Base fee of the next block: 2 gwei, median priority fee: 0.2 gwei.
+        const TX = { ...DUMMY_SWAP_TRANSACTION, maxFeePerGas: 4_200_000_000n, maxPriorityFeePerGas: 200_000_000n }
+
+        expect(account.sendTransaction).toHaveBeenCalledWith(TX)
+
+        expect(result.fee).toBe(100_000n * 4_200_000_000n)
+      })
+
+      test('should apply the gas options of the swap over the ones of the protocol configuration', async () => {
+        const protocol2 = new VeloraProtocolEvm(account, { speed: 'slow', gasLimitMultiplier: 1.5 })
+
+        protocol2._provider = protocol._provider
+
+        const result = await protocol2.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100_000_000,
+          maxFeePerGas: 5_000_000_000n,
+          maxPriorityFeePerGas: 1_000_000_000n,
+          gasLimitMultiplier: 1.2
+        })
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          ...DUMMY_SWAP_TRANSACTION,
+          gasLimit: 120_000n,
+          maxFeePerGas: 5_000_000_000n,
+          maxPriorityFeePerGas: 1_000_000_000n
+        })
+
+        expect(result.fee).toBe(120_000n * 5_000_000_000n)
+      })
+
+      test('should convert a swap max fee denominated in the input token to the native coin', async () => {
+        // At 10 gwei, the 100,000 gas of the route cost 0.001 eth, worth $3, while 1 input token is worth $1:
+        const protocol2 = new VeloraProtocolEvm(account, { swapMaxFee: 2_000_000n, swapMaxFeeUnit: 'tokenIn' })
+
+        protocol2._provider = protocol._provider
+
+        const promise = protocol2.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100_000_000 })
+
+        await expect(promise).rejects.toThrow(MaxFeeExceededError)
+
+        await expect(promise).rejects.toMatchObject({ fee: 10n ** 15n, maxFee: expect.any(BigInt) })
+
+        const error = await promise.catch(error => error)
+
+        expect(Number(error.maxFee)).toBeCloseTo(2 / 3 * 10 ** 15, -3)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the gas options are not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { speed: 'instant' }))
+          .toThrow("Unsupported speed 'instant': expected 'slow', 'normal' or 'fast'.")
+
+        expect(() => new VeloraProtocolEvm(account, { gasLimitMultiplier: 0.5 }))
+          .toThrow("The 'gasLimitMultiplier' option must be a number greater than or equal to 1.")
+
+        expect(() => new VeloraProtocolEvm(account, { maxFeePerGas: 1n, maxPriorityFeePerGas: 2n }))
+          .toThrow("The 'maxPriorityFeePerGas' option cannot exceed the 'maxFeePerGas' option.")
+
+        expect(() => new VeloraProtocolEvm(account, { swapMaxFeeUnit: 'usd' }))
+          .toThrow("Unsupported swap max fee unit 'usd': expected 'fee' or 'tokenIn'.")
+      })
+    })
+
+    describe('events', () => {
+      const EVENTS = ['quote', 'built', 'approvalSent', 'approvalConfirmed', 'feeChecked', 'sent', 'confirmed', 'failed']
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 1_000n })
+      })
+
+      test('should emit the lifecycle events of a swap, in order', async () => {
+        const events = []
+
+        for (const event of EVENTS) {
+          protocol.on(event, payload => events.push({ event, ...payload }))
+        }
+
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValue(100n)
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+          .mockResolvedValueOnce({ hash: 'dummy-swap-hash', fee: 1_000n })
+
+        account.getTransactionReceipt = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', blockNumber: 100, status: 1, fee: 900n, logs: [] })
+
+        protocol._provider.waitForTransaction = jest.fn().mockResolvedValue({ status: 1, blockNumber: 99 })
+
+        protocol._provider.getBlockNumber = jest.fn().mockResolvedValue(100)
+
+        await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, wait: true })
+
+        expect(events.map(({ event }) => event)).toEqual(['quote', 'built', 'approvalSent', 'approvalConfirmed', 'feeChecked', 'sent', 'confirmed'])
+
+        expect(new Set(events.map(({ operation, id }) => `${operation}:${id}`)).size).toBe(1)
+
+        const [quote, built, approvalSent, approvalConfirmed, feeChecked, sent, confirmed] = events
+
+        expect(quote).toEqual(expect.objectContaining({
+          operation: 'swap',
+          timestamp: expect.any(Number),
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          priceRoute: DUMMY_PRICE_ROUTE
+        }))
+
+        expect(built).toEqual(expect.objectContaining({ tx: DUMMY_SWAP_TRANSACTION, spender: VELORA }))
+
+        expect(approvalSent).toEqual(expect.objectContaining({ token: TOKEN_IN, spender: VELORA, hash: 'dummy-approve-hash' }))
+
+        expect(approvalConfirmed).toEqual(expect.objectContaining({ hash: 'dummy-approve-hash', blockNumber: 99 }))
+
+        expect(feeChecked).toEqual(expect.objectContaining({ fee: 2_000n, maxFee: undefined }))
+
+        expect(sent).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', fee: 2_000n }))
+
+        expect(confirmed.receipt).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', blockNumber: 100, fee: 900n }))
+      })
+
+      test('should emit a failed event, and ignore the errors thrown by the listeners', async () => {
+        const failed = jest.fn()
+
+        const protocol = new VeloraProtocolEvm(account, {
+          swapMaxFee: 500n,
+          hooks: {
+            quote: () => { throw new Error('Listener error.') },
+            failed
+          }
+        })
+
+        const promise = protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await expect(promise).rejects.toThrow(MaxFeeExceededError)
+
+        expect(failed).toHaveBeenCalledWith(expect.objectContaining({ operation: 'swap', error: expect.any(MaxFeeExceededError) }))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should ignore the rejections of async listeners', async () => {
+        const onUnhandledRejection = jest.fn()
+
+        process.on('unhandledRejection', onUnhandledRejection)
+
+        const protocol = new VeloraProtocolEvm(account, {
+          hooks: {
+            sent: async () => { throw new Error('Listener error.') }
+          }
+        })
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await new Promise(resolve => setImmediate(resolve))
+
+        process.off('unhandledRejection', onUnhandledRejection)
+
+        expect(onUnhandledRejection).not.toHaveBeenCalled()
+
+        expect(result).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash' }))
+      })
+
+      test('should support one-off listeners and the removal of listeners', async () => {
+        const onceListener = jest.fn()
+
+        const removedListener = jest.fn()
+
+        protocol.once('sent', onceListener).on('sent', removedListener).off('sent', removedListener)
+
+        await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(onceListener).toHaveBeenCalledTimes(1)
+
+        expect(removedListener).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the event is not supported', () => {
+        expect(() => protocol.on('done', () => { }))
+          .toThrow("Unsupported event 'done': expected one of 'quote', 'built', 'approvalSent', 'approvalConfirmed', 'feeChecked', 'sent', 'confirmed', 'failed'.")
+      })
+    })
+
+    describe('recipients', () => {
+      const RECIPIENT = ethers.getAddress('0x' + 'ab'.repeat(20))
+
+      const DUMMY_RECIPIENT_SWAP_TRANSACTION = {
+        ...DUMMY_SWAP_TRANSACTION,
+        data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 100_000n, RECIPIENT)
+      }
+
+      beforeEach(() => {
+        getRateMock.mockClear()
+
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockClear()
+
+        buildTxMock.mockResolvedValue(DUMMY_RECIPIENT_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 1_000n })
+      })
+
+      test('should send the output tokens to the recipient and echo it in the result', async () => {
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: RECIPIENT.toLowerCase() })
+
+        expect(buildTxMock).toHaveBeenCalledWith({ ...DUMMY_BUILD_TX_INPUT, receiver: RECIPIENT }, { ignoreChecks: true })
+
+        expect(result).toEqual(expect.objectContaining({ hash: 'dummy-swap-hash', recipient: RECIPIENT }))
+      })
+
+      test('should resolve the ens name of the recipient through the provider', async () => {
+        protocol._provider.resolveName = jest.fn().mockResolvedValue(RECIPIENT)
+
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: 'alice.eth' })
+
+        expect(protocol._provider.resolveName).toHaveBeenCalledWith('alice.eth')
+
+        expect(quote.recipient).toBe(RECIPIENT)
+      })
+
+      test('should throw if the ens name of the recipient cannot be resolved', async () => {
+        protocol._provider.resolveName = jest.fn().mockResolvedValue(null)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: 'unknown.eth' }))
+          .rejects.toThrow("The recipient 'unknown.eth' is not valid: the ens name cannot be resolved.")
+      })
+
+      test('should throw if the checksum of the recipient is wrong', async () => {
+        const recipient = RECIPIENT.replace(/[a-f]/, char => char.toUpperCase())
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: recipient }))
+          .rejects.toThrow(InvalidRecipientError)
+
+        expect(getRateMock).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the recipient is the zero address', async () => {
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: ethers.ZeroAddress }))
+          .rejects.toThrow(`The recipient '${ethers.ZeroAddress}' is not valid: the recipient is the zero address.`)
+      })
+
+      test('should throw if the recipient is a token or a contract of the velora protocol', async () => {
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: TOKEN_OUT }))
+          .rejects.toThrow(`The recipient '${TOKEN_OUT}' is not valid: the recipient is a token or a contract of the Velora protocol.`)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: VELORA }))
+          .rejects.toThrow(`The recipient '${VELORA}' is not valid: the recipient is a token or a contract of the Velora protocol.`)
+      })
+
+      test('should throw a recipient mismatch error if the swap transaction does not pay the recipient', async () => {
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, to: RECIPIENT }))
+          .rejects.toThrow(RecipientMismatchError)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('calldata verification', () => {
+      const ATTACKER = ethers.getAddress('0x' + 'ee'.repeat(20))
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 1_000n })
+      })
+
+      test('should throw if the swap transaction does not call the augustus contract', async () => {
+        buildTxMock.mockResolvedValue({ ...DUMMY_SWAP_TRANSACTION, to: ATTACKER })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(`The swap transaction built by the Velora api does not match the requested swap: it calls the contract '${ATTACKER}' instead of the augustus contract '${VELORA}'.`)
+
+        expect(account.quoteSendTransaction).not.toHaveBeenCalled()
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the input tokens would be approved to a contract that is not the augustus contract', async () => {
+        getRateMock.mockResolvedValue({ ...DUMMY_PRICE_ROUTE, tokenTransferProxy: ATTACKER })
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(SwapTransactionMismatchError)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the calldata of the swap transaction does not match the tokens and the amounts of the swap', async () => {
+        buildTxMock.mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(USDT, TOKEN_OUT, 100n, 100_000n) })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(`it sells the token '${USDT}' instead of '${TOKEN_IN}'.`)
+
+        buildTxMock.mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 1n) })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow('it buys at least 1 output tokens, less than the minimum of 100000.')
+
+        buildTxMock.mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 100_000n, ATTACKER) })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(`it pays the output tokens to '${ATTACKER}' instead of the account.`)
+
+        buildTxMock.mockResolvedValueOnce({ ...DUMMY_SWAP_TRANSACTION, value: '1' })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow('it sends 1 wei of native coin along with the swap.')
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the swap transaction does not call a known swap method', async () => {
+        buildTxMock.mockResolvedValue({ ...DUMMY_SWAP_TRANSACTION, data: ERC_20_INTERFACE.encodeFunctionData('approve', [ATTACKER, 100n]) })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow('it does not call a known swap method of the augustus contract.')
+      })
+
+      test('should verify the swap transaction of a quote again before executing it', async () => {
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await expect(protocol.executeQuote({ ...quote, tx: { ...quote.tx, to: ATTACKER } }))
+          .rejects.toThrow(SwapTransactionMismatchError)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('quote comparison', () => {
+      const UNISWAP_V3_QUOTER = '0x61fFE014bA17989E743c5F6cB21bF9697530B21e'
+
+      const UNISWAP_V3_QUOTER_INTERFACE = new ethers.Interface([
+        'function quoteExactInputSingle((address tokenIn, address tokenOut, uint256 amountIn, uint24 fee, uint160 sqrtPriceLimitX96) params) returns (uint256 amountOut, uint160 sqrtPriceX96After, uint32 initializedTicksCrossed, uint256 gasEstimate)'
+      ])
+
+      const mockQuoter = (amountsOut) => jest.fn(async ({ to, data }) => {
+        if (to !== UNISWAP_V3_QUOTER) {
+          return ethers.AbiCoder.defaultAbiCoder().encode(['uint8'], [6])
+        }
+
+        const [[, , , fee]] = UNISWAP_V3_QUOTER_INTERFACE.decodeFunctionData('quoteExactInputSingle', data)
+
+        if (!amountsOut[fee]) {
+          throw Object.assign(new Error('execution reverted'), { code: 'CALL_EXCEPTION' })
+        }
+
+        return UNISWAP_V3_QUOTER_INTERFACE.encodeFunctionResult('quoteExactInputSingle', [amountsOut[fee], 0n, 0, 0n])
+      })
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 1_000n })
+
+        protocol._provider.call = mockQuoter({ 500: 99_000n, 3000: 100_500n })
+      })
+
+      test('should report the advantage of the velora route over the best reference quote', async () => {
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, compareQuotes: true })
+
+        for (const fee of [100, 500, 3000, 10000]) {
+          expect(protocol._provider.call).toHaveBeenCalledWith({
+            to: UNISWAP_V3_QUOTER,
+            data: UNISWAP_V3_QUOTER_INTERFACE.encodeFunctionData('quoteExactInputSingle', [[TOKEN_IN, TOKEN_OUT, 100n, fee, 0n]])
+          })
+        }
+
+        expect(quote.comparison).toEqual({
+          source: 'UniswapV3',
+          poolFee: 3000,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_500n,
+          advantage: -49.75
+        })
+      })
+
+      test('should refuse the swap if the velora route is worse than the reference quote by more than the max shortfall', async () => {
+        protocol = new VeloraProtocolEvm(account, { maxQuoteShortfall: 10 })
+
+        protocol._provider.call = mockQuoter({ 500: 99_000n, 3000: 100_500n })
+
+        const error = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }).catch(error => error)
+
+        expect(error).toBeInstanceOf(QuoteShortfallError)
+
+        expect(error).toEqual(expect.objectContaining({ shortfall: 49.75, maxShortfall: 10, source: 'UniswapV3' }))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, maxQuoteShortfall: 100 })
+
+        expect(result.hash).toBe('dummy-swap-hash')
+      })
+
+      test('should not report any comparison if no reference quote is found for the pair', async () => {
+        protocol._provider.call = mockQuoter({})
+
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, maxQuoteShortfall: 0 })
+
+        expect(quote.comparison).toBeUndefined()
+      })
+
+      test('should throw if the max quote shortfall is not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { maxQuoteShortfall: -1 }))
+          .toThrow('The max quote shortfall must be a non-negative number of basis points.')
+      })
+    })
+
+    describe('getRoute', () => {
+      const DUMMY_DETAILED_PRICE_ROUTE = {
+        ...DUMMY_PRICE_ROUTE,
+        srcUSD: '100.00',
+        destUSD: '99.50',
+        gasCostUSD: '1.25',
+        contractAddress: VELORA,
+        contractMethod: 'swapExactAmountIn',
+        blockNumber: 21_000_000,
+        bestRoute: [{
+          percent: 100,
+          swaps: [{
+            srcToken: TOKEN_IN,
+            destToken: TOKEN_OUT,
+            swapExchanges: [
+              { exchange: 'UniswapV3', percent: 60, srcAmount: '60', destAmount: '60000' },
+              { exchange: 'CurveV1', percent: 40, srcAmount: '40', destAmount: '40000' }
+            ]
+          }]
+        }]
+      }
+
+      const DUMMY_ROUTE = {
+        tokenIn: TOKEN_IN,
+        tokenOut: TOKEN_OUT,
+        tokenInAmount: 100n,
+        tokenOutAmount: 100_000n,
+        tokenInUsd: 100,
+        tokenOutUsd: 99.5,
+        priceImpact: 50,
+        gasCostUsd: 1.25,
+        spender: VELORA,
+        contractAddress: VELORA,
+        contractMethod: 'swapExactAmountIn',
+        blockNumber: 21_000_000,
+        paths: [{
+          percent: 100,
+          hops: [{
+            tokenIn: TOKEN_IN,
+            tokenOut: TOKEN_OUT,
+            exchanges: [
+              { dex: 'UniswapV3', percent: 60 },
+              { dex: 'CurveV1', percent: 40 }
+            ]
+          }]
+        }]
+      }
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_DETAILED_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+      })
+
+      test('should return a summary of the route without building the swap transaction', async () => {
+        buildTxMock.mockClear()
+
+        const route = await protocol.getRoute({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(buildTxMock).not.toHaveBeenCalled()
+
+        expect(route).toEqual(DUMMY_ROUTE)
+      })
+
+      test('should include the summary of the route in the quote if the detailed option is set', async () => {
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        const protocol = new VeloraProtocolEvm(account, { slippage: 100 })
+
+        const quote = await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          detailed: true
+        })
+
+        expect(quote.route).toEqual(DUMMY_ROUTE)
+      })
+    })
+
+    describe('api configuration', () => {
+      const PARTNER_ADDRESS = '0x1111111111111111111111111111111111111111'
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+      })
+
+      test('should send the requests to the configured api url through the configured fetcher', async () => {
+        const fetcher = jest.fn().mockResolvedValue(new Response('{}'))
+
+        const protocol = new VeloraProtocolEvm(account, {
+          apiUrl: 'http://localhost:8080',
+          fetcher,
+          apiKey: 'dummy-api-key',
+          headers: { 'X-Client': 'wdk-tests' }
+        })
+
+        await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        const [[{ fetch, apiURL }]] = constructSimpleSDK.mock.calls.slice(-1)
+
+        expect(apiURL).toBe('http://localhost:8080')
+
+        await fetch('http://localhost:8080/prices', { method: 'GET' })
+
+        expect(fetcher).toHaveBeenCalledWith('http://localhost:8080/prices', {
+          method: 'GET',
+          headers: { 'X-API-KEY': 'dummy-api-key', 'X-Client': 'wdk-tests' }
+        })
+      })
+
+      test('should attribute the swaps to the configured partner and charge its fee', async () => {
+        const protocol = new VeloraProtocolEvm(account, {
+          partner: 'my-wallet',
+          partnerAddress: PARTNER_ADDRESS,
+          partnerFeeBps: 25
+        })
+
+        await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(getRateMock).toHaveBeenLastCalledWith(expect.objectContaining({
+          options: { partner: 'my-wallet' }
+        }))
+
+        expect(buildTxMock).toHaveBeenLastCalledWith(expect.objectContaining({
+          partner: 'my-wallet',
+          partnerAddress: PARTNER_ADDRESS,
+          partnerFeeBps: 25
+        }), { ignoreChecks: true })
+      })
+
+      test('should throw if the partner fee exceeds the allowed maximum', () => {
+        expect(() => new VeloraProtocolEvm(account, { partnerAddress: PARTNER_ADDRESS, partnerFeeBps: 201 }))
+          .toThrow('The partner fee must be an integer number of basis points between 0 and 200.')
+      })
+
+      test('should throw if a partner fee is set without a partner address', () => {
+        expect(() => new VeloraProtocolEvm(account, { partnerFeeBps: 25 }))
+          .toThrow("The 'partnerAddress' option is required to charge a partner fee.")
+      })
+
+      test('should throw if the partner address is not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { partnerAddress: '0x1234' }))
+          .toThrow("The partner address '0x1234' is not a valid address.")
+      })
+
+      test('should throw if the api url is not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { apiUrl: 'localhost:8080' }))
+          .toThrow("The api url 'localhost:8080' is not a valid http(s) url.")
+      })
+
+      test('should retry the requests that are rate-limited with an exponential backoff', async () => {
+        const fetcher = jest.fn()
+          .mockResolvedValueOnce(new Response('{}', { status: 429 }))
+          .mockResolvedValueOnce(new Response('{}', { status: 429 }))
+          .mockResolvedValueOnce(new Response('{}', { status: 200 }))
+
+        const protocol = new VeloraProtocolEvm(account, { fetcher, retryDelay: 1 })
+
+        const response = await protocol._fetch('https://api.velora.xyz/prices', { method: 'GET' })
+
+        expect(response.status).toBe(200)
+
+        expect(fetcher).toHaveBeenCalledTimes(3)
+      })
+
+      test('should not retry the write requests that fail with a server error', async () => {
+        const fetcher = jest.fn()
+          .mockResolvedValueOnce(new Response('{}', { status: 502 }))
+
+        const protocol = new VeloraProtocolEvm(account, { fetcher, retryDelay: 1 })
+
+        const response = await protocol._fetch('https://api.velora.xyz/delta/orders', { method: 'POST' })
+
+        expect(response.status).toBe(502)
+
+        expect(fetcher).toHaveBeenCalledTimes(1)
+      })
+
+      test('should share identical in-flight requests', async () => {
+        getRateMock.mockClear()
+
+        buildTxMock.mockClear()
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 12_345n })
+
+        await Promise.all([
+          protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }),
+          protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+        ])
+
+        expect(getRateMock).toHaveBeenCalledTimes(1)
+
+        expect(buildTxMock).toHaveBeenCalledTimes(1)
+
+        await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(getRateMock).toHaveBeenCalledTimes(2)
+      })
+
+      test('should cache the rates of the quotes for the configured ttl, but never the rates of the swaps', async () => {
+        getRateMock.mockClear()
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn().mockResolvedValue({ hash: 'dummy-swap-hash', fee: 12_345n })
+
+        const protocol = new VeloraProtocolEvm(account, { cacheTtl: 60_000 })
+
+        await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(getRateMock).toHaveBeenCalledTimes(1)
+
+        await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(getRateMock).toHaveBeenCalledTimes(2)
+      })
+
+      test('should make the quotes built from a cached rate expire with the rate, not with the quote', async () => {
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 12_345n })
+
+        const protocol = new VeloraProtocolEvm(account, { cacheTtl: 60_000, quoteTtl: 30_000 })
+
+        const now = Date.now()
+
+        const dateMock = jest.spyOn(Date, 'now').mockReturnValue(now)
+
+        const quote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        dateMock.mockReturnValue(now + 20_000)
+
+        const cachedQuote = await protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        dateMock.mockRestore()
+
+        expect(quote.expiresAt).toBe(now + 30_000)
+
+        expect(cachedQuote.expiresAt).toBe(now + 30_000)
+      })
+
+      test('should throw if the cache ttl is not valid', () => {
+        expect(() => new VeloraProtocolEvm(account, { cacheTtl: -1 }))
+          .toThrow("The 'cacheTtl' option must be a non-negative integer.")
+      })
+
+      test('should throw if the fetcher is not a function', () => {
+        expect(() => new VeloraProtocolEvm(account, { fetcher: 'fetch' }))
+          .toThrow('The fetcher must be a fetch-compatible function.')
+      })
+    })
+
+    describe('limit orders', () => {
+      const DUMMY_ORDER_DATA = {
+        nonceAndMeta: '1234',
+        expiry: 0,
+        makerAsset: TOKEN_IN,
+        takerAsset: TOKEN_OUT,
+        maker: USER_ADDRESS,
+        taker: '0x0000000000000000000000000000000000000000',
+        makerAmount: '100',
+        takerAmount: '100000'
+      }
+
+      const DUMMY_LIMIT_ORDER = {
+        ...DUMMY_ORDER_DATA,
+        orderHash: '0x' + 'ab'.repeat(32),
+        signature: DUMMY_SIGNATURE,
+        state: 'PENDING',
+        type: 'LIMIT'
+      }
+
+      beforeEach(() => {
+        jest.spyOn(account, 'signTypedData')
+
+        limitOrdersMock.buildLimitOrder.mockResolvedValue({
+          domain: { name: 'AUGUSTUS RFQ', version: '1', chainId: 1, verifyingContract: AUGUSTUS_RFQ },
+          types: { Order: [] },
+          data: DUMMY_ORDER_DATA
+        })
+
+        limitOrdersMock.postLimitOrder.mockResolvedValue(DUMMY_LIMIT_ORDER)
+      })
+
+      test('should sign and post a limit order', async () => {
+        account.sendTransaction = jest.fn()
+
+        const result = await protocol.createLimitOrder({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          tokenOutAmount: 100_000
+        })
+
+        expect(limitOrdersMock.buildLimitOrder).toHaveBeenCalledWith({
+          maker: USER_ADDRESS,
+          makerAsset: TOKEN_IN,
+          takerAsset: TOKEN_OUT,
+          makerAmount: '100',
+          takerAmount: '100000',
+          expiry: 0,
+          taker: undefined
+        })
+
+        expect(account.signTypedData).toHaveBeenCalledWith(expect.objectContaining({ message: DUMMY_ORDER_DATA }))
+
+        const signature = await account.signTypedData.mock.results[0].value
+
+        expect(limitOrdersMock.postLimitOrder).toHaveBeenCalledWith({ ...DUMMY_ORDER_DATA, signature })
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+
+        expect(result).toEqual({
+          orderHash: DUMMY_LIMIT_ORDER.orderHash,
+          order: DUMMY_LIMIT_ORDER,
+          fee: 0n
+        })
+      })
+
+      test('should approve the limit orders contract and post a p2p order if a taker is given', async () => {
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(100n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+
+        limitOrdersMock.postP2POrder.mockResolvedValueOnce({ ...DUMMY_LIMIT_ORDER, type: 'P2P' })
+
+        const result = await protocol.createLimitOrder({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          tokenOutAmount: 100_000,
+          expiry: 1_900_000_000,
+          taker: VELORA
+        })
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: TOKEN_IN,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [AUGUSTUS_RFQ, 100n])
+        })
+
+        const signature = await account.signTypedData.mock.results[0].value
+
+        expect(limitOrdersMock.postP2POrder).toHaveBeenCalledWith({ ...DUMMY_ORDER_DATA, signature })
+
+        expect(result).toEqual(expect.objectContaining({
+          fee: 1_000n,
+          approveHash: 'dummy-approve-hash'
+        }))
+      })
+
+      test('should list the limit orders of the account, even with a read-only account', async () => {
+        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        limitOrdersMock.getLimitOrders
+          .mockResolvedValueOnce({ orders: [DUMMY_LIMIT_ORDER] })
+          .mockResolvedValueOnce({ orders: [] })
+
+        const orders = await protocol.getLimitOrders()
+
+        expect(limitOrdersMock.getLimitOrders).toHaveBeenCalledWith({ maker: USER_ADDRESS, type: 'LIMIT' })
+
+        expect(limitOrdersMock.getLimitOrders).toHaveBeenCalledWith({ maker: USER_ADDRESS, type: 'P2P' })
+
+        expect(orders).toEqual([DUMMY_LIMIT_ORDER])
+      })
+
+      test('should cancel a limit order on-chain', async () => {
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-cancel-hash', fee: 5_000n })
+
+        const result = await protocol.cancelLimitOrder(DUMMY_LIMIT_ORDER.orderHash)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: AUGUSTUS_RFQ,
+          value: 0,
+          data: AUGUSTUS_RFQ_INTERFACE.encodeFunctionData('cancelOrder', [DUMMY_LIMIT_ORDER.orderHash])
+        })
+
+        expect(result).toEqual({ hash: 'dummy-cancel-hash', fee: 5_000n })
+      })
+
+      test('should fill a limit order', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(100_000n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-fill-hash', fee: 12_345n })
+
+        const result = await protocol.fillLimitOrder(DUMMY_LIMIT_ORDER)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: AUGUSTUS_RFQ,
+          value: 0,
+          data: AUGUSTUS_RFQ_INTERFACE.encodeFunctionData('fillOrder', [DUMMY_ORDER_DATA, DUMMY_SIGNATURE])
+        })
+
+        expect(result).toEqual({
+          hash: 'dummy-fill-hash',
+          fee: 12_345n,
+          tokenInAmount: 100_000n,
+          tokenOutAmount: 100n,
+          tokenInAmountMax: 100_000n,
+          tokenOutAmountMin: 100n,
+          formatted: {
+            tokenInAmount: '0.1',
+            tokenOutAmount: '0.0001',
+            tokenInAmountMax: '0.1',
+            tokenOutAmountMin: '0.0001'
+          }
+        })
+      })
+
+      test('should throw if the limit order is reserved to a different taker', async () => {
+        await expect(protocol.fillLimitOrder({ ...DUMMY_LIMIT_ORDER, taker: VELORA }))
+          .rejects.toThrow(`The limit order '${DUMMY_LIMIT_ORDER.orderHash}' can only be filled by ${VELORA}.`)
+      })
+
+      test('should throw if the limit order has expired', async () => {
+        await expect(protocol.fillLimitOrder({ ...DUMMY_LIMIT_ORDER, expiry: 1 }))
+          .rejects.toThrow(`The limit order '${DUMMY_LIMIT_ORDER.orderHash}' has expired.`)
+      })
+
+      test('should throw if the account is read-only', async () => {
+        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await expect(protocol.createLimitOrder({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, tokenOutAmount: 100_000 }))
+          .rejects.toThrow(ReadOnlyAccountError)
+      })
+    })
+  })
+
+  describe('with WalletAccountEvm in delta mode', () => {
+    const DUMMY_DELTA_PRICE = {
+      srcToken: TOKEN_IN,
+      destToken: TOKEN_OUT,
+      srcAmount: '100',
+      destAmount: '100000',
+      partner: 'wdk',
+      partnerFee: 0
+    }
+
+    const DUMMY_SIGNABLE_ORDER = {
+      domain: { name: 'Portikus', version: '2.0.0', chainId: 1, verifyingContract: DELTA },
+      types: { Order: [] },
+      data: { owner: USER_ADDRESS, srcToken: TOKEN_IN, destToken: TOKEN_OUT }
+    }
+
+    beforeEach(() => {
+      account = new WalletAccountEvm(SEED, "0'/0/0", {
+        provider: 'https://mock-rpc-url.com'
+      })
+
+      account.getAddress = jest.fn().mockResolvedValue(USER_ADDRESS)
+
+      account.getAllowance = jest.fn().mockResolvedValue(100n)
+
+      account.getBalance = jest.fn().mockResolvedValue(1_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(1_000_000n)
+
+      jest.spyOn(account, 'signTypedData')
+
+      account.sendTransaction = jest.fn()
+
+      deltaMock.getDeltaPrice.mockResolvedValue(DUMMY_DELTA_PRICE)
+
+      deltaMock.buildDeltaOrder.mockResolvedValue(DUMMY_SIGNABLE_ORDER)
+
+      deltaMock.postDeltaOrder.mockResolvedValue({ id: 'dummy-order-id' })
+
+      protocol = new VeloraProtocolEvm(account, { mode: 'delta', slippage: 100 })
+    })
+
+    describe('swap', () => {
+      test('should sign and submit a delta order without sending any transaction', async () => {
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(deltaMock.getDeltaPrice).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100',
+          srcDecimals: 6,
+          destDecimals: 6,
+          userAddress: USER_ADDRESS,
+          beneficiary: undefined,
+          partner: 'wdk',
+          side: SwapSide.SELL
+        })
+
+        expect(deltaMock.buildDeltaOrder).toHaveBeenCalledWith({
+          owner: USER_ADDRESS,
+          beneficiary: undefined,
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          srcAmount: '100',
+          destAmount: '99000',
+          deltaPrice: DUMMY_DELTA_PRICE,
+          partner: 'wdk',
+          side: SwapSide.SELL
+        })
+
+        expect(account.signTypedData).toHaveBeenCalledWith({
+          domain: DUMMY_SIGNABLE_ORDER.domain,
+          types: DUMMY_SIGNABLE_ORDER.types,
+          message: DUMMY_SIGNABLE_ORDER.data
+        })
+
+        const signature = await account.signTypedData.mock.results[0].value
+
+        expect(deltaMock.postDeltaOrder).toHaveBeenCalledWith({
+          partner: 'wdk',
+          order: DUMMY_SIGNABLE_ORDER.data,
+          signature: ethers.Signature.from(signature).compactSerialized
+        })
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+
+        expect(result).toEqual({
+          orderId: 'dummy-order-id',
+          fee: 0n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 99_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.099'
+          }
+        })
+      })
+
+      test('should approve the delta contract before submitting the order if the allowance is not sufficient', async () => {
+        account.getAllowance = jest.fn()
+          .mockResolvedValueOnce(0n)
+          .mockResolvedValueOnce(100n)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 1_000n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-approve-hash', fee: 1_000n })
+
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(account.sendTransaction).toHaveBeenCalledWith({
+          to: TOKEN_IN,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [DELTA, 100n])
+        })
+
+        expect(result).toEqual(expect.objectContaining({
+          orderId: 'dummy-order-id',
+          fee: 1_000n,
+          approveHash: 'dummy-approve-hash'
+        }))
+      })
+
+      test('should throw if the input token is the native coin', async () => {
+        await expect(protocol.swap({ tokenIn: 'native', tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow("Delta orders cannot sell the native coin: wrap it first or use the 'market' mode.")
+      })
+
+      test('should throw a no route error if the delta api does not find any price', async () => {
+        deltaMock.getDeltaPrice.mockRejectedValueOnce(Object.assign(new Error('No route found'), { status: 400 }))
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }))
+          .rejects.toThrow(NoRouteError)
+      })
+    })
+
+    describe('quoteSwap', () => {
+      test('should quote a delta order that can be executed later', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(1_000n)
+
+        deltaMock.postDeltaOrder.mockClear()
+
+        const quote = await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenOutAmount: 100_000
+        })
+
+        expect(deltaMock.postDeltaOrder).not.toHaveBeenCalled()
+
+        expect(quote).toEqual({
+          fee: 0n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 101n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.000101',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          spender: DELTA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          deltaOrder: {
+            price: DUMMY_DELTA_PRICE,
+            side: SwapSide.BUY,
+            beneficiary: undefined
+          },
+          expiresAt: expect.any(Number)
+        })
+
+        const result = await protocol.executeQuote(quote)
+
+        expect(deltaMock.buildDeltaOrder).toHaveBeenLastCalledWith(expect.objectContaining({
+          srcAmount: '101',
+          destAmount: '100000',
+          side: SwapSide.BUY
+        }))
+
+        expect(result.orderId).toBe('dummy-order-id')
+      })
+    })
+
+    describe('getOrderStatus', () => {
+      test('should return the status of a delta order', async () => {
+        deltaMock.getDeltaOrderById.mockResolvedValueOnce({
+          id: 'dummy-order-id',
+          status: 'EXECUTED',
+          transactions: [{ hash: 'dummy-execution-hash' }]
+        })
+
+        const status = await protocol.getOrderStatus('dummy-order-id')
+
+        expect(deltaMock.getDeltaOrderById).toHaveBeenCalledWith('dummy-order-id')
+
+        expect(status).toEqual({ status: 'EXECUTED', hash: 'dummy-execution-hash' })
+      })
+    })
+
+    describe('cancelOrder', () => {
+      test('should sign and submit the cancellation of a delta order', async () => {
+        const fetchMock = jest.spyOn(globalThis, 'fetch')
+          .mockResolvedValueOnce(new Response(JSON.stringify({ success: true })))
+
+        await protocol.cancelOrder('dummy-order-id')
+
+        expect(account.signTypedData).toHaveBeenCalledWith({
+          domain: { name: 'Portikus', version: '2.0.0', chainId: 1, verifyingContract: DELTA },
+          types: { OrderCancellations: [{ name: 'orderIds', type: 'string[]' }] },
+          message: { orderIds: ['dummy-order-id'] }
+        })
+
+        expect(fetchMock).toHaveBeenCalledWith('https://api.velora.xyz/delta/orders/cancel', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ orderIds: ['dummy-order-id'], signature: await account.signTypedData.mock.results[0].value })
+        })
+
+        fetchMock.mockRestore()
+      })
+
+      test('should throw if the velora api rejects the cancellation', async () => {
+        const fetchMock = jest.spyOn(globalThis, 'fetch')
+          .mockResolvedValueOnce(new Response(JSON.stringify({ error: 'Order already executed' }), { status: 400 }))
+
+        await expect(protocol.cancelOrder('dummy-order-id'))
+          .rejects.toThrow("The delta order 'dummy-order-id' could not be cancelled: Order already executed")
+
+        fetchMock.mockRestore()
+      })
+
+      test('should throw if the account is read-only', async () => {
+        const account = new WalletAccountReadOnlyEvm(USER_ADDRESS, {
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        const protocol = new VeloraProtocolEvm(account, { mode: 'delta' })
+
+        await expect(protocol.cancelOrder('dummy-order-id'))
+          .rejects.toThrow("The 'cancelOrder(orderId)' method requires the protocol to be initialized with a non read-only account.")
+      })
+    })
+
+    describe('cross-chain swaps', () => {
+      const DUMMY_BRIDGE_PRICE = {
+        ...DUMMY_DELTA_PRICE,
+        destAmount: '100000000000000000',
+        bridge: {
+          protocolSelector: '0x00000000',
+          destinationChainId: 42161,
+          outputToken: TOKEN_OUT,
+          scalingFactor: 0,
+          protocolData: '0x'
+        },
+        bridgeInfo: {
+          protocolName: 'Across',
+          destAmountAfterBridge: '99000000000000000',
+          destUSDAfterBridge: '0.099',
+          fees: [{ feeToken: TOKEN_IN, amount: '1', amountInSrcToken: '1', amountInUSD: '0.001' }],
+          estimatedTimeMs: 60_000
+        }
+      }
+
+      const DUMMY_BRIDGE_DETAILS = {
+        protocol: 'Across',
+        destChainId: 42161,
+        tokenOutAmount: 99_000_000_000_000_000n,
+        fees: [{ token: TOKEN_IN, amount: 1n, tokenInAmount: 1n, amountUsd: 0.001 }],
+        estimatedTime: 60_000
+      }
+
+      beforeEach(() => {
+        getTokensMock.mockResolvedValue([{ address: TOKEN_OUT, symbol: 'USDT0', decimals: 18 }])
+
+        deltaMock.getDeltaPrice.mockResolvedValue(DUMMY_BRIDGE_PRICE)
+
+        deltaMock.buildDeltaOrder.mockResolvedValue({
+          ...DUMMY_SIGNABLE_ORDER,
+          data: { ...DUMMY_SIGNABLE_ORDER.data, bridge: DUMMY_BRIDGE_PRICE.bridge }
+        })
+
+        protocol = new VeloraProtocolEvm(account, { slippage: 100 })
+      })
+
+      test('should submit a cross-chain delta order, even in market mode', async () => {
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          destChainId: 42161
+        })
+
+        expect(constructSimpleSDK).toHaveBeenCalledWith(expect.objectContaining({ chainId: 42161 }))
+
+        expect(deltaMock.getDeltaPrice).toHaveBeenLastCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100',
+          srcDecimals: 6,
+          destDecimals: 18,
+          userAddress: USER_ADDRESS,
+          beneficiary: undefined,
+          partner: 'wdk',
+          destChainId: 42161,
+          side: SwapSide.SELL
+        })
+
+        expect(deltaMock.buildDeltaOrder).toHaveBeenLastCalledWith(expect.objectContaining({
+          destAmount: '99000000000000000',
+          deltaPrice: DUMMY_BRIDGE_PRICE,
+          destChainId: 42161,
+          beneficiaryType: 'EOA'
+        }))
+
+        expect(result).toEqual({
+          orderId: 'dummy-order-id',
+          fee: 0n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000_000_000_000_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 99_000_000_000_000_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.099'
+          },
+          destChainId: 42161,
+          bridge: DUMMY_BRIDGE_DETAILS
+        })
+      })
+
+      test('should include the details and the fees of the bridge transfer in the quote', async () => {
+        const quote = await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100,
+          destChainId: 42161
+        })
+
+        expect(quote).toEqual(expect.objectContaining({
+          chainId: 1,
+          destChainId: 42161,
+          bridge: DUMMY_BRIDGE_DETAILS
+        }))
+      })
+
+      test('should throw if the route does not bridge the output tokens to the destination chain', async () => {
+        deltaMock.getDeltaPrice.mockResolvedValueOnce({ ...DUMMY_BRIDGE_PRICE, bridge: { ...DUMMY_BRIDGE_PRICE.bridge, destinationChainId: 10 } })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, destChainId: 42161 }))
+          .rejects.toThrow(RouteNotAllowedError)
+      })
+
+      test('should throw if the destination chain is not supported', async () => {
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, destChainId: 999 }))
+          .rejects.toThrow(UnsupportedChainError)
+      })
+
+      test('should throw if the amount of output tokens is given', async () => {
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenOutAmount: 100, destChainId: 42161 }))
+          .rejects.toThrow("Cross-chain swaps only support exact input amounts: use the 'tokenInAmount' option.")
+      })
+
+      test('should return the status of the bridge transfer along with the status of the order', async () => {
+        deltaMock.getDeltaOrderById.mockResolvedValueOnce({
+          id: 'dummy-order-id',
+          status: 'EXECUTED',
+          transactions: [{ hash: 'dummy-execution-hash' }],
+          bridgeStatus: 'filled',
+          bridgeMetadata: { outputAmount: '99000000000000000', fillDeadline: 0, depositId: 1, fillTx: 'dummy-fill-hash' }
+        })
+
+        const status = await protocol.waitForCrossChainSwap('dummy-order-id')
+
+        expect(status).toEqual({
+          status: 'EXECUTED',
+          hash: 'dummy-execution-hash',
+          bridge: { status: 'filled', tokenOutAmount: 99_000_000_000_000_000n, fillHash: 'dummy-fill-hash' }
+        })
+      })
+
+      test('should throw a cross-chain swap failed error if the bridge transfer has been refunded', async () => {
+        deltaMock.getDeltaOrderById.mockResolvedValueOnce({
+          id: 'dummy-order-id',
+          status: 'EXECUTED',
+          transactions: [{ hash: 'dummy-execution-hash' }],
+          bridgeStatus: 'refunded',
+          bridgeMetadata: { outputAmount: '99000000000000000', fillDeadline: 0, depositId: 1, depositRefundTxHash: 'dummy-refund-hash' }
+        })
+
+        const error = await protocol.waitForCrossChainSwap('dummy-order-id').catch(error => error)
+
+        expect(error).toBeInstanceOf(CrossChainSwapFailedError)
+
+        expect(error).toEqual(expect.objectContaining({ orderId: 'dummy-order-id', status: 'refunded', refundHash: 'dummy-refund-hash' }))
+      })
+
+      test('should throw a swap timeout error if the output tokens have not arrived in time', async () => {
+        deltaMock.getDeltaOrderById.mockResolvedValueOnce({
+          id: 'dummy-order-id',
+          status: 'EXECUTED',
+          transactions: [{ hash: 'dummy-execution-hash' }],
+          bridgeStatus: 'pending',
+          bridgeMetadata: { outputAmount: '99000000000000000', fillDeadline: 0, depositId: 1 }
+        })
+
+        await expect(protocol.waitForCrossChainSwap('dummy-order-id', { timeout: 0 }))
+          .rejects.toThrow(SwapTimeoutError)
+      })
+    })
+
+    test('should throw if the mode is not supported', () => {
+      expect(() => new VeloraProtocolEvm(account, { mode: 'twap' }))
+        .toThrow("Unsupported swap mode 'twap': expected 'market' or 'delta'.")
+    })
+  })
+
+  describe('with WalletAccountEvmErc4337', () => {
+    beforeEach(() => {
+      account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+        chainId: 1,
+        provider: 'https://mock-rpc-url.com'
+      })
+
+      account.getAddress = jest.fn().mockResolvedValue(USER_ADDRESS)
+
+      account.getAllowance = jest.fn().mockResolvedValue(100n)
+
+      account.getBalance = jest.fn().mockResolvedValue(1_000_000n)
+
+      account.getTokenBalance = jest.fn().mockResolvedValue(1_000_000n)
+
+      protocol = new VeloraProtocolEvm(account)
+    })
+
+    describe('swap', () => {
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+      })
+
+      test('should successfully perform a swap operation (buy)', async () => {
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenOutAmount: 100_000
+        })
+
+        expect(getRateMock).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100000',
+          side: SwapSide.BUY,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
+        })
+
+        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(result).toEqual({
+          hash: 'dummy-user-operation-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
+        })
+      })
+
+      test('should successfully perform a swap operation (sell)', async () => {
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(getRateMock).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100',
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
+        })
+
+        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(result).toEqual({
+          hash: 'dummy-user-operation-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
+        })
+      })
+
+      test('should batch the approval and the swap in a single user operation if the allowance is not sufficient', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        const result = await protocol.swap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_APPROVE_TRANSACTION, DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_APPROVE_TRANSACTION, DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(result).toEqual({
+          hash: 'dummy-user-operation-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
+        })
+      })
+
+      test('should throw if the paymaster token balance does not cover both the swap amount and the fee', async () => {
+        account.getTokenBalance = jest.fn().mockResolvedValue(12_444n)
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }, { paymasterToken: { address: TOKEN_IN } }))
+          .rejects.toThrow(new InsufficientBalanceError(TOKEN_IN, 12_444n, 12_445n))
+
+        expect(account.getTokenBalance).toHaveBeenCalledWith(TOKEN_IN)
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the swap fee exceeds the swap max fee configuration', async () => {
+        const OPTIONS = {
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenOutAmount: 100_000
+        }
+
+        const protocol = new VeloraProtocolEvm(account, {
+          swapMaxFee: 0
+        })
+
+        const promise = protocol.swap(OPTIONS)
+
+        await expect(promise).rejects.toThrow(MaxFeeExceededError)
+
+        await expect(promise).rejects.toThrow('Exceeded maximum fee cost for swap operation.')
+      })
+
+      test('should compare a swap max fee denominated in the input token to the fee in paymaster tokens', async () => {
+        const protocol = new VeloraProtocolEvm(account, { swapMaxFeeUnit: 'tokenIn' })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }, { paymasterToken: { address: TOKEN_IN }, swapMaxFee: 12_000n }))
+          .rejects.toMatchObject({ name: 'MaxFeeExceededError', fee: 12_345n, maxFee: 12_000n })
+
+        await expect(protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }, { paymasterToken: { address: USDT }, swapMaxFee: 12_000n }))
+          .rejects.toThrow("The 'swapMaxFee' option can only be denominated in the input token if it is also the paymaster token.")
+      })
+
+      test('should throw if the account is read-only', async () => {
+        const account = new WalletAccountReadOnlyEvmErc4337(USER_ADDRESS, {
+          chainId: 1,
+          provider: 'https://mock-rpc-url.com'
+        })
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await expect(protocol.swap({ }))
+          .rejects.toThrow(ReadOnlyAccountError)
+
+        await expect(protocol.swap({ }))
+          .rejects.toThrow("The 'swap(options)' method requires the protocol to be initialized with a non read-only account.")
+      })
+
+      test('should throw if the account is not connected to a provider', async () => {
+        const account = new WalletAccountEvmErc4337(SEED, "0'/0/0", {
+          chainId: 1
+        })
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        await expect(protocol.swap({ }))
+          .rejects.toThrow('The wallet must be connected to a provider in order to perform swap operations.')
+      })
+    })
+
+    describe('swapBatch', () => {
+      const SECOND_SWAP_TRANSACTION = { to: VELORA, value: 0, data: getSwapMethodData(TOKEN_IN, TOKEN_OUT, 100n, 100_001n) }
+
+      const REVERT_DATA = '0x08c379a0' + ethers.AbiCoder.defaultAbiCoder().encode(['string'], ['Received amount of tokens are less then expected']).slice(2)
+
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock
+          .mockResolvedValueOnce(DUMMY_SWAP_TRANSACTION)
+          .mockResolvedValueOnce(SECOND_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 20_000n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 20_000n })
+      })
+
+      test('should send all the swaps and a single approval covering their combined amounts in one user operation', async () => {
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        const result = await protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ], { paymasterToken: { address: USDT } })
+
+        const APPROVE_TRANSACTION = {
+          to: TOKEN_IN,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [VELORA, 200n])
+        }
+
+        const TRANSACTIONS = [APPROVE_TRANSACTION, DUMMY_SWAP_TRANSACTION, SECOND_SWAP_TRANSACTION]
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith(TRANSACTIONS, { paymasterToken: { address: USDT } })
+
+        expect(account.sendTransaction).toHaveBeenCalledWith(TRANSACTIONS, { paymasterToken: { address: USDT } })
+
+        expect(result).toEqual({
+          hash: 'dummy-user-operation-hash',
+          fee: 20_000n,
+          legs: [
+            expect.objectContaining({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100n, tokenOutAmount: 100_000n }),
+            expect.objectContaining({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100n, tokenOutAmount: 100_000n })
+          ]
+        })
+      })
+
+      test('should throw if the fee of the whole user operation exceeds the swap max fee', async () => {
+        const protocol = new VeloraProtocolEvm(account, { swapMaxFee: 15_000n })
+
+        await expect(protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ])).rejects.toThrow(new MaxFeeExceededError(20_000n, 15_000n))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should emit the lifecycle events of the batch as a single operation', async () => {
+        const events = []
+
+        const protocol = new VeloraProtocolEvm(account)
+
+        for (const event of ['quote', 'built', 'feeChecked', 'sent', 'failed']) {
+          protocol.on(event, (payload) => events.push({ event, ...payload }))
+        }
+
+        await protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ])
+
+        expect(events.map(({ event }) => event)).toEqual(['quote', 'built', 'quote', 'built', 'feeChecked', 'sent'])
+
+        expect(new Set(events.map(({ operation, id }) => `${operation}:${id}`))).toEqual(new Set(['swapBatch:1']))
+
+        expect(events[5]).toEqual(expect.objectContaining({ hash: 'dummy-user-operation-hash', fee: 20_000n }))
+      })
+
+      test('should throw if the swap max fee is denominated in the input token, but the swaps do not all sell the same token', async () => {
+        getRateMock
+          .mockResolvedValueOnce(DUMMY_PRICE_ROUTE)
+          .mockResolvedValueOnce({ ...DUMMY_PRICE_ROUTE, srcToken: USDT })
+
+        buildTxMock.mockReset()
+          .mockResolvedValueOnce(DUMMY_SWAP_TRANSACTION)
+          .mockResolvedValueOnce({ to: VELORA, value: 0, data: getSwapMethodData(USDT, TOKEN_OUT, 100n, 100_000n) })
+
+        const protocol = new VeloraProtocolEvm(account, { swapMaxFeeUnit: 'tokenIn' })
+
+        await expect(protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: USDT, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ], { paymasterToken: { address: TOKEN_IN }, swapMaxFee: 15_000n })).rejects.toThrow("The 'swapMaxFee' option can only be denominated in the input token if all the swaps of the batch sell the same token.")
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should simulate the whole user operation if a swap enables the simulation', async () => {
+        await protocol.getRoute({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        protocol._provider.send = jest.fn().mockResolvedValueOnce([{
+          calls: [
+            { status: '0x1', returnData: '0x' },
+            { status: '0x0', returnData: REVERT_DATA }
+          ]
+        }])
+
+        await expect(protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, simulate: true }
+        ])).rejects.toThrow(new SimulationFailedError('Received amount of tokens are less then expected'))
+
+        expect(protocol._provider.send).toHaveBeenCalledWith('eth_simulateV1', expect.anything())
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if a swap sets the wait option', async () => {
+        buildTxMock.mockReset()
+
+        await expect(protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, wait: true }
+        ])).rejects.toThrow("The swaps of a batch sent as a single user operation do not support the 'wait' option: wait for the batch with 'waitForSwap'.")
+
+        expect(buildTxMock).not.toHaveBeenCalled()
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+
+      test('should throw if the combined amounts exceed the balance of the input token', async () => {
+        account.getTokenBalance = jest.fn().mockResolvedValue(150n)
+
+        await expect(protocol.swapBatch([
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 },
+          { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }
+        ])).rejects.toThrow(new InsufficientBalanceError(TOKEN_IN, 150n, 200n))
+
+        expect(account.sendTransaction).not.toHaveBeenCalled()
+      })
+    })
+
+    describe('waitForSwap', () => {
+      const USER_OPERATION_HASH = '0x' + 'ab'.repeat(32)
+
+      function getUserOperationReceipt (success) {
+        return {
+          hash: 'dummy-bundle-hash',
+          blockNumber: 100,
+          status: 1,
+          fee: 50_000n,
+          logs: [
+            getTransferLog(TOKEN_IN, USER_ADDRESS, VELORA, 100n),
+            getTransferLog(TOKEN_OUT, VELORA, USER_ADDRESS, 100_000n),
+            {
+              address: '0x0000000071727De22E5E9d8BAf0edAc6f37da032',
+              ...ENTRY_POINT_INTERFACE.encodeEventLog('UserOperationEvent', [USER_OPERATION_HASH, USER_ADDRESS, ethers.ZeroAddress, 0n, success, 30_000n, 25_000n])
+            }
+          ]
+        }
+      }
+
+      beforeEach(() => {
+        protocol._provider.getBlockNumber = jest.fn().mockResolvedValue(100)
+      })
+
+      test('should report the gas actually paid by the user operation', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(getUserOperationReceipt(true))
+
+        const receipt = await protocol.waitForSwap(USER_OPERATION_HASH, { tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT })
+
+        expect(receipt).toEqual(expect.objectContaining({
+          hash: USER_OPERATION_HASH,
+          transactionHash: 'dummy-bundle-hash',
+          fee: 30_000n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n
+        }))
+      })
+
+      test('should throw a swap reverted error if the user operation has failed', async () => {
+        account.getTransactionReceipt = jest.fn().mockResolvedValueOnce(getUserOperationReceipt(false))
+
+        await expect(protocol.waitForSwap(USER_OPERATION_HASH))
+          .rejects.toThrow(new SwapRevertedError(USER_OPERATION_HASH, 'dummy-bundle-hash'))
+      })
+    })
+
+    describe('quoteSwap', () => {
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        buildTxMock.mockResolvedValue(DUMMY_SWAP_TRANSACTION)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+      })
+
+      test('should successfully quote a swap operation (buy)', async () => {
+        const result = await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenOutAmount: 100_000
+        })
+
+        expect(getRateMock).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100000',
+          side: SwapSide.BUY,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
         })
 
         expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
@@ -433,7 +3454,67 @@ describe('VeloraSwapProtocolEvm', () => {
         expect(result).toEqual({
           fee: 12_345n,
           tokenInAmount: 100n,
-          tokenOutAmount: 100_000n
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          priceRoute: DUMMY_PRICE_ROUTE,
+          tx: DUMMY_SWAP_TRANSACTION,
+          spender: VELORA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          expiresAt: expect.any(Number)
+        })
+      })
+
+      test('should successfully quote a swap operation (sell)', async () => {
+        const result = await protocol.quoteSwap({
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          tokenInAmount: 100
+        })
+
+        expect(getRateMock).toHaveBeenCalledWith({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          amount: '100',
+          side: SwapSide.SELL,
+          srcDecimals: 6,
+          destDecimals: 6,
+          options: { partner: 'wdk' }
+        })
+
+        expect(buildTxMock).toHaveBeenCalledWith(DUMMY_BUILD_TX_INPUT, { ignoreChecks: true })
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(result).toEqual({
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          priceRoute: DUMMY_PRICE_ROUTE,
+          tx: DUMMY_SWAP_TRANSACTION,
+          spender: VELORA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          expiresAt: expect.any(Number)
         })
       })
 
@@ -448,5 +3529,185 @@ describe('VeloraSwapProtocolEvm', () => {
           .rejects.toThrow('The wallet must be connected to a provider in order to quote swap operations.')
       })
     })
+
+    describe('executeQuote', () => {
+      beforeEach(() => {
+        getRateMock.mockResolvedValue(DUMMY_PRICE_ROUTE)
+
+        account.quoteSendTransaction = jest.fn()
+          .mockResolvedValueOnce({ fee: 12_345n })
+
+        account.sendTransaction = jest.fn()
+          .mockResolvedValueOnce({ hash: 'dummy-user-operation-hash', fee: 12_345n })
+      })
+
+      test('should successfully execute a quote without building it again', async () => {
+        const result = await protocol.executeQuote({
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          },
+          tokenIn: TOKEN_IN,
+          tokenOut: TOKEN_OUT,
+          priceRoute: DUMMY_PRICE_ROUTE,
+          tx: DUMMY_SWAP_TRANSACTION,
+          spender: VELORA,
+          chainId: 1,
+          address: USER_ADDRESS,
+          expiresAt: Date.now() + 30_000
+        })
+
+        expect(account.sendTransaction).toHaveBeenCalledWith([DUMMY_SWAP_TRANSACTION], undefined)
+
+        expect(result).toEqual({
+          hash: 'dummy-user-operation-hash',
+          fee: 12_345n,
+          tokenInAmount: 100n,
+          tokenOutAmount: 100_000n,
+          tokenInAmountMax: 100n,
+          tokenOutAmountMin: 100_000n,
+          formatted: {
+            tokenInAmount: '0.0001',
+            tokenOutAmount: '0.1',
+            tokenInAmountMax: '0.0001',
+            tokenOutAmountMin: '0.1'
+          }
+        })
+      })
+    })
+
+    describe('delta mode', () => {
+      const ORDER = {
+        domain: { name: 'Portikus', version: '2.0.0', chainId: 1, verifyingContract: DELTA },
+        types: { Order: [{ name: 'owner', type: 'address' }] },
+        data: { owner: USER_ADDRESS }
+      }
+
+      beforeEach(() => {
+        account.sign = jest.fn().mockResolvedValue(DUMMY_SIGNATURE)
+
+        protocol = new VeloraProtocolEvm(account, { mode: 'delta' })
+      })
+
+      test('should sign the delta orders as safe messages', async () => {
+        deltaMock.getDeltaPrice.mockResolvedValueOnce({ srcToken: TOKEN_IN, destToken: TOKEN_OUT, srcAmount: '100', destAmount: '100000', partner: 'wdk', partnerFee: 0 })
+
+        deltaMock.buildDeltaOrder.mockResolvedValueOnce(ORDER)
+
+        deltaMock.postDeltaOrder.mockResolvedValueOnce({ id: 'dummy-order-id' })
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 })
+
+        expect(deltaMock.postDeltaOrder).toHaveBeenLastCalledWith({
+          partner: 'wdk',
+          order: ORDER.data,
+          signature: '0x' + '11'.repeat(32) + '22'.repeat(32) + '1f'
+        })
+
+        expect(result).toEqual(expect.objectContaining({ orderId: 'dummy-order-id' }))
+      })
+
+      test('should quote the approvals of the delta orders with the paymaster token of the given config', async () => {
+        deltaMock.getDeltaPrice.mockResolvedValueOnce({ srcToken: TOKEN_IN, destToken: TOKEN_OUT, srcAmount: '100', destAmount: '100000', partner: 'wdk', partnerFee: 0 })
+
+        account.getAllowance = jest.fn().mockResolvedValue(0n)
+
+        account.getTokenBalance = jest.fn().mockResolvedValue(1_050n)
+
+        account.quoteSendTransaction = jest.fn().mockResolvedValue({ fee: 1_000n })
+
+        const config = { paymasterToken: { address: TOKEN_IN } }
+
+        await expect(protocol.quoteSwap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100 }, config))
+          .rejects.toThrow(expect.objectContaining({ token: TOKEN_IN, balance: 1_050n, amount: 1_100n }))
+
+        expect(account.quoteSendTransaction).toHaveBeenCalledWith({
+          to: TOKEN_IN,
+          value: 0,
+          data: ERC_20_INTERFACE.encodeFunctionData('approve', [DELTA, 100n])
+        }, config)
+      })
+
+      test('should sign the cancellations of the delta orders as safe messages', async () => {
+        const fetchMock = jest.spyOn(globalThis, 'fetch')
+          .mockResolvedValueOnce(new Response(JSON.stringify({ success: true })))
+
+        await protocol.cancelOrder('dummy-order-id')
+
+        const domain = { name: 'Portikus', version: '2.0.0', chainId: 1, verifyingContract: DELTA }
+
+        const safeMessageHash = ethers.TypedDataEncoder.hash(
+          { chainId: 1, verifyingContract: USER_ADDRESS },
+          { SafeMessage: [{ name: 'message', type: 'bytes' }] },
+          { message: ethers.TypedDataEncoder.hash(domain, { OrderCancellations: [{ name: 'orderIds', type: 'string[]' }] }, { orderIds: ['dummy-order-id'] }) }
+        )
+
+        expect(account.sign).toHaveBeenCalledWith(ethers.getBytes(safeMessageHash))
+
+        expect(fetchMock).toHaveBeenCalledWith('https://api.velora.xyz/delta/orders/cancel', expect.objectContaining({
+          body: JSON.stringify({ orderIds: ['dummy-order-id'], signature: '0x' + '11'.repeat(32) + '22'.repeat(32) + '1f' })
+        }))
+
+        fetchMock.mockRestore()
+      })
+    })
+
+    describe('cross-chain swaps', () => {
+      test('should sign the delta order as a safe message, to be validated through erc-1271', async () => {
+        const bridge = { protocolSelector: '0x00000000', destinationChainId: 42161, outputToken: TOKEN_OUT, scalingFactor: 0, protocolData: '0x' }
+
+        const order = {
+          domain: { name: 'Portikus', version: '2.0.0', chainId: 1, verifyingContract: DELTA },
+          types: { Order: [{ name: 'owner', type: 'address' }] },
+          data: { owner: USER_ADDRESS, bridge }
+        }
+
+        getTokensMock.mockResolvedValue([{ address: TOKEN_OUT, symbol: 'USDT0', decimals: 6 }])
+
+        deltaMock.getDeltaPrice.mockResolvedValueOnce({
+          srcToken: TOKEN_IN,
+          destToken: TOKEN_OUT,
+          srcAmount: '100',
+          destAmount: '100000',
+          partner: 'wdk',
+          partnerFee: 0,
+          bridge,
+          bridgeInfo: { protocolName: 'Across', destAmountAfterBridge: '99000', destUSDAfterBridge: '0.099', fees: [], estimatedTimeMs: 60_000 }
+        })
+
+        deltaMock.buildDeltaOrder.mockResolvedValueOnce(order)
+
+        deltaMock.postDeltaOrder.mockResolvedValueOnce({ id: 'dummy-order-id' })
+
+        account.sign = jest.fn().mockResolvedValue(DUMMY_SIGNATURE)
+
+        const result = await protocol.swap({ tokenIn: TOKEN_IN, tokenOut: TOKEN_OUT, tokenInAmount: 100, destChainId: 42161 })
+
+        const safeMessageHash = ethers.TypedDataEncoder.hash(
+          { chainId: 1, verifyingContract: USER_ADDRESS },
+          { SafeMessage: [{ name: 'message', type: 'bytes' }] },
+          { message: ethers.TypedDataEncoder.hash(order.domain, order.types, order.data) }
+        )
+
+        expect(account.sign).toHaveBeenCalledWith(ethers.getBytes(safeMessageHash))
+
+        expect(deltaMock.buildDeltaOrder).toHaveBeenLastCalledWith(expect.objectContaining({ destChainId: 42161, beneficiaryType: 'SmartContract' }))
+
+        expect(deltaMock.postDeltaOrder).toHaveBeenLastCalledWith({
+          partner: 'wdk',
+          order: order.data,
+          signature: '0x' + '11'.repeat(32) + '22'.repeat(32) + '1f'
+        })
+
+        expect(result).toEqual(expect.objectContaining({ orderId: 'dummy-order-id', destChainId: 42161 }))
+      })
+    })
   })
 })
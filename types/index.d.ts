@@ -1,4 +1,36 @@
 export { default } from "./src/velora-protocol-evm.js";
+export { default as SwapScheduler } from "./src/swap-scheduler.js";
 export type SwapProtocolConfig = import("@tetherto/wdk-wallet/protocols").SwapProtocolConfig;
 export type SwapOptions = import("@tetherto/wdk-wallet/protocols").SwapOptions;
 export type SwapResult = import("@tetherto/wdk-wallet/protocols").SwapResult;
+export type VeloraSwapProtocolConfig = import("./src/velora-protocol-evm.js").VeloraSwapProtocolConfig;
+export type VeloraSwapOptions = import("./src/velora-protocol-evm.js").VeloraSwapOptions;
+export type VeloraSwapResult = import("./src/velora-protocol-evm.js").VeloraSwapResult;
+export type VeloraSwapQuote = import("./src/velora-protocol-evm.js").VeloraSwapQuote;
+export type VeloraSwapBatchResult = import("./src/velora-protocol-evm.js").VeloraSwapBatchResult;
+export type VeloraRoute = import("./src/velora-protocol-evm.js").VeloraRoute;
+export type VeloraGasOptions = import("./src/velora-protocol-evm.js").VeloraGasOptions;
+export type VeloraSwapEventName = import("./src/velora-protocol-evm.js").VeloraSwapEventName;
+export type VeloraSwapEvent = import("./src/velora-protocol-evm.js").VeloraSwapEvent;
+export type VeloraPriceOptions = import("./src/velora-protocol-evm.js").VeloraPriceOptions;
+export type VeloraPrice = import("./src/velora-protocol-evm.js").VeloraPrice;
+export type VeloraTokenMetadata = import("./src/velora-protocol-evm.js").VeloraTokenMetadata;
+export type VeloraSwapSimulation = import("./src/velora-protocol-evm.js").VeloraSwapSimulation;
+export type VeloraWaitForSwapOptions = import("./src/velora-protocol-evm.js").VeloraWaitForSwapOptions;
+export type VeloraSwapReceipt = import("./src/velora-protocol-evm.js").VeloraSwapReceipt;
+export type VeloraDeltaSwapResult = import("./src/velora-protocol-evm.js").VeloraDeltaSwapResult;
+export type VeloraDeltaOrderStatus = import("./src/velora-protocol-evm.js").VeloraDeltaOrderStatus;
+export type VeloraQuoteComparison = import("./src/velora-protocol-evm.js").VeloraQuoteComparison;
+export type VeloraBridgeDetails = import("./src/velora-protocol-evm.js").VeloraBridgeDetails;
+export type VeloraBridgeStatus = import("./src/velora-protocol-evm.js").VeloraBridgeStatus;
+export type VeloraWaitForCrossChainSwapOptions = import("./src/velora-protocol-evm.js").VeloraWaitForCrossChainSwapOptions;
+export type VeloraLimitOrderOptions = import("./src/velora-protocol-evm.js").VeloraLimitOrderOptions;
+export type VeloraCreateLimitOrderResult = import("./src/velora-protocol-evm.js").VeloraCreateLimitOrderResult;
+export type VeloraSwapPlan = import("./src/swap-scheduler.js").VeloraSwapPlan;
+export type VeloraSwapRun = import("./src/swap-scheduler.js").VeloraSwapRun;
+export type VeloraSwapPendingRun = import("./src/swap-scheduler.js").VeloraSwapPendingRun;
+export type VeloraSwapSchedulerState = import("./src/swap-scheduler.js").VeloraSwapSchedulerState;
+export type VeloraSwapSchedulerStorage = import("./src/swap-scheduler.js").VeloraSwapSchedulerStorage;
+export type VeloraSwapSchedulerClock = import("./src/swap-scheduler.js").VeloraSwapSchedulerClock;
+export type VeloraSwapSchedulerOptions = import("./src/swap-scheduler.js").VeloraSwapSchedulerOptions;
+export { CrossChainSwapFailedError, InsufficientAllowanceError, InsufficientBalanceError, InvalidRecipientError, MaxFeeExceededError, NoProviderError, NoRouteError, QuoteExpiredError, QuoteMismatchError, QuoteShortfallError, ReadOnlyAccountError, RecipientMismatchError, RouteNotAllowedError, SimulationFailedError, SlippageExceededError, SwapBatchError, SwapDroppedError, SwapRevertedError, SwapTimeoutError, SwapTransactionMismatchError, UnsupportedChainError } from "./src/errors.js";
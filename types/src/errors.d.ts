@@ -0,0 +1,405 @@
+export class ReadOnlyAccountError extends Error {
+    /**
+     * Creates a new read-only account error.
+     *
+     * @param {string} methodName - The name of the method that requires a non read-only account.
+     */
+    constructor(methodName: string);
+}
+export class NoProviderError extends Error {
+    /**
+     * Creates a new no provider error.
+     *
+     * @param {string} action - The action that requires a provider (e.g., 'perform swap operations').
+     */
+    constructor(action: string);
+}
+export class UnsupportedChainError extends Error {
+    /**
+     * Creates a new unsupported chain error.
+     *
+     * @param {number} chainId - The id of the chain the provider is connected to.
+     * @param {number[]} supportedChainIds - The ids of the chains supported by the Velora protocol.
+     */
+    constructor(chainId: number, supportedChainIds: number[]);
+    /**
+     * The id of the chain the provider is connected to.
+     *
+     * @type {number}
+     */
+    chainId: number;
+    /**
+     * The ids of the chains supported by the Velora protocol.
+     *
+     * @type {number[]}
+     */
+    supportedChainIds: number[];
+}
+export class NoRouteError extends Error {
+    /**
+     * Creates a new no route error.
+     *
+     * @param {string} tokenIn - The address of the token to sell.
+     * @param {string} tokenOut - The address of the token to buy.
+     * @param {string} reason - The reason given by the Velora api.
+     */
+    constructor(tokenIn: string, tokenOut: string, reason: string);
+    /**
+     * The address of the token to sell.
+     *
+     * @type {string}
+     */
+    tokenIn: string;
+    /**
+     * The address of the token to buy.
+     *
+     * @type {string}
+     */
+    tokenOut: string;
+}
+export class RouteNotAllowedError extends Error {
+    /**
+     * Creates a new route not allowed error.
+     *
+     * @param {string} reason - The reason why the route is not allowed.
+     */
+    constructor(reason: string);
+    /**
+     * The reason why the route is not allowed.
+     *
+     * @type {string}
+     */
+    reason: string;
+}
+export class InvalidRecipientError extends Error {
+    /**
+     * Creates a new invalid recipient error.
+     *
+     * @param {string} recipient - The recipient of the swap, as passed in the 'to' option.
+     * @param {string} reason - The reason why the recipient is not valid.
+     */
+    constructor(recipient: string, reason: string);
+    /**
+     * The recipient of the swap, as passed in the 'to' option.
+     *
+     * @type {string}
+     */
+    recipient: string;
+    /**
+     * The reason why the recipient is not valid.
+     *
+     * @type {string}
+     */
+    reason: string;
+}
+export class RecipientMismatchError extends Error {
+    /**
+     * Creates a new recipient mismatch error.
+     *
+     * @param {string} recipient - The address of the requested recipient.
+     */
+    constructor(recipient: string);
+    /**
+     * The address of the requested recipient.
+     *
+     * @type {string}
+     */
+    recipient: string;
+}
+export class SwapTransactionMismatchError extends Error {
+    /**
+     * Creates a new swap transaction mismatch error.
+     *
+     * @param {string} reason - The reason why the swap transaction does not match the requested swap.
+     */
+    constructor(reason: string);
+    /**
+     * The reason why the swap transaction does not match the requested swap.
+     *
+     * @type {string}
+     */
+    reason: string;
+}
+export class QuoteShortfallError extends Error {
+    /**
+     * Creates a new quote shortfall error.
+     *
+     * @param {number} shortfall - How much worse the Velora route is than the best reference quote (in basis points).
+     * @param {number} maxShortfall - The maximum shortfall tolerated (in basis points).
+     * @param {string} source - The name of the dex of the best reference quote (e.g., 'UniswapV3').
+     */
+    constructor(shortfall: number, maxShortfall: number, source: string);
+    /**
+     * How much worse the Velora route is than the best reference quote (in basis points).
+     *
+     * @type {number}
+     */
+    shortfall: number;
+    /**
+     * The maximum shortfall tolerated (in basis points).
+     *
+     * @type {number}
+     */
+    maxShortfall: number;
+    /**
+     * The name of the dex of the best reference quote (e.g., 'UniswapV3').
+     *
+     * @type {string}
+     */
+    source: string;
+}
+export class SlippageExceededError extends Error {
+    /**
+     * Creates a new slippage exceeded error.
+     *
+     * @param {bigint} amount - The amount of the current quote (the output tokens bought by a sell swap, or the input tokens sold by a
+     *   buy swap).
+     * @param {bigint} limit - The worst-case amount allowed by the slippage tolerance.
+     */
+    constructor(amount: bigint, limit: bigint);
+    /**
+     * The amount of the current quote (the output tokens bought by a sell swap, or the input tokens sold by a buy swap).
+     *
+     * @type {bigint}
+     */
+    amount: bigint;
+    /**
+     * The worst-case amount allowed by the slippage tolerance.
+     *
+     * @type {bigint}
+     */
+    limit: bigint;
+}
+export class MaxFeeExceededError extends Error {
+    /**
+     * Creates a new max fee exceeded error.
+     *
+     * @param {bigint} fee - The fee of the operation.
+     * @param {number | bigint} maxFee - The maximum fee allowed.
+     */
+    constructor(fee: bigint, maxFee: number | bigint);
+    /**
+     * The fee of the operation.
+     *
+     * @type {bigint}
+     */
+    fee: bigint;
+    /**
+     * The maximum fee allowed.
+     *
+     * @type {number | bigint}
+     */
+    maxFee: number | bigint;
+}
+export class SimulationFailedError extends Error {
+    /**
+     * Creates a new simulation failed error.
+     *
+     * @param {string} reason - The revert reason of the simulated transaction.
+     * @param {string} [data] - The raw revert data of the simulated transaction.
+     */
+    constructor(reason: string, data?: string);
+    /**
+     * The revert reason of the simulated transaction.
+     *
+     * @type {string}
+     */
+    reason: string;
+    /**
+     * The raw revert data of the simulated transaction.
+     *
+     * @type {string | undefined}
+     */
+    data: string | undefined;
+}
+export class SwapBatchError extends Error {
+    /**
+     * Creates a new swap batch error.
+     *
+     * @param {number} index - The index of the swap that failed.
+     * @param {Object[]} results - The results of the swaps performed before the failure.
+     * @param {Error} cause - The error thrown by the swap that failed.
+     */
+    constructor(index: number, results: any[], cause: Error);
+    /**
+     * The index of the swap that failed.
+     *
+     * @type {number}
+     */
+    index: number;
+    /**
+     * The results of the swaps performed before the failure.
+     *
+     * @type {Object[]}
+     */
+    results: any[];
+}
+export class SwapRevertedError extends Error {
+    /**
+     * Creates a new swap reverted error.
+     *
+     * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     * @param {string} transactionHash - The hash of the transaction that included the swap.
+     */
+    constructor(hash: string, transactionHash: string);
+    /**
+     * The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     *
+     * @type {string}
+     */
+    hash: string;
+    /**
+     * The hash of the transaction that included the swap.
+     *
+     * @type {string}
+     */
+    transactionHash: string;
+}
+export class SwapDroppedError extends Error {
+    /**
+     * Creates a new swap dropped error.
+     *
+     * @param {string} hash - The hash of the swap transaction.
+     */
+    constructor(hash: string);
+    /**
+     * The hash of the swap transaction.
+     *
+     * @type {string}
+     */
+    hash: string;
+}
+export class SwapTimeoutError extends Error {
+    /**
+     * Creates a new swap timeout error.
+     *
+     * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     * @param {number} timeout - The time waited for the swap to be confirmed (in milliseconds).
+     */
+    constructor(hash: string, timeout: number);
+    /**
+     * The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     *
+     * @type {string}
+     */
+    hash: string;
+    /**
+     * The time waited for the swap to be confirmed (in milliseconds).
+     *
+     * @type {number}
+     */
+    timeout: number;
+}
+export class CrossChainSwapFailedError extends Error {
+    /**
+     * Creates a new cross-chain swap failed error.
+     *
+     * @param {string} orderId - The id of the delta order of the cross-chain swap.
+     * @param {string} status - The status of the order's auction (e.g., 'FAILED'), or of its bridge transfer (e.g., 'refunded').
+     * @param {string} [refundHash] - The hash of the transaction that refunded the bridge deposit on the source chain.
+     */
+    constructor(orderId: string, status: string, refundHash?: string);
+    /**
+     * The id of the delta order of the cross-chain swap.
+     *
+     * @type {string}
+     */
+    orderId: string;
+    /**
+     * The status of the order's auction (e.g., 'FAILED'), or of its bridge transfer (e.g., 'refunded').
+     *
+     * @type {string}
+     */
+    status: string;
+    /**
+     * The hash of the transaction that refunded the bridge deposit on the source chain.
+     *
+     * @type {string | undefined}
+     */
+    refundHash: string | undefined;
+}
+export class InsufficientBalanceError extends Error {
+    /**
+     * Creates a new insufficient balance error.
+     *
+     * @param {string} token - The address of the token (0xEeee…EEeE for the native coin).
+     * @param {bigint} balance - The balance of the account.
+     * @param {bigint} amount - The amount required by the operation.
+     */
+    constructor(token: string, balance: bigint, amount: bigint);
+    /**
+     * The address of the token (0xEeee…EEeE for the native coin).
+     *
+     * @type {string}
+     */
+    token: string;
+    /**
+     * The balance of the account.
+     *
+     * @type {bigint}
+     */
+    balance: bigint;
+    /**
+     * The amount required by the operation.
+     *
+     * @type {bigint}
+     */
+    amount: bigint;
+}
+export class InsufficientAllowanceError extends Error {
+    /**
+     * Creates a new insufficient allowance error.
+     *
+     * @param {string} token - The address of the token.
+     * @param {string} spender - The address of the spender.
+     * @param {bigint} allowance - The current allowance.
+     * @param {bigint} amount - The amount required by the operation.
+     */
+    constructor(token: string, spender: string, allowance: bigint, amount: bigint);
+    /**
+     * The address of the token.
+     *
+     * @type {string}
+     */
+    token: string;
+    /**
+     * The address of the spender.
+     *
+     * @type {string}
+     */
+    spender: string;
+    /**
+     * The current allowance.
+     *
+     * @type {bigint}
+     */
+    allowance: bigint;
+    /**
+     * The amount required by the operation.
+     *
+     * @type {bigint}
+     */
+    amount: bigint;
+}
+export class QuoteExpiredError extends Error {
+    /**
+     * Creates a new quote expired error.
+     *
+     * @param {number} expiresAt - The timestamp (in milliseconds) at which the quote expired.
+     */
+    constructor(expiresAt: number);
+    /**
+     * The timestamp (in milliseconds) at which the quote expired.
+     *
+     * @type {number}
+     */
+    expiresAt: number;
+}
+export class QuoteMismatchError extends Error {
+    /**
+     * Creates a new quote mismatch error.
+     *
+     * @param {string} message - The error's message.
+     */
+    constructor(message: string);
+}
@@ -0,0 +1,291 @@
+export default class SwapScheduler {
+    /** @private */
+    private static _getPrice;
+    /** @private */
+    private static _createMemoryStorage;
+    /** @private */
+    private static _validatePlan;
+    /**
+     * Creates a new scheduler of recurring swaps (e.g., for dollar-cost averaging).
+     *
+     * The scheduler sells the same amount of input tokens at each run of the plan, and skips the runs whose quoted price or fee exceeds
+     *   the limits of the plan. Its state is saved after each run, so a scheduler started again with the same plan and storage resumes
+     *   where it stopped.
+     *
+     * @param {VeloraProtocolEvm} protocol - The protocol to perform the swaps with.
+     * @param {VeloraSwapPlan} plan - The plan of the swaps.
+     * @param {VeloraSwapSchedulerOptions} [options] - The scheduler's options.
+     */
+    constructor(protocol: VeloraProtocolEvm, plan: VeloraSwapPlan, { storage, clock, onRun, onError }?: VeloraSwapSchedulerOptions);
+    /** @private */
+    private _protocol;
+    /** @private */
+    private _plan;
+    /** @private */
+    private _storage;
+    /** @private */
+    private _clock;
+    /** @private */
+    private _onRun;
+    /** @private */
+    private _onError;
+    /**
+     * @private
+     * @type {VeloraSwapSchedulerState | undefined}
+     */
+    private _state;
+    /** @private */
+    private _running;
+    /** @private */
+    private _starting;
+    /** @private */
+    private _startPromise;
+    /** @private */
+    private _timer;
+    /** @private */
+    private _wakeUp;
+    /** @private */
+    private _tickPromise;
+    /**
+     * Whether the scheduler is running.
+     *
+     * @type {boolean}
+     */
+    get running(): boolean;
+    /**
+     * Starts the scheduler, resuming from the state saved in the storage (if any).
+     *
+     * The runs whose time has passed while the scheduler was not running are recorded as skipped, except for the last one, which is
+     *   performed right away. A run left pending by a previous scheduler is recorded as interrupted, and is never performed again.
+     *
+     * Concurrent calls share the same start, and a call to {@link SwapScheduler#stop} made while the scheduler is starting cancels it.
+     *
+     * @returns {Promise<void>}
+     */
+    start(): Promise<void>;
+    /**
+     * Stops the scheduler. A run already in progress is still recorded, but no other run is scheduled.
+     */
+    stop(): void;
+    /**
+     * Returns the state of the plan.
+     *
+     * @returns {Promise<VeloraSwapSchedulerState | undefined>} The state, or undefined if the scheduler has never been started.
+     */
+    getState(): Promise<VeloraSwapSchedulerState | undefined>;
+    /** @private */
+    private _start;
+    /** @private */
+    private _schedule;
+    /** @private */
+    private _tick;
+    /** @private */
+    private _run;
+    /** @private */
+    private _fail;
+    /** @private */
+    private _setPending;
+    /** @private */
+    private _record;
+    /** @private */
+    private _sleep;
+}
+export type VeloraProtocolEvm = import("./velora-protocol-evm.js").default;
+export type VeloraSwapOptions = import("./velora-protocol-evm.js").VeloraSwapOptions;
+export type VeloraSwapQuote = import("./velora-protocol-evm.js").VeloraSwapQuote;
+export type VeloraSwapPlan = {
+    /**
+     * - The id of the plan, which identifies its state in the storage.
+     */
+    id: string;
+    /**
+     * - The address of the token to sell at each run, or 'native' for the native coin.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy at each run, or 'native' for the native coin.
+     */
+    tokenOut: string;
+    /**
+     * - The amount of input tokens to sell at each run, in base unit (or in token
+     * units, as a decimal string holding a decimal point, e.g. '100.0').
+     */
+    tokenInAmount: number | bigint | string;
+    /**
+     * - The time between two runs (in milliseconds).
+     */
+    interval: number;
+    /**
+     * - The total number of runs.
+     */
+    runs: number;
+    /**
+     * - The maximum price of the output token, in input tokens per output token (e.g., the usdt paid per
+     * weth). Runs quoted above this price are skipped.
+     */
+    maxPrice?: number;
+    /**
+     * - The maximum fee of a run, in the token the fees are paid in. Runs quoted above this fee are
+     * skipped.
+     */
+    maxFee?: number | bigint;
+    /**
+     * - The timestamp (in milliseconds) of the first run. Default: the first time the scheduler is started.
+     */
+    startAt?: number;
+    /**
+     * - The number of times a failed run is retried before being recorded as failed. Default: 2.
+     */
+    retries?: number;
+    /**
+     * - The time to wait before retrying a failed run (in milliseconds). Default: 1 minute.
+     */
+    retryDelay?: number;
+    /**
+     * - The other options
+     * of the swaps (e.g., 'slippage' or 'to').
+     */
+    swapOptions?: Omit<VeloraSwapOptions, "tokenIn" | "tokenOut" | "tokenInAmount" | "tokenOutAmount">;
+};
+export type VeloraSwapRun = {
+    /**
+     * - The index of the run in the plan.
+     */
+    index: number;
+    /**
+     * - The timestamp (in milliseconds) the run was scheduled at.
+     */
+    scheduledAt: number;
+    /**
+     * - The timestamp (in milliseconds) the run was recorded at.
+     */
+    executedAt: number;
+    /**
+     * - The status of the run. Interrupted runs were being executed
+     * when the scheduler was stopped abruptly (e.g., by a crash), or their execution threw an error that may have been raised after
+     * their swap was sent, so their swap may or may not have been sent.
+     */
+    status: "executed" | "skipped" | "failed" | "interrupted";
+    /**
+     * - Why the run has been skipped: its price or its fee exceeded the limits of the plan,
+     * or its time passed while the scheduler was not running.
+     */
+    reason?: "price" | "fee" | "missed";
+    /**
+     * - The hash of the swap (only for executed runs, and unset for velora delta orders).
+     */
+    hash?: string;
+    /**
+     * - The id of the velora delta order of the swap (only for executed runs in 'delta' mode).
+     */
+    orderId?: string;
+    /**
+     * - The amount of input tokens sold, in base unit, as a decimal string.
+     */
+    tokenInAmount?: string;
+    /**
+     * - The amount of output tokens bought, in base unit, as a decimal string.
+     */
+    tokenOutAmount?: string;
+    /**
+     * - The fee of the swap, as a decimal string.
+     */
+    fee?: string;
+    /**
+     * - The quoted price of the output token, in input tokens per output token.
+     */
+    price?: number;
+    /**
+     * - The number of attempts of the run (only for executed, failed and interrupted runs).
+     */
+    attempts?: number;
+    /**
+     * - The message of the last error (only for failed runs, and for interrupted runs whose execution threw).
+     */
+    error?: string;
+};
+export type VeloraSwapSchedulerState = {
+    /**
+     * - The id of the plan.
+     */
+    planId: string;
+    /**
+     * - The timestamp (in milliseconds) of the first run.
+     */
+    startAt: number;
+    /**
+     * - The index of the next run.
+     */
+    nextRun: number;
+    /**
+     * - True if all the runs of the plan have been recorded.
+     */
+    completed: boolean;
+    /**
+     * - The recorded runs. The state only holds json-serializable values.
+     */
+    runs: VeloraSwapRun[];
+    /**
+     * - The run being executed, if any.
+     */
+    pending?: VeloraSwapPendingRun;
+};
+export type VeloraSwapPendingRun = {
+    /**
+     * - The index of the run in the plan.
+     */
+    index: number;
+    /**
+     * - The timestamp (in milliseconds) the run was scheduled at.
+     */
+    scheduledAt: number;
+    /**
+     * - The number of attempts of the run.
+     */
+    attempts: number;
+};
+export type VeloraSwapSchedulerStorage = {
+    /**
+     * - Loads the state of a plan, or returns undefined
+     * if it has never been saved.
+     */
+    load: (planId: string) => Promise<VeloraSwapSchedulerState | undefined>;
+    /**
+     * - Saves the state of a plan.
+     */
+    save: (planId: string, state: VeloraSwapSchedulerState) => Promise<void>;
+};
+export type VeloraSwapSchedulerClock = {
+    /**
+     * - Returns the current timestamp (in milliseconds).
+     */
+    now: () => number;
+    /**
+     * - Calls the callback after the delay (in milliseconds).
+     */
+    setTimeout: (callback: () => void, delay: number) => any;
+    /**
+     * - Cancels a callback registered with 'setTimeout'.
+     */
+    clearTimeout: (handle: any) => void;
+};
+export type VeloraSwapSchedulerOptions = {
+    /**
+     * - The storage of the scheduler's state. Default: an in-memory storage, which does
+     * not survive restarts.
+     */
+    storage?: VeloraSwapSchedulerStorage;
+    /**
+     * - The clock of the scheduler. Default: the system clock.
+     */
+    clock?: VeloraSwapSchedulerClock;
+    /**
+     * - A callback called each time a run is recorded.
+     */
+    onRun?: (run: VeloraSwapRun) => void;
+    /**
+     * - A callback called if the scheduler stops because of an error (e.g., the storage
+     * failed to save the state).
+     */
+    onError?: (error: Error) => void;
+};
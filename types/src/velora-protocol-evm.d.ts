@@ -1,57 +1,1326 @@
 export default class VeloraProtocolEvm extends SwapProtocol {
+    /** @private */
+    private static _callSafely;
+    /** @private */
+    private static _getBridgeDetails;
+    /** @private */
+    private static _validateMaxQuoteShortfall;
+    /** @private */
+    private static _validateSlippage;
+    /** @private */
+    private static _applyGasLimitMultiplier;
+    /** @private */
+    private static _getWorstCaseAmounts;
+    /** @private */
+    private static _validateApiOptions;
+    /** @private */
+    private static _getGasOptions;
+    /** @private */
+    private static _validateGasOptions;
+    /** @private */
+    private static _getRouteOptions;
+    /** @private */
+    private static _validateRouteOptions;
+    /** @private */
+    private static _checkRoute;
+    /** @private */
+    private static _getBalanceChanges;
+    /** @private */
+    private static _getRouteSummary;
+    /** @private */
+    private static _resolveToken;
+    /** @private */
+    private static _getQuoteEventPayload;
+    /** @private */
+    private static _validateEventListener;
+    /** @private */
+    private static _verifySwapTransaction;
+    /** @private */
+    private static _decodeSwapCalldata;
+    /** @private */
+    private static _decodeBalancerV2Tokens;
+    /** @private */
+    private static _getWrapTransactions;
     /**
      * Creates a new read-only interface to the Velora protocol for evm blockchains.
      *
      * @overload
      * @param {WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337} account - The wallet account to use to interact with the protocol.
-     * @param {SwapProtocolConfig} [config] - The swap protocol configuration.
+     * @param {VeloraSwapProtocolConfig} [config] - The swap protocol configuration.
      */
-    constructor(account: WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337, config?: SwapProtocolConfig);
+    constructor(account: WalletAccountReadOnlyEvm | WalletAccountReadOnlyEvmErc4337, config?: VeloraSwapProtocolConfig);
     /**
      * Creates a new interface to the Velora protocol for evm blockchains.
      *
      * @overload
      * @param {WalletAccountEvm | WalletAccountEvmErc4337} account - The wallet account to use to interact with the protocol.
-     * @param {SwapProtocolConfig} [config] - The swap protocol configuration.
+     * @param {VeloraSwapProtocolConfig} [config] - The swap protocol configuration.
      */
-    constructor(account: WalletAccountEvm | WalletAccountEvmErc4337, config?: SwapProtocolConfig);
+    constructor(account: WalletAccountEvm | WalletAccountEvmErc4337, config?: VeloraSwapProtocolConfig);
     /** @private */
     private _veloraSdk;
+    /**
+     * @private
+     * @type {Map<string, VeloraTokenMetadata>}
+     */
+    private _tokensMetadata;
+    /**
+     * @private
+     * @type {Map<string, VeloraTokenMetadata>}
+     */
+    private _crossChainTokensMetadata;
+    /** @private */
+    private _events;
+    /**
+     * The listeners registered for the lifecycle events, wrapped so that their errors cannot interrupt the swaps.
+     *
+     * @private
+     * @type {WeakMap<Function, Function>}
+     */
+    private _safeListeners;
+    /** @private */
+    private _operationsCount;
+    /**
+     * The pending and cached requests to the Velora api, by request key.
+     *
+     * @private
+     * @type {Map<string, { promise: Promise<any>, expiresAt: number }>}
+     */
+    private _requests;
+    /**
+     * The time each cached response of the Velora api has been requested at.
+     *
+     * @private
+     * @type {WeakMap<object, number>}
+     */
+    private _requestTimes;
     /** @private */
     private _provider;
+    /**
+     * Registers a listener for a lifecycle event of the swaps.
+     *
+     * The 'swap' method emits, in order: 'quote' (the swap has been priced), 'built' (the swap transaction has been built),
+     *   'approvalSent' and 'approvalConfirmed' (for each approve transaction, if any), 'feeChecked' (the fee has been quoted and checked
+     *   against the 'swapMaxFee' option), 'sent' (the swap has been sent) and, if the 'wait' option is set, 'confirmed'. The
+     *   'executeQuote' method emits the same events from 'approvalSent' on, since its swap has already been priced and built by the
+     *   'quoteSwap' method. With erc-4337 accounts, the 'swapBatch' method emits 'quote' and 'built' for each swap, then 'feeChecked'
+     *   and 'sent' for the user operation; with other accounts, each of its swaps is a separate 'swap' operation. If an operation
+     *   throws, a 'failed' event is emitted instead of the remaining ones. All the events of an operation share its 'id'.
+     *
+     * Listeners are called synchronously, and the errors they throw (or the promises they return rejecting) are ignored so that they cannot interrupt the swaps.
+     *
+     * @param {VeloraSwapEventName} event - The name of the event.
+     * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+     * @returns {this} The protocol, for chaining.
+     */
+    on(event: VeloraSwapEventName, listener: (payload: VeloraSwapEvent) => void): this;
+    /**
+     * Registers a listener called only once, the next time a lifecycle event of the swaps is emitted.
+     *
+     * @param {VeloraSwapEventName} event - The name of the event.
+     * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+     * @returns {this} The protocol, for chaining.
+     */
+    once(event: VeloraSwapEventName, listener: (payload: VeloraSwapEvent) => void): this;
+    /**
+     * Removes a listener previously registered with the {@link VeloraProtocolEvm#on} or {@link VeloraProtocolEvm#once} methods.
+     *
+     * @param {VeloraSwapEventName} event - The name of the event.
+     * @param {(payload: VeloraSwapEvent) => void} listener - The listener.
+     * @returns {this} The protocol, for chaining.
+     */
+    off(event: VeloraSwapEventName, listener: (payload: VeloraSwapEvent) => void): this;
     /**
      * Swaps a pair of tokens.
      *
-     * Users must first approve the necessary amount of input tokens to the Velora protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+     * If the allowance of the input token to the Velora protocol is not sufficient, the necessary approval is sent before the swap. If
+     *   the protocol has been initialized with an erc-4337 wallet account, the approval and the swap are sent in a single user operation.
+     *   If the 'permit' option is enabled, a permit is signed in place of the approval whenever the input token supports it.
+     *
+     * Swaps between the native coin and its wrapped token (e.g., eth and weth) are performed directly through the wrapped token's
+     *   contract, without going through the Velora protocol.
      *
-     * @param {SwapOptions} options - The swap's options.
+     * In 'delta' mode, the swap is signed as a gasless velora delta order and submitted to the Velora api, and the id of the order is
+     *   returned in place of a transaction hash. Only the approval (if needed) is sent on-chain.
+     *
+     * If the 'destChainId' option targets another chain, the swap is always executed as a cross-chain velora delta order, whose output
+     *   tokens are bridged to the destination chain (see {@link VeloraProtocolEvm#waitForCrossChainSwap}).
+     *
+     * If approvals have to be sent first, the pair is quoted again once they have been mined, and the swap is rejected if the price has
+     *   moved beyond its worst-case amounts (i.e., outside of the slippage tolerance) in the meantime.
+     *
+     * By default, the method returns as soon as the swap has been sent, with the quoted amounts. If the 'wait' option is set, it also
+     *   waits for the swap to be confirmed (see {@link VeloraProtocolEvm#waitForSwap}) and returns its receipt.
+     *
+     * @param {VeloraSwapOptions} options - The swap's options.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+     *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+     *   'swapMaxFee' option defined in the protocol configuration.
+     * @returns {Promise<(VeloraSwapResult & VeloraSwapWaitResult) | VeloraDeltaSwapResult>} The swap's result.
+     * @throws {SlippageExceededError} If the price has moved beyond the worst-case amounts of the swap while its approvals were mined.
+     */
+    swap(options: VeloraSwapOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken"> & Pick<SwapProtocolConfig, "swapMaxFee">): Promise<(VeloraSwapResult & VeloraSwapWaitResult) | VeloraDeltaSwapResult>;
+    /** @private */
+    private _swap;
+    /**
+     * Swaps several pairs of tokens in a single operation.
+     *
+     * If the protocol has been initialized with an erc-4337 wallet account, all the swaps are priced first, then sent along with the
+     *   approvals they need in a single user operation, so the gas is only paid once and the swaps either all succeed or all fail. The
+     *   'swapMaxFee' option applies to the fee of the whole user operation. The user operation is simulated as a whole if the 'simulate'
+     *   option is enabled for any of the swaps, and the swaps cannot set the 'wait' option (the batch's hash can be passed to
+     *   {@link VeloraProtocolEvm#waitForSwap} instead).
+     *
+     * With other wallet accounts, the swaps are performed one after another, exactly as with the {@link VeloraProtocolEvm#swap} method.
+     *   If a swap fails, a {@link SwapBatchError} holding the results of the previous swaps is thrown.
+     *
+     * @param {VeloraSwapOptions[]} legs - The options of each swap.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
      *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
      *   'swapMaxFee' option defined in the protocol configuration.
-     * @returns {Promise<SwapResult>} The swap's result.
+     * @returns {Promise<VeloraSwapBatchResult>} The batch's result.
+     */
+    swapBatch(legs: VeloraSwapOptions[], config?: Pick<EvmErc4337WalletConfig, "paymasterToken"> & Pick<SwapProtocolConfig, "swapMaxFee">): Promise<VeloraSwapBatchResult>;
+    /** @private */
+    private _swapBatch;
+    /**
+     * Waits for a swap to be confirmed and returns its receipt.
+     *
+     * The amounts actually spent and received are computed from the erc-20 transfer events of the transaction, so they are not reported
+     *   for the native coin.
+     *
+     * @param {string} hash - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     * @param {VeloraWaitForSwapOptions} [options] - The wait's options.
+     * @returns {Promise<VeloraSwapReceipt>} The swap's receipt.
+     * @throws {SwapRevertedError} If the swap has been reverted.
+     * @throws {SwapDroppedError} If the swap transaction has been dropped from the mempool.
+     * @throws {SwapTimeoutError} If the swap has not been confirmed before the timeout.
+     */
+    waitForSwap(hash: string, options?: VeloraWaitForSwapOptions): Promise<VeloraSwapReceipt>;
+    /**
+     * Simulates a swap operation against the provider, without signing or sending anything.
+     *
+     * If the allowance of the input token to the Velora protocol is not sufficient, the approval is simulated before the swap.
+     *
+     * The simulation runs through the 'eth_simulateV1' rpc method, whose transfer traces give the balance changes of the account.
+     *
+     * @param {VeloraSwapOptions} options - The swap's options.
+     * @returns {Promise<VeloraSwapSimulation>} The simulation's result.
+     * @throws {SimulationFailedError} If the provider does not support the 'eth_simulateV1' rpc method.
      */
-    swap(options: SwapOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken"> & Pick<SwapProtocolConfig, "swapMaxFee">): Promise<SwapResult>;
+    simulateSwap(options: VeloraSwapOptions): Promise<VeloraSwapSimulation>;
     /**
      * Quotes the costs of a swap operation.
      *
-     * Users must first approve the necessary amount of input tokens to the Velora protocol using the {@link WalletAccountEvm#approve} or the {@link WalletAccountEvmErc4337#approve} method.
+     * The returned quote can be executed as it is with the {@link VeloraProtocolEvm#executeQuote} method until it expires.
+     *
+     * If the allowance of the input token to the Velora protocol is not sufficient, the quoted fee includes the costs of the approval.
+     *
+     * In 'delta' mode, the quoted fee only includes the costs of the approval, since the order itself is executed gaslessly.
+     *
+     * @param {VeloraSwapOptions & { detailed?: boolean }} options - The swap's options. If 'detailed' is true, the quote also includes
+     *   a summary of the swap's route (see {@link VeloraProtocolEvm#getRoute}).
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337
+     *   wallet account, overrides the 'paymasterToken' option defined in its configuration.
+     * @returns {Promise<VeloraSwapQuote>} The swap's quote.
+     */
+    quoteSwap(options: VeloraSwapOptions & {
+        detailed?: boolean;
+    }, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<VeloraSwapQuote>;
+    /**
+     * Returns a summary of the route the Velora protocol would use for a swap, without building the swap transaction.
+     *
+     * @param {Omit<VeloraSwapOptions, 'to' | 'slippage'>} options - The swap's options.
+     * @returns {Promise<VeloraRoute>} The route's summary.
+     */
+    getRoute({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, ...options }: Omit<VeloraSwapOptions, "to" | "slippage">): Promise<VeloraRoute>;
+    /**
+     * Returns the price of a token pair, without building the swap transaction or estimating its fee.
+     *
+     * @param {VeloraPriceOptions & VeloraRouteOptions} options - The price's options.
+     * @returns {Promise<VeloraPrice>} The price.
+     */
+    getPrice({ tokenIn, tokenOut, amount, side, ...options }: VeloraPriceOptions & VeloraRouteOptions): Promise<VeloraPrice>;
+    /**
+     * Polls the price of a token pair at a set interval, and calls a listener each time it changes.
+     *
+     * The listener is called with the first price as soon as it has been retrieved, then every time the quoted amounts change. The
+     *   errors it throws are ignored: the 'onError' callback only reports the lookups that have failed.
+     *
+     * @param {VeloraPriceOptions & VeloraRouteOptions} options - The price's options.
+     * @param {(price: VeloraPrice) => void} onChange - The listener called with each new price.
+     * @param {VeloraPriceSubscriptionOptions} [subscriptionOptions] - The subscription's options.
+     * @returns {() => void} A function that stops the subscription.
+     */
+    subscribePrice(options: VeloraPriceOptions & VeloraRouteOptions, onChange: (price: VeloraPrice) => void, { interval, onError }?: VeloraPriceSubscriptionOptions): () => void;
+    /**
+     * Returns the metadata (symbol and decimals) of a token.
+     *
+     * The metadata are read from the token's contract (or taken from the Velora token list, if it has been loaded with the
+     *   {@link VeloraProtocolEvm#getSupportedTokens} method), and cached for the lifetime of the protocol.
+     *
+     * @param {string} token - The address of the token, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+     * @returns {Promise<VeloraTokenMetadata>} The token's metadata.
+     */
+    getTokenMetadata(token: string): Promise<VeloraTokenMetadata>;
+    /**
+     * Returns the list of tokens supported by the Velora protocol on the chain of the provider.
+     *
+     * The metadata of the returned tokens are cached, so the following swaps do not need to read them from the chain.
+     *
+     * @returns {Promise<Token[]>} The supported tokens.
+     */
+    getSupportedTokens(): Promise<Token[]>;
+    /**
+     * Executes a swap previously quoted with the {@link VeloraProtocolEvm#quoteSwap} method, without building it again.
+     *
+     * If the allowance of the input token to the Velora protocol is not sufficient, the necessary approval is sent before the swap.
+     *
+     * Before anything is sent, the pair is quoted again: if the current price is already beyond the worst-case amounts of the quote
+     *   (i.e., outside of its slippage tolerance), the swap is rejected, since it would only revert on-chain.
+     *
+     * @param {VeloraSwapQuote} quote - The swap's quote.
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+     *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+     *   'swapMaxFee' option defined in the protocol configuration.
+     * @returns {Promise<VeloraSwapResult | VeloraDeltaSwapResult>} The swap's result.
+     * @throws {SlippageExceededError} If the current price is already beyond the worst-case amounts of the quote.
+     */
+    executeQuote(quote: VeloraSwapQuote, config?: Pick<EvmErc4337WalletConfig, "paymasterToken"> & Pick<SwapProtocolConfig, "swapMaxFee">): Promise<VeloraSwapResult | VeloraDeltaSwapResult>;
+    /**
+     * Returns the status of a velora delta order.
+     *
+     * @param {string} orderId - The id of the order.
+     * @returns {Promise<VeloraDeltaOrderStatus>} The order's status.
+     */
+    getOrderStatus(orderId: string): Promise<VeloraDeltaOrderStatus>;
+    /**
+     * Waits for the output tokens of a cross-chain swap to arrive on the destination chain.
+     *
+     * The status of the order is polled until its bridge transfer has been filled, so the method follows both the execution of the
+     *   order on the source chain and the bridge transfer.
+     *
+     * @param {string} orderId - The id of the delta order of the cross-chain swap.
+     * @param {VeloraWaitForCrossChainSwapOptions} [options] - The wait's options.
+     * @returns {Promise<VeloraDeltaOrderStatus>} The order's status, once the output tokens have arrived.
+     * @throws {CrossChainSwapFailedError} If the order has failed, or if its bridge transfer has expired or has been refunded.
+     * @throws {SwapTimeoutError} If the output tokens have not arrived before the timeout.
+     */
+    waitForCrossChainSwap(orderId: string, { timeout }?: VeloraWaitForCrossChainSwapOptions): Promise<VeloraDeltaOrderStatus>;
+    /**
+     * Cancels a velora delta order that has not been executed yet.
+     *
+     * The cancellation is signed with the wallet account and submitted to the Velora api, so it does not cost any gas.
      *
-     * @param {SwapOptions} options - The swap's options.
+     * @param {string} orderId - The id of the order.
+     * @returns {Promise<void>}
+     */
+    cancelOrder(orderId: string): Promise<void>;
+    /**
+     * Creates a limit order, which sells the input tokens when someone is willing to pay the requested amount of output tokens.
+     *
+     * The order is signed with the wallet account and registered by the Velora api. If the allowance of the input token to the
+     *   Velora limit orders contract is not sufficient, the necessary approval is sent first.
+     *
+     * @param {VeloraLimitOrderOptions} options - The limit order's options.
+     * @returns {Promise<VeloraCreateLimitOrderResult>} The limit order's result.
+     */
+    createLimitOrder({ tokenIn, tokenOut, tokenInAmount, tokenOutAmount, expiry, taker }: VeloraLimitOrderOptions): Promise<VeloraCreateLimitOrderResult>;
+    /**
+     * Returns the limit orders created by the account (both public and p2p orders).
+     *
+     * @returns {Promise<LimitOrderFromApi[]>} The limit orders.
+     */
+    getLimitOrders(): Promise<LimitOrderFromApi[]>;
+    /**
+     * Cancels a limit order created by the account.
+     *
+     * The cancellation is an on-chain transaction sent to the Velora limit orders contract.
+     *
+     * @param {string} orderHash - The hash of the limit order.
      * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'>} [config] - If the protocol has been initialized with an erc-4337
      *   wallet account, overrides the 'paymasterToken' option defined in its configuration.
-     * @returns {Promise<Omit<SwapResult, 'hash'>>} The swap's quotes.
+     * @returns {Promise<{ hash: string, fee: bigint }>} The cancellation's result.
+     */
+    cancelLimitOrder(orderHash: string, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<{
+        hash: string;
+        fee: bigint;
+    }>;
+    /**
+     * Fills a limit order, selling the order's taker asset in exchange for its maker asset.
+     *
+     * If the allowance of the taker asset to the Velora limit orders contract is not sufficient, the necessary approval is sent before
+     *   filling the order. If the protocol has been initialized with an erc-4337 wallet account, the approval and the fill are sent
+     *   in a single user operation.
+     *
+     * @param {LimitOrderFromApi} order - The limit order to fill (e.g., as returned by the Velora api).
+     * @param {Pick<EvmErc4337WalletConfig, 'paymasterToken'> & Pick<SwapProtocolConfig, 'swapMaxFee'>} [config] - If the protocol has
+     *   been initialized with an erc-4337 wallet account, overrides the 'paymasterToken' option defined in its configuration and the
+     *   'swapMaxFee' option defined in the protocol configuration.
+     * @returns {Promise<VeloraSwapResult>} The fill's result, where the input tokens are the taker asset and the output tokens the
+     *   maker asset.
      */
-    quoteSwap(options: SwapOptions, config?: Pick<EvmErc4337WalletConfig, "paymasterToken">): Promise<Omit<SwapResult, "hash">>;
+    fillLimitOrder(order: LimitOrderFromApi, config?: Pick<EvmErc4337WalletConfig, "paymasterToken"> & Pick<SwapProtocolConfig, "swapMaxFee">): Promise<VeloraSwapResult>;
     /** @private */
     private _getVeloraSdk;
     /** @private */
+    private _fetch;
+    /** @private */
+    private _request;
+    /** @private */
+    private _createEventContext;
+    /** @private */
+    private _emit;
+    /** @private */
+    private _getSafeListener;
+    /** @private */
+    private _getPartnerOptions;
+    /** @private */
     private _getSwapTransactions;
+    /** @private */
+    private _getQuoteComparison;
+    /** @private */
+    private _getPriceRoute;
+    /** @private */
+    private _getRate;
+    /** @private */
+    private _sendSwapTransactions;
+    /** @private */
+    private _checkSlippage;
+    /** @private */
+    private _sendApproveTransactions;
+    /** @private */
+    private _getMaxFee;
+    /** @private */
+    private _resolveGasOptions;
+    /** @private */
+    private _getFeesPerGas;
+    /** @private */
+    private _quoteSendTransaction;
+    /** @private */
+    private _quoteSwapFee;
+    /** @private */
+    private _getMaxFeePerGas;
+    /** @private */
+    private _getDestinationChainId;
+    /** @private */
+    private _getDeltaOrder;
+    /** @private */
+    private _getCrossChainTokenMetadata;
+    /** @private */
+    private _getDeltaPrice;
+    /** @private */
+    private _getDeltaContract;
+    /** @private */
+    private _resolveRecipient;
+    /** @private */
+    private _sendDeltaOrder;
+    /** @private */
+    private _signDeltaOrder;
+    /** @private */
+    private _simulateTransactions;
+    /** @private */
+    private _waitForReceipt;
+    /** @private */
+    private _checkBalances;
+    /** @private */
+    private _getApproveTransactions;
+    /** @private */
+    private _getPermit;
+    /** @private */
+    private _getDecimals;
+    /** @private */
+    private _getSwapAmount;
+    /** @private */
+    private _parseAmount;
+    /** @private */
+    private _getFormattedAmounts;
+    /** @private */
+    private _readTokenMetadata;
 }
 export type SwapProtocolConfig = import("@tetherto/wdk-wallet/protocols").SwapProtocolConfig;
 export type SwapOptions = import("@tetherto/wdk-wallet/protocols").SwapOptions;
 export type SwapResult = import("@tetherto/wdk-wallet/protocols").SwapResult;
 export type WalletAccountReadOnlyEvm = import("@tetherto/wdk-wallet-evm").WalletAccountReadOnlyEvm;
 export type EvmErc4337WalletConfig = import("@tetherto/wdk-wallet-evm-erc-4337").EvmErc4337WalletConfig;
+export type OptimalRate = import("@velora-dex/sdk").OptimalRate;
+export type TransactionParams = import("@velora-dex/sdk").TransactionParams;
+export type DeltaPrice = import("@velora-dex/sdk").DeltaPrice;
+export type DeltaAuctionStatus = import("@velora-dex/sdk").DeltaAuctionStatus;
+export type LimitOrderFromApi = import("@velora-dex/sdk").LimitOrderFromApi;
+export type Token = import("@velora-dex/sdk").Token;
+export type VeloraSwapProtocolOptions = {
+    /**
+     * - The maximum slippage tolerated for swap operations, in basis points (e.g., 50 for 0.5%). Default: 0.
+     */
+    slippage?: number;
+    /**
+     * - The time (in milliseconds) after which the quotes returned by the 'quoteSwap' method expire. Default: 30 seconds.
+     */
+    quoteTtl?: number;
+    /**
+     * - The execution mode of the swaps: 'market' sends the swap transactions on-chain, while 'delta'
+     * signs gasless velora delta orders that are executed by third-party agents. Default: 'market'.
+     */
+    mode?: "market" | "delta";
+    /**
+     * - The url of the Velora api (e.g., to route the requests through a proxy). Default: the public Velora api.
+     */
+    apiUrl?: string;
+    /**
+     * - A fetch-compatible function used to send the requests to the Velora api. Default: the global fetch.
+     */
+    fetcher?: typeof fetch;
+    /**
+     * - The api key sent to the Velora api (in the 'X-API-KEY' header).
+     */
+    apiKey?: string;
+    /**
+     * - Additional headers sent with every request to the Velora api.
+     */
+    headers?: Record<string, string>;
+    /**
+     * - The partner name the swaps are attributed to. Default: 'wdk'.
+     */
+    partner?: string;
+    /**
+     * - The address collecting the partner fees.
+     */
+    partnerAddress?: string;
+    /**
+     * - The fee charged by the partner on each swap, in basis points (at most 200, i.e. 2%). Requires
+     * the 'partnerAddress' option.
+     */
+    partnerFeeBps?: number;
+    /**
+     * - If true, the swap transactions are simulated against the provider before being signed, and the
+     * swap is aborted if the simulation fails. Default: false.
+     */
+    simulate?: boolean;
+    /**
+     * - The time (in milliseconds) during which the rates and transactions returned by the Velora api for
+     * quotes, routes and prices are cached. Swaps always use fresh rates. Default: 0 (only identical in-flight requests are shared).
+     */
+    cacheTtl?: number;
+    /**
+     * - The number of times a request to the Velora api is retried if it is rate-limited (or if a read
+     * request fails with a server error). Default: 2.
+     */
+    retries?: number;
+    /**
+     * - The delay (in milliseconds) before the first retry, doubled at each following retry (unless the
+     * api sets a 'Retry-After' header). Default: 500.
+     */
+    retryDelay?: number;
+    /**
+     * - If true, the 'swap' method signs an off-chain permit (eip-2612, or permit2 for tokens already
+     * approved to the permit2 contract) in place of sending an approve transaction, whenever the input token supports it. Only
+     * applies to non erc-4337 accounts. Default: false.
+     */
+    permit?: boolean;
+    /**
+     * - The unit of the 'swapMaxFee' option: 'fee' for the unit the fees are paid in (the
+     * native coin, or the paymaster token for erc-4337 accounts), or 'tokenIn' for the base unit of the input token of each swap (converted
+     * to the native coin with the usd values of the swap's route). Default: 'fee'.
+     */
+    swapMaxFeeUnit?: "fee" | "tokenIn";
+    /**
+     * - Listeners registered for the
+     * lifecycle events of the swaps (see {@link VeloraProtocolEvm#on}).
+     */
+    hooks?: Partial<Record<VeloraSwapEventName, (payload: VeloraSwapEvent) => void>>;
+    /**
+     * - If true, the Velora routes are compared with on-chain reference quotes of well-known dexes
+     * (e.g., the uniswap v3 quoter) fetched through the provider, and the quotes report the comparison. Default: false.
+     */
+    compareQuotes?: boolean;
+    /**
+     * - If set, the swaps whose Velora route is worse than the best reference quote by more than
+     * this amount of basis points are refused (implies 'compareQuotes').
+     */
+    maxQuoteShortfall?: number;
+};
+export type VeloraSwapEventName = "quote" | "built" | "approvalSent" | "approvalConfirmed" | "feeChecked" | "sent" | "confirmed" | "failed";
+export type VeloraSwapEvent = {
+    /**
+     * - The method that emitted the event.
+     */
+    operation: "swap" | "executeQuote" | "swapBatch";
+    /**
+     * - The id of the operation, shared by all the events it emits.
+     */
+    id: number;
+    /**
+     * - The timestamp (in milliseconds) at which the event has been emitted.
+     */
+    timestamp: number;
+    /**
+     * - The address of the token to sell ('quote' events).
+     */
+    tokenIn?: string;
+    /**
+     * - The address of the token to buy ('quote' events).
+     */
+    tokenOut?: string;
+    /**
+     * - The quoted amount of input tokens ('quote' events).
+     */
+    tokenInAmount?: bigint;
+    /**
+     * - The quoted amount of output tokens ('quote' events).
+     */
+    tokenOutAmount?: bigint;
+    /**
+     * - The maximum amount of input tokens that can be sold ('quote' events).
+     */
+    tokenInAmountMax?: bigint;
+    /**
+     * - The minimum amount of output tokens that can be bought ('quote' events).
+     */
+    tokenOutAmountMin?: bigint;
+    /**
+     * - The price route of the swap ('quote' events, unset for wraps and delta orders).
+     */
+    priceRoute?: OptimalRate;
+    /**
+     * - The swap transaction ('built' events).
+     */
+    tx?: TransactionParams;
+    /**
+     * - The address of the contract approved to spend the input tokens ('built' and approval events).
+     */
+    spender?: string;
+    /**
+     * - The kind of permit signed in place of the approval, if any ('built' events).
+     */
+    permit?: "permit" | "permit2";
+    /**
+     * - The address of the approved token (approval events).
+     */
+    token?: string;
+    /**
+     * - The hash of the approve transaction (approval events) or of the swap ('sent' and 'confirmed' events).
+     */
+    hash?: string;
+    /**
+     * - The number of the block that included the approve transaction ('approvalConfirmed' events).
+     */
+    blockNumber?: number;
+    /**
+     * - The fee of the swap ('feeChecked' and 'sent' events).
+     */
+    fee?: bigint;
+    /**
+     * - The maximum fee allowed, in the unit of the fee ('feeChecked' events).
+     */
+    maxFee?: number | bigint;
+    /**
+     * - The id of the delta order ('sent' events, in 'delta' mode).
+     */
+    orderId?: string;
+    /**
+     * - The receipt of the swap ('confirmed' events).
+     */
+    receipt?: VeloraSwapReceipt;
+    /**
+     * - The error that interrupted the operation ('failed' events).
+     */
+    error?: Error;
+};
+export type VeloraGasOptions = {
+    /**
+     * - A preset for the fees per gas, based on the priority fees paid in the last blocks
+     * (their 25th, 50th or 75th percentile) according to the provider's fee history. Default: the provider's fee data.
+     */
+    speed?: "slow" | "normal" | "fast";
+    /**
+     * - The maximum price (in wei) paid per unit of gas. If set, overrides the 'speed' preset.
+     */
+    maxFeePerGas?: number | bigint;
+    /**
+     * - The maximum priority fee (in wei) paid per unit of gas. If set, overrides the
+     * 'speed' preset.
+     */
+    maxPriorityFeePerGas?: number | bigint;
+    /**
+     * - The multiplier applied to the estimated gas of the transactions to set their gas limit
+     * (e.g., 1.2 for a 20% margin).
+     */
+    gasLimitMultiplier?: number;
+};
+export type VeloraRouteOptions = {
+    /**
+     * - The only dexs the swaps can be routed through (e.g., ['UniswapV3', 'CurveV1']).
+     */
+    includeDexs?: string[];
+    /**
+     * - The dexs the swaps must not be routed through.
+     */
+    excludeDexs?: string[];
+    /**
+     * - The only Velora contract methods the swaps can be executed with (e.g.,
+     * ['swapExactAmountIn']).
+     */
+    includeContractMethods?: string[];
+    /**
+     * - The Velora contract methods the swaps must not be executed with.
+     */
+    excludeContractMethods?: string[];
+    /**
+     * - The maximum price impact tolerated by the Velora api, in percent (default: 15).
+     */
+    maxImpact?: number;
+    /**
+     * - If true, the price route also includes the prices quoted by the other exchanges, for
+     * comparison.
+     */
+    otherExchangePrices?: boolean;
+};
+export type VeloraSwapProtocolConfig = SwapProtocolConfig & VeloraSwapProtocolOptions & VeloraRouteOptions & VeloraGasOptions;
+export type VeloraSwapCommonOptions = {
+    /**
+     * - The address (or the ens name) of the recipient of the output tokens. Default: the account's address.
+     */
+    to?: string;
+    /**
+     * - The address of the token to sell, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+     */
+    tokenOut: string;
+    /**
+     * - The maximum slippage tolerated for the swap, in basis points. If set, overrides the 'slippage'
+     * option defined in the protocol configuration.
+     */
+    slippage?: number;
+    /**
+     * - If set, overrides the 'simulate' option defined in the protocol configuration.
+     */
+    simulate?: boolean;
+    /**
+     * - If set, overrides the 'permit' option defined in the protocol configuration.
+     */
+    permit?: boolean;
+    /**
+     * - If set, overrides the 'compareQuotes' option defined in the protocol configuration.
+     */
+    compareQuotes?: boolean;
+    /**
+     * - If set, overrides the 'maxQuoteShortfall' option defined in the protocol configuration.
+     */
+    maxQuoteShortfall?: number;
+    /**
+     * - If set, the 'swap' method waits for the swap to be confirmed and returns its
+     * receipt along with the result (ignored in 'delta' mode).
+     */
+    wait?: boolean | VeloraWaitForSwapOptions;
+    /**
+     * - The id of the chain to receive the output tokens on. If it differs from the chain of the
+     * provider, the swap is executed as a cross-chain velora delta order, and 'tokenOut' is the address of the token on that chain.
+     */
+    destChainId?: number;
+};
+export type VeloraSwapBuyOptions = {
+    /**
+     * - The amount of input tokens to sell.
+     */
+    tokenInAmount?: never;
+    /**
+     * - The amount of output tokens to buy, in base unit (or in token units if passed
+     * as a decimal string holding a decimal point, e.g. '12.5' or '100.0').
+     */
+    tokenOutAmount: number | bigint | string;
+};
+export type VeloraSwapSellOptions = {
+    /**
+     * - The amount of input tokens to sell, in base unit (or in token units if passed
+     * as a decimal string holding a decimal point, e.g. '12.5' or '100.0').
+     */
+    tokenInAmount: number | bigint | string;
+    /**
+     * - The amount of output tokens to buy.
+     */
+    tokenOutAmount?: never;
+};
+export type VeloraSwapOptions = Omit<SwapOptions, "tokenInAmount" | "tokenOutAmount"> & (VeloraSwapBuyOptions | VeloraSwapSellOptions) & VeloraSwapCommonOptions & VeloraRouteOptions & VeloraGasOptions;
+export type VeloraSwapWorstCaseAmounts = {
+    /**
+     * - The maximum amount of input tokens that can be sold, given the slippage tolerance.
+     */
+    tokenInAmountMax: bigint;
+    /**
+     * - The minimum amount of output tokens that can be bought, given the slippage tolerance.
+     */
+    tokenOutAmountMin: bigint;
+};
+export type VeloraSwapApprovals = {
+    /**
+     * - The hash of the approve transaction (only for non erc-4337 accounts, if an approval was needed).
+     */
+    approveHash?: string;
+    /**
+     * - The hash of the transaction resetting the allowance to zero (only for non erc-4337
+     * accounts, if the input token requires it, e.g. usdt on ethereum).
+     */
+    resetAllowanceHash?: string;
+    /**
+     * - The kind of permit signed in place of an approve transaction, if any.
+     */
+    permit?: "permit" | "permit2";
+};
+export type VeloraTokenMetadata = {
+    /**
+     * - The address of the token (0xEeee…EEeE for the native coin).
+     */
+    address: string;
+    /**
+     * - The symbol of the token (unset if the token's contract does not return it as a string).
+     */
+    symbol?: string;
+    /**
+     * - The number of decimals of the token.
+     */
+    decimals: number;
+};
+export type VeloraFormattedAmounts = {
+    /**
+     * - The amount of input tokens, in token units (e.g., '12.5').
+     */
+    tokenInAmount: string;
+    /**
+     * - The amount of output tokens, in token units.
+     */
+    tokenOutAmount: string;
+    /**
+     * - The maximum amount of input tokens, in token units.
+     */
+    tokenInAmountMax: string;
+    /**
+     * - The minimum amount of output tokens, in token units.
+     */
+    tokenOutAmountMin: string;
+};
+export type VeloraSwapFormattedAmounts = {
+    /**
+     * - The amounts of the swap, formatted with the decimals of their tokens.
+     */
+    formatted: VeloraFormattedAmounts;
+};
+export type VeloraSwapRecipient = {
+    /**
+     * - The checksummed address of the recipient of the output tokens (only if the 'to' option is set).
+     */
+    recipient?: string;
+};
+export type VeloraSwapResult = SwapResult & VeloraSwapWorstCaseAmounts & VeloraSwapApprovals & VeloraSwapFormattedAmounts & VeloraSwapRecipient;
+export type VeloraSwapBatchLeg = {
+    /**
+     * - The address of the token sold by the leg.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token bought by the leg.
+     */
+    tokenOut: string;
+    /**
+     * - The checksummed address of the recipient of the leg's output tokens (only if the 'to' option is set).
+     */
+    recipient?: string;
+    /**
+     * - The amount of input tokens sold by the leg.
+     */
+    tokenInAmount: bigint;
+    /**
+     * - The amount of output tokens bought by the leg.
+     */
+    tokenOutAmount: bigint;
+    /**
+     * - The maximum amount of input tokens that can be sold, given the slippage tolerance.
+     */
+    tokenInAmountMax: bigint;
+    /**
+     * - The minimum amount of output tokens that can be bought, given the slippage tolerance.
+     */
+    tokenOutAmountMin: bigint;
+    /**
+     * - The amounts of the leg, formatted with the decimals of their tokens.
+     */
+    formatted: VeloraFormattedAmounts;
+};
+export type VeloraSwapBatchResult = {
+    /**
+     * - The hash of the user operation executing all the swaps (only for erc-4337 accounts).
+     */
+    hash?: string;
+    /**
+     * - The total gas cost of the swaps.
+     */
+    fee: bigint;
+    /**
+     * - The results of the swaps, in the same order as their options. For
+     * non erc-4337 accounts, each leg is the result of its own swap transaction.
+     */
+    legs: (VeloraSwapBatchLeg | VeloraSwapResult)[];
+};
+export type VeloraWaitForSwapOptions = {
+    /**
+     * - The number of confirmations to wait for. Default: 1.
+     */
+    confirmations?: number;
+    /**
+     * - The maximum time to wait for the confirmations (in milliseconds). Default: 2 minutes.
+     */
+    timeout?: number;
+    /**
+     * - The address of the token sold, to report the amount actually spent.
+     */
+    tokenIn?: string;
+    /**
+     * - The address of the token bought, to report the amount actually received.
+     */
+    tokenOut?: string;
+};
+export type VeloraSwapReceipt = {
+    /**
+     * - The hash of the swap transaction (or of the user operation, for erc-4337 accounts).
+     */
+    hash: string;
+    /**
+     * - The hash of the transaction that included the swap.
+     */
+    transactionHash: string;
+    /**
+     * - The number of the block that included the swap.
+     */
+    blockNumber: number;
+    /**
+     * - The gas actually paid for the swap (in wei).
+     */
+    fee: bigint;
+    /**
+     * - The balance changes of the account, by token address, computed from the erc-20
+     * transfer events of the transaction (negative for the tokens spent, positive for the tokens received).
+     */
+    balanceChanges: Record<string, bigint>;
+    /**
+     * - The amount of input tokens actually spent (only if the 'tokenIn' option is an erc-20 token).
+     */
+    tokenInAmount?: bigint;
+    /**
+     * - The amount of output tokens actually received (only if the 'tokenOut' option is an erc-20
+     * token).
+     */
+    tokenOutAmount?: bigint;
+};
+export type VeloraSwapWaitResult = {
+    /**
+     * - The receipt of the swap (only if the 'wait' option is set).
+     */
+    receipt?: VeloraSwapReceipt;
+};
+export type VeloraSwapSimulation = {
+    /**
+     * - True if the simulated swap succeeded.
+     */
+    success: boolean;
+    /**
+     * - The revert reason of the simulated swap (only if it failed).
+     */
+    revertReason?: string;
+    /**
+     * - The balance changes of the account in the simulation, by token address (negative
+     * for the tokens spent, positive for the tokens received), excluding the fee. Only set if the simulated swap succeeded.
+     */
+    balanceChanges?: Record<string, bigint>;
+};
+export type VeloraBridgeFee = {
+    /**
+     * - The address of the token the fee is paid in.
+     */
+    token: string;
+    /**
+     * - The amount of the fee, in base unit of its token.
+     */
+    amount: bigint;
+    /**
+     * - The amount of the fee, converted to input tokens.
+     */
+    tokenInAmount: bigint;
+    /**
+     * - The value of the fee, in usd.
+     */
+    amountUsd: number;
+};
+export type VeloraBridgeDetails = {
+    /**
+     * - The name of the bridge protocol (e.g., 'Across').
+     */
+    protocol: string;
+    /**
+     * - The id of the chain the output tokens are bridged to.
+     */
+    destChainId: number;
+    /**
+     * - The amount of output tokens expected on the destination chain, after the bridge fees.
+     */
+    tokenOutAmount: bigint;
+    /**
+     * - The fees charged by the bridge.
+     */
+    fees: VeloraBridgeFee[];
+    /**
+     * - The estimated duration of the bridge transfer (in milliseconds).
+     */
+    estimatedTime: number;
+};
+export type VeloraDeltaOrderDetails = {
+    /**
+     * - The id of the delta order.
+     */
+    orderId: string;
+    /**
+     * - The id of the chain the output tokens are received on (only for cross-chain swaps).
+     */
+    destChainId?: number;
+    /**
+     * - The details of the bridge transfer (only for cross-chain swaps).
+     */
+    bridge?: VeloraBridgeDetails;
+};
+export type VeloraDeltaSwapResult = Omit<VeloraSwapResult, "hash"> & VeloraDeltaOrderDetails;
+export type VeloraDeltaOrderParams = {
+    /**
+     * - The delta price the order will be built with.
+     */
+    price: DeltaPrice;
+    /**
+     * - The side of the order.
+     */
+    side: "SELL" | "BUY";
+    /**
+     * - The address of the recipient of the output tokens.
+     */
+    beneficiary?: string;
+};
+export type VeloraWaitForCrossChainSwapOptions = {
+    /**
+     * - The maximum time to wait for the output tokens to arrive on the destination chain (in milliseconds).
+     * Default: 30 minutes.
+     */
+    timeout?: number;
+};
+export type VeloraLimitOrderOptions = {
+    /**
+     * - The address of the token to sell.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy.
+     */
+    tokenOut: string;
+    /**
+     * - The amount of input tokens to sell, in base unit (or in token units if passed
+     * as a decimal string holding a decimal point, e.g. '100.0').
+     */
+    tokenInAmount: number | bigint | string;
+    /**
+     * - The amount of output tokens to receive in exchange, in base unit (or in token
+     * units if passed as a decimal string holding a decimal point).
+     */
+    tokenOutAmount: number | bigint | string;
+    /**
+     * - The timestamp (in seconds) after which the order cannot be filled anymore. Default: 0 (never expires).
+     */
+    expiry?: number;
+    /**
+     * - The address of the only account allowed to fill the order (p2p orders). By default, anyone can fill it.
+     */
+    taker?: string;
+};
+export type VeloraLimitOrderResult = {
+    /**
+     * - The hash of the limit order.
+     */
+    orderHash: string;
+    /**
+     * - The limit order, as registered by the Velora api.
+     */
+    order: LimitOrderFromApi;
+    /**
+     * - The gas cost of the approval (zero if no approval was needed).
+     */
+    fee: bigint;
+};
+export type VeloraCreateLimitOrderResult = VeloraLimitOrderResult & VeloraSwapApprovals;
+export type VeloraBridgeStatus = {
+    /**
+     * - The status of the bridge transfer.
+     */
+    status: "pending" | "filled" | "expired" | "refunded";
+    /**
+     * - The amount of output tokens sent on the destination chain.
+     */
+    tokenOutAmount?: bigint;
+    /**
+     * - The hash of the transaction that delivered the output tokens on the destination chain (only if
+     * the transfer has been filled).
+     */
+    fillHash?: string;
+    /**
+     * - The hash of the transaction that refunded the deposit on the source chain (only if the
+     * transfer has been refunded).
+     */
+    refundHash?: string;
+};
+export type VeloraDeltaOrderStatus = {
+    /**
+     * - The status of the order's auction.
+     */
+    status: DeltaAuctionStatus;
+    /**
+     * - The hash of the transaction that executed the order (only if the order has been executed).
+     */
+    hash?: string;
+    /**
+     * - The status of the bridge transfer (only for cross-chain swaps whose order has been
+     * executed).
+     */
+    bridge?: VeloraBridgeStatus;
+};
+export type VeloraSwapQuoteDetails = {
+    /**
+     * - The address of the token to sell.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy.
+     */
+    tokenOut: string;
+    /**
+     * - The price route the swap transaction has been built with (unset for wrap and unwrap
+     * operations, which do not go through the Velora protocol).
+     */
+    priceRoute?: OptimalRate;
+    /**
+     * - The swap transaction (unset for delta orders).
+     */
+    tx?: TransactionParams;
+    /**
+     * - The parameters of the delta order (only for quotes built in 'delta' mode, or for
+     * cross-chain swaps).
+     */
+    deltaOrder?: VeloraDeltaOrderParams;
+    /**
+     * - The id of the chain the output tokens are received on (only for cross-chain swaps).
+     */
+    destChainId?: number;
+    /**
+     * - The details of the bridge transfer, including its fees (only for cross-chain swaps).
+     */
+    bridge?: VeloraBridgeDetails;
+    /**
+     * - The address of the contract that must be approved to spend the input tokens.
+     */
+    spender?: string;
+    /**
+     * - The comparison of the Velora route with the best reference quote (only if the
+     * 'compareQuotes' or 'maxQuoteShortfall' options are set, and if a reference quote has been found for the pair).
+     */
+    comparison?: VeloraQuoteComparison;
+    /**
+     * - The id of the chain the quote has been built for.
+     */
+    chainId: number;
+    /**
+     * - The address of the account the quote has been built for.
+     */
+    address: string;
+    /**
+     * - The timestamp (in milliseconds) after which the quote cannot be executed anymore.
+     */
+    expiresAt: number;
+};
+export type VeloraRouteExchange = {
+    /**
+     * - The name of the dex (e.g., 'UniswapV3').
+     */
+    dex: string;
+    /**
+     * - The share of the hop's amount swapped through the dex, in percent.
+     */
+    percent: number;
+};
+export type VeloraRouteHop = {
+    /**
+     * - The address of the token sold in the hop.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token bought in the hop.
+     */
+    tokenOut: string;
+    /**
+     * - The dexs the hop is split between.
+     */
+    exchanges: VeloraRouteExchange[];
+};
+export type VeloraRoutePath = {
+    /**
+     * - The share of the swapped amount going through the path, in percent.
+     */
+    percent: number;
+    /**
+     * - The successive hops of the path.
+     */
+    hops: VeloraRouteHop[];
+};
+export type VeloraRoute = {
+    /**
+     * - The address of the token to sell.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy.
+     */
+    tokenOut: string;
+    /**
+     * - The amount of input tokens sold along the route.
+     */
+    tokenInAmount: bigint;
+    /**
+     * - The amount of output tokens bought along the route.
+     */
+    tokenOutAmount: bigint;
+    /**
+     * - The usd value of the input tokens (unset if the Velora api has no usd price for the token).
+     */
+    tokenInUsd?: number;
+    /**
+     * - The usd value of the output tokens (unset if the Velora api has no usd price for the token).
+     */
+    tokenOutUsd?: number;
+    /**
+     * - The price impact of the route, in basis points (unset if the usd values are not available).
+     */
+    priceImpact?: number;
+    /**
+     * - The estimated gas cost of the swap, in usd.
+     */
+    gasCostUsd: number;
+    /**
+     * - The address of the contract that must be approved to spend the input tokens.
+     */
+    spender: string;
+    /**
+     * - The address of the Velora contract executing the swap.
+     */
+    contractAddress: string;
+    /**
+     * - The Velora contract method executing the swap.
+     */
+    contractMethod: string;
+    /**
+     * - The number of the block the route has been priced at.
+     */
+    blockNumber: number;
+    /**
+     * - The paths the swapped amount is split between.
+     */
+    paths: VeloraRoutePath[];
+};
+export type VeloraPriceOptions = {
+    /**
+     * - The address of the token to sell, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy, or 'native' (or the 0xEeee…EEeE placeholder) for the native coin.
+     */
+    tokenOut: string;
+    /**
+     * - The amount of input tokens to sell (or of output tokens to buy, if the side is 'BUY'),
+     * in base unit (or in token units if passed as a decimal string holding a decimal point, e.g. '12.5' or '1.0').
+     */
+    amount: number | bigint | string;
+    /**
+     * - The side of the price. Default: 'SELL'.
+     */
+    side?: "SELL" | "BUY";
+};
+export type VeloraPrice = {
+    /**
+     * - The address of the token to sell.
+     */
+    tokenIn: string;
+    /**
+     * - The address of the token to buy.
+     */
+    tokenOut: string;
+    /**
+     * - The side of the price.
+     */
+    side: "SELL" | "BUY";
+    /**
+     * - The amount of input tokens sold.
+     */
+    tokenInAmount: bigint;
+    /**
+     * - The amount of output tokens bought.
+     */
+    tokenOutAmount: bigint;
+    /**
+     * - The amount of output tokens bought per input token sold, in token units.
+     */
+    price: number;
+    /**
+     * - The number of the block the price has been computed at.
+     */
+    blockNumber: number;
+};
+export type VeloraPriceSubscriptionOptions = {
+    /**
+     * - The time (in milliseconds) between two price lookups. Default: 10 seconds.
+     */
+    interval?: number;
+    /**
+     * - A callback called if a price lookup fails (the subscription keeps polling).
+     */
+    onError?: (error: Error) => void;
+};
+export type VeloraQuoteComparison = {
+    /**
+     * - The name of the dex of the best reference quote (e.g., 'UniswapV3').
+     */
+    source: string;
+    /**
+     * - The fee tier of the pool of the best reference quote (in hundredths of a basis point, e.g. 500 for 0.05%).
+     */
+    poolFee: number;
+    /**
+     * - The amount of input tokens of the reference quote.
+     */
+    tokenInAmount: bigint;
+    /**
+     * - The amount of output tokens of the reference quote.
+     */
+    tokenOutAmount: bigint;
+    /**
+     * - How much better the Velora route is than the reference quote, in basis points (negative if it is
+     * worse): the extra output tokens received when selling, or the input tokens saved when buying.
+     */
+    advantage: number;
+};
+export type VeloraSwapQuoteRoute = {
+    /**
+     * - The summary of the swap's route (only if the 'detailed' option is set, and unset for delta
+     * orders, wrap and unwrap operations).
+     */
+    route?: VeloraRoute;
+};
+export type VeloraSwapQuote = Omit<VeloraSwapResult, "hash" | keyof VeloraSwapApprovals> & VeloraSwapQuoteDetails & VeloraSwapQuoteRoute;
 import { SwapProtocol } from '@tetherto/wdk-wallet/protocols';
+import { WalletAccountReadOnlyEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';
 import { WalletAccountEvm } from '@tetherto/wdk-wallet-evm';
-import { WalletAccountReadOnlyEvmErc4337, WalletAccountEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';
+import { WalletAccountEvmErc4337 } from '@tetherto/wdk-wallet-evm-erc-4337';